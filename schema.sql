@@ -7,6 +7,19 @@ DROP DATABASE IF EXISTS cookshare;
 CREATE DATABASE cookshare CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 USE cookshare;
 
+-- =========================================================
+-- 🖼️ IMÁGENES SUBIDAS (portadas, galerías, pasos y avatares)
+-- =========================================================
+CREATE TABLE Imagenes (
+    id_imagen INT AUTO_INCREMENT PRIMARY KEY,
+    almacen VARCHAR(20) NOT NULL, -- almacenamiento donde están los archivos: local, s3...
+    clave VARCHAR(200) NOT NULL, -- prefijo de los archivos: <clave>/original.<formato>, <clave>/<miniatura>.webp
+    formato ENUM('jpeg','png','webp') NOT NULL, -- formato del original
+    ancho INT NOT NULL,
+    alto INT NOT NULL,
+    fecha_subida DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =========================================================
 -- 🧍‍♀️ USUARIOS
 -- =========================================================
@@ -16,7 +29,13 @@ CREATE TABLE Usuarios (
     email VARCHAR(100) UNIQUE NOT NULL,
     contrasena VARCHAR(255) NOT NULL,
     tipo_usuario ENUM('publico','premium') DEFAULT 'publico',
-    fecha_registro DATETIME DEFAULT CURRENT_TIMESTAMP
+    es_moderador BOOLEAN NOT NULL DEFAULT FALSE, -- revisa las denuncias de valoraciones
+    -- Restricciones alimentarias del perfil (para GET /recetas?compatible=true)
+    dietas SET('vegetariana','vegana','sin_gluten','sin_lactosa') NOT NULL DEFAULT '',
+    alergias SET('gluten','lactosa','huevo','frutos_secos','cacahuete','soja','pescado','marisco','sesamo','mostaza','apio','sulfitos') NOT NULL DEFAULT '',
+    id_avatar INT DEFAULT NULL,
+    fecha_registro DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_avatar) REFERENCES Imagenes(id_imagen) ON DELETE SET NULL
 );
 
 -- =========================================================
@@ -25,7 +44,9 @@ CREATE TABLE Usuarios (
 CREATE TABLE Sesiones (
     id_sesion INT AUTO_INCREMENT PRIMARY KEY,
     id_usuario INT,
+    token_hash CHAR(64) UNIQUE, -- SHA-256 del token bearer (nunca se guarda el token en claro)
     fecha_inicio DATETIME DEFAULT CURRENT_TIMESTAMP,
+    fecha_expiracion DATETIME,
     fecha_cierre DATETIME DEFAULT NULL,
     FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE
 );
@@ -46,15 +67,34 @@ CREATE TABLE Recetas (
     titulo VARCHAR(150) NOT NULL,
     descripcion TEXT,
     tiempo_preparacion INT,
-    costo DECIMAL(6,2) DEFAULT NULL,
+    porciones INT NOT NULL DEFAULT 4, -- porciones para las que están pensadas las cantidades
+    costo_manual DECIMAL(6,2) DEFAULT NULL, -- indicado por el autor; tiene prioridad sobre el calculado
+    costo_calculado DECIMAL(8,2) DEFAULT NULL, -- a partir de los precios de referencia de los ingredientes
+    costo DECIMAL(8,2) AS (COALESCE(costo_manual, costo_calculado)) STORED, -- costo efectivo
     es_publica BOOLEAN DEFAULT TRUE,
     es_premium BOOLEAN DEFAULT FALSE,
     categoria_id INT,
     autor_id INT, -- autor primario
+    id_portada INT DEFAULT NULL, -- foto del plato terminado
+    -- Resumen de las valoraciones (lo mantiene la API; npm run valoraciones:recalcular lo rehace)
+    valoracion_promedio DECIMAL(3,2) DEFAULT NULL,
+    total_valoraciones INT NOT NULL DEFAULT 0,
+    valoraciones_1 INT NOT NULL DEFAULT 0,
+    valoraciones_2 INT NOT NULL DEFAULT 0,
+    valoraciones_3 INT NOT NULL DEFAULT 0,
+    valoraciones_4 INT NOT NULL DEFAULT 0,
+    valoraciones_5 INT NOT NULL DEFAULT 0,
     fecha_creacion DATETIME DEFAULT CURRENT_TIMESTAMP,
     fecha_modificacion DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    version INT NOT NULL DEFAULT 1, -- aumenta con cada cambio en sus datos; se envía como ETag
     FOREIGN KEY (categoria_id) REFERENCES Categorias(id_categoria),
-    FOREIGN KEY (autor_id) REFERENCES Usuarios(id_usuario)
+    FOREIGN KEY (autor_id) REFERENCES Usuarios(id_usuario),
+    FOREIGN KEY (id_portada) REFERENCES Imagenes(id_imagen) ON DELETE SET NULL,
+    -- Recetas mejor valoradas de cada categoría (GET /categorias/mejor-valoradas)
+    INDEX idx_recetas_valoracion (categoria_id, valoracion_promedio),
+    -- Índices de la búsqueda de texto (GET /recetas/buscar)
+    FULLTEXT INDEX ft_recetas_titulo (titulo),
+    FULLTEXT INDEX ft_recetas_descripcion (descripcion)
 );
 
 -- =========================================================
@@ -65,7 +105,10 @@ CREATE TABLE Autores_Receta (
     id_usuario INT,
     rol ENUM('colaborador','invitado') DEFAULT 'colaborador',
     permiso_modificar BOOLEAN DEFAULT FALSE,
+    estado ENUM('pendiente','aceptada','rechazada','expirada') DEFAULT 'pendiente',
     fecha_invitacion DATETIME DEFAULT CURRENT_TIMESTAMP,
+    fecha_expiracion DATETIME, -- límite para aceptar la invitación
+    fecha_respuesta DATETIME DEFAULT NULL,
     PRIMARY KEY (id_receta, id_usuario),
     FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE,
     FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE
@@ -77,7 +120,39 @@ CREATE TABLE Autores_Receta (
 CREATE TABLE Ingredientes (
     id_ingrediente INT AUTO_INCREMENT PRIMARY KEY,
     nombre VARCHAR(100) NOT NULL,
-    unidad_medida VARCHAR(20)
+    unidad_medida VARCHAR(20),
+    es_basico BOOLEAN DEFAULT FALSE, -- de despensa (sal, agua...): se puede ignorar al buscar qué cocinar
+    grupo VARCHAR(50) DEFAULT NULL, -- sección de la tienda, para agrupar las listas de compra
+    -- Información nutricional por cada nutricion_cantidad de unidad_medida (100 g, 1 pieza...)
+    nutricion_cantidad DECIMAL(10,4) DEFAULT NULL,
+    kcal DECIMAL(8,2) DEFAULT NULL,
+    proteinas DECIMAL(8,2) DEFAULT NULL, -- g
+    carbohidratos DECIMAL(8,2) DEFAULT NULL, -- g
+    grasas DECIMAL(8,2) DEFAULT NULL, -- g
+    fibra DECIMAL(8,2) DEFAULT NULL, -- g
+    sodio DECIMAL(8,2) DEFAULT NULL, -- mg
+    -- Alérgenos y dietas para las que no es apto; sin revisar no se garantiza nada
+    alergenos SET('gluten','lactosa','huevo','frutos_secos','cacahuete','soja','pescado','marisco','sesamo','mostaza','apio','sulfitos') NOT NULL DEFAULT '',
+    no_apto_para SET('vegetariana','vegana') NOT NULL DEFAULT '',
+    etiquetas_revisadas BOOLEAN DEFAULT FALSE,
+    FULLTEXT INDEX ft_ingredientes_nombre (nombre)
+);
+
+-- =========================================================
+-- 💰 PRECIOS DE LOS INGREDIENTES
+-- =========================================================
+CREATE TABLE Precios_Ingrediente (
+    id_precio INT AUTO_INCREMENT PRIMARY KEY,
+    id_ingrediente INT NOT NULL,
+    precio DECIMAL(10,2) NOT NULL,
+    cantidad DECIMAL(10,4) NOT NULL DEFAULT 1, -- cantidad de unidad_medida del ingrediente a ese precio
+    region VARCHAR(50) DEFAULT NULL, -- NULL: precio de referencia
+    tienda VARCHAR(100) DEFAULT NULL,
+    vigente_desde DATE NOT NULL,
+    vigente_hasta DATE DEFAULT NULL, -- exclusivo; NULL mientras siga vigente
+    fecha_registro DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (id_ingrediente) REFERENCES Ingredientes(id_ingrediente) ON DELETE CASCADE,
+    INDEX idx_precios_vigencia (id_ingrediente, region, vigente_desde)
 );
 
 -- =========================================================
@@ -87,6 +162,7 @@ CREATE TABLE Receta_Ingrediente (
     id_receta INT,
     id_ingrediente INT,
     cantidad DECIMAL(6,2),
+    version INT NOT NULL DEFAULT 1, -- aumenta con cada cambio de cantidad (ETag)
     PRIMARY KEY (id_receta, id_ingrediente),
     FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE,
     FOREIGN KEY (id_ingrediente) REFERENCES Ingredientes(id_ingrediente) ON DELETE CASCADE
@@ -98,9 +174,57 @@ CREATE TABLE Receta_Ingrediente (
 CREATE TABLE Pasos (
     id_paso INT AUTO_INCREMENT PRIMARY KEY,
     id_receta INT,
-    numero_paso INT,
+    numero_paso INT NOT NULL, -- 1, 2, 3... sin huecos; la API renumera al insertar, mover o eliminar
     descripcion TEXT,
-    FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE
+    -- Datos del modo cocina
+    duracion_segundos INT DEFAULT NULL, -- temporizador del paso
+    temperatura SMALLINT DEFAULT NULL, -- del horno, el aceite...
+    unidad_temperatura ENUM('C','F') NOT NULL DEFAULT 'C',
+    id_imagen INT DEFAULT NULL,
+    version INT NOT NULL DEFAULT 1, -- aumenta con cada cambio en el paso (ETag)
+    UNIQUE KEY uq_pasos_numero (id_receta, numero_paso),
+    FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE,
+    FOREIGN KEY (id_imagen) REFERENCES Imagenes(id_imagen) ON DELETE SET NULL,
+    FULLTEXT INDEX ft_pasos_descripcion (descripcion)
+);
+
+-- Ingredientes de la receta que se usan en cada paso
+CREATE TABLE Paso_Ingrediente (
+    id_paso INT,
+    id_receta INT,
+    id_ingrediente INT,
+    PRIMARY KEY (id_paso, id_ingrediente),
+    FOREIGN KEY (id_paso) REFERENCES Pasos(id_paso) ON DELETE CASCADE,
+    -- Al quitar el ingrediente de la receta desaparece también de sus pasos
+    FOREIGN KEY (id_receta, id_ingrediente) REFERENCES Receta_Ingrediente(id_receta, id_ingrediente) ON DELETE CASCADE
+);
+
+-- =========================================================
+-- 📷 GALERÍA DE FOTOS DE LAS RECETAS
+-- =========================================================
+CREATE TABLE Receta_Galeria (
+    id_imagen INT PRIMARY KEY,
+    id_receta INT NOT NULL,
+    posicion INT NOT NULL,
+    FOREIGN KEY (id_imagen) REFERENCES Imagenes(id_imagen) ON DELETE CASCADE,
+    FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE,
+    INDEX idx_galeria_orden (id_receta, posicion)
+);
+
+-- =========================================================
+-- 🕘 HISTORIAL DE REVISIONES DE LAS RECETAS
+-- =========================================================
+CREATE TABLE Revisiones_Receta (
+    id_revision INT AUTO_INCREMENT PRIMARY KEY,
+    id_receta INT NOT NULL,
+    numero INT NOT NULL, -- 1, 2, 3... dentro de cada receta
+    id_usuario INT DEFAULT NULL, -- quién hizo el cambio (NULL: estado anterior al historial)
+    resumen VARCHAR(150),
+    contenido JSON NOT NULL, -- la receta, sus ingredientes y sus pasos tal como quedaron
+    fecha DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (id_receta, numero),
+    FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE SET NULL
 );
 
 -- =========================================================
@@ -110,13 +234,61 @@ CREATE TABLE Valoraciones (
     id_valoracion INT AUTO_INCREMENT PRIMARY KEY,
     id_receta INT,
     id_usuario INT,
-    puntuacion INT CHECK (puntuacion BETWEEN 1 AND 5),
+    puntuacion INT NOT NULL CHECK (puntuacion BETWEEN 1 AND 5),
     comentario TEXT,
     fecha_valoracion DATETIME DEFAULT CURRENT_TIMESTAMP,
+    -- Las ocultas por moderación solo las ve su autor y no cuentan en el resumen de la receta
+    estado ENUM('publicada','oculta') NOT NULL DEFAULT 'publicada',
+    respuesta TEXT, -- respuesta del autor de la receta (una por valoración)
+    fecha_respuesta DATETIME,
+    UNIQUE KEY uq_valoraciones_usuario (id_receta, id_usuario), -- una valoración por usuario y receta
     FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE,
     FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE
 );
 
+-- Votos de "me ha sido útil" (uno por usuario y valoración)
+CREATE TABLE Votos_Valoracion (
+    id_valoracion INT,
+    id_usuario INT,
+    fecha DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id_valoracion, id_usuario),
+    FOREIGN KEY (id_valoracion) REFERENCES Valoraciones(id_valoracion) ON DELETE CASCADE,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE
+);
+
+-- Denuncias de valoraciones. Quedan pendientes hasta que un moderador oculta la valoración
+-- (aceptada) o la deja como está (descartada).
+CREATE TABLE Denuncias_Valoracion (
+    id_denuncia INT AUTO_INCREMENT PRIMARY KEY,
+    id_valoracion INT NOT NULL,
+    id_usuario INT NOT NULL,
+    motivo ENUM('spam','ofensivo','fuera_de_tema','informacion_falsa','otro') NOT NULL,
+    detalle VARCHAR(500),
+    estado ENUM('pendiente','aceptada','descartada') NOT NULL DEFAULT 'pendiente',
+    fecha_denuncia DATETIME DEFAULT CURRENT_TIMESTAMP,
+    fecha_resolucion DATETIME,
+    UNIQUE KEY uq_denuncias_usuario (id_valoracion, id_usuario), -- una denuncia por usuario y valoración
+    INDEX idx_denuncias_estado (estado, fecha_denuncia),
+    FOREIGN KEY (id_valoracion) REFERENCES Valoraciones(id_valoracion) ON DELETE CASCADE,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE
+);
+
+-- Registro de las acciones de moderación. No tiene claves foráneas a la valoración ni a la
+-- receta para conservarse aunque se eliminen; guarda cómo era la valoración en ese momento.
+CREATE TABLE Moderacion_Valoraciones (
+    id_accion INT AUTO_INCREMENT PRIMARY KEY,
+    id_valoracion INT NOT NULL,
+    id_receta INT NOT NULL,
+    id_moderador INT DEFAULT NULL,
+    accion ENUM('ocultar','restaurar','eliminar','descartar') NOT NULL,
+    nota VARCHAR(500),
+    denuncias_resueltas INT NOT NULL DEFAULT 0,
+    valoracion JSON NOT NULL,
+    fecha DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_moderacion_valoracion (id_valoracion),
+    FOREIGN KEY (id_moderador) REFERENCES Usuarios(id_usuario) ON DELETE SET NULL
+);
+
 -- =========================================================
 -- 💳 SUSCRIPCIONES (Usuarios Premium)
 -- =========================================================
@@ -126,9 +298,86 @@ CREATE TABLE Suscripciones (
     fecha_inicio DATETIME DEFAULT CURRENT_TIMESTAMP,
     fecha_fin DATETIME,
     monto DECIMAL(6,2),
+    estado ENUM('activa','cancelada','expirada') DEFAULT 'activa',
+    cancelar_al_final BOOLEAN DEFAULT FALSE, -- no se renovará: pasa a 'cancelada' al llegar a fecha_fin
+    fecha_cancelacion DATETIME DEFAULT NULL,
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE,
+    INDEX idx_suscripciones_vencimiento (estado, fecha_fin)
+);
+
+-- =========================================================
+-- 🧾 PAGOS (cobros de suscripciones a través de un proveedor)
+-- =========================================================
+CREATE TABLE Pagos (
+    id_pago INT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    id_suscripcion INT DEFAULT NULL, -- suscripción creada o renovada al confirmarse el pago
+    tipo ENUM('alta','renovacion') DEFAULT 'alta',
+    meses INT NOT NULL,
+    monto DECIMAL(6,2) NOT NULL,
+    proveedor VARCHAR(30) NOT NULL,
+    referencia VARCHAR(100), -- id del cobro en el proveedor
+    estado ENUM('pendiente','confirmado','rechazado','reembolsando','reembolsado') DEFAULT 'pendiente', -- reembolsando: esperando al proveedor
+    motivo VARCHAR(255) DEFAULT NULL, -- motivo del rechazo
+    fecha_creacion DATETIME DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE (proveedor, referencia),
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE,
+    FOREIGN KEY (id_suscripcion) REFERENCES Suscripciones(id_suscripcion) ON DELETE SET NULL
+);
+
+-- =========================================================
+-- 🛒 LISTAS DE LA COMPRA
+-- =========================================================
+CREATE TABLE Listas_Compra (
+    id_lista INT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    nombre VARCHAR(100) NOT NULL,
+    token_compartir CHAR(32) UNIQUE DEFAULT NULL, -- enlace de solo lectura (NULL si no está compartida)
+    fecha_creacion DATETIME DEFAULT CURRENT_TIMESTAMP,
+    fecha_modificacion DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE
 );
 
+-- Recetas (y porciones) a partir de las que se generó la lista
+CREATE TABLE Listas_Compra_Recetas (
+    id_lista INT,
+    id_receta INT,
+    porciones INT NOT NULL,
+    PRIMARY KEY (id_lista, id_receta),
+    FOREIGN KEY (id_lista) REFERENCES Listas_Compra(id_lista) ON DELETE CASCADE,
+    FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE
+);
+
+CREATE TABLE Listas_Compra_Articulos (
+    id_articulo INT AUTO_INCREMENT PRIMARY KEY,
+    id_lista INT NOT NULL,
+    id_ingrediente INT DEFAULT NULL, -- NULL en los artículos añadidos a mano que no están en el catálogo
+    nombre VARCHAR(100) NOT NULL,
+    cantidad DECIMAL(10,2) DEFAULT NULL,
+    unidad_medida VARCHAR(20) DEFAULT NULL,
+    grupo VARCHAR(50) NOT NULL DEFAULT 'Otros',
+    comprado BOOLEAN DEFAULT FALSE,
+    FOREIGN KEY (id_lista) REFERENCES Listas_Compra(id_lista) ON DELETE CASCADE,
+    FOREIGN KEY (id_ingrediente) REFERENCES Ingredientes(id_ingrediente) ON DELETE SET NULL
+);
+
+-- =========================================================
+-- 📅 PLAN DE COMIDAS (una receta por usuario, día y momento)
+-- =========================================================
+CREATE TABLE Plan_Comidas (
+    id_plan_comida INT AUTO_INCREMENT PRIMARY KEY,
+    id_usuario INT NOT NULL,
+    fecha DATE NOT NULL,
+    id_categoria INT NOT NULL, -- momento del día: Desayuno, Almuerzo, Cena...
+    id_receta INT NOT NULL,
+    porciones INT DEFAULT NULL, -- NULL: las porciones de la receta
+    UNIQUE (id_usuario, fecha, id_categoria),
+    FOREIGN KEY (id_usuario) REFERENCES Usuarios(id_usuario) ON DELETE CASCADE,
+    FOREIGN KEY (id_categoria) REFERENCES Categorias(id_categoria) ON DELETE CASCADE,
+    FOREIGN KEY (id_receta) REFERENCES Recetas(id_receta) ON DELETE CASCADE
+);
+
 -- =========================================================
 -- 📂 DATOS DE PRUEBA
 -- =========================================================
@@ -145,9 +394,9 @@ INSERT INTO Usuarios (nombre, email, contrasena, tipo_usuario) VALUES
 INSERT INTO Sesiones (id_usuario) VALUES (1), (2);
 
 -- Recetas
-INSERT INTO Recetas (titulo, descripcion, tiempo_preparacion, costo, es_publica, es_premium, categoria_id, autor_id) VALUES
+INSERT INTO Recetas (titulo, descripcion, tiempo_preparacion, costo_manual, es_publica, es_premium, categoria_id, autor_id) VALUES
 ('Tacos al Pastor', 'Receta tradicional con piña y carne marinada', 30, NULL, TRUE, FALSE, 3, 1),
-('Postre Gourmet', 'Receta premium solo para usuarios especiales', 45, 50.00, FALSE, TRUE, 4, 2);
+('Postre Gourmet', 'Receta premium solo para usuarios especiales', 45, 50.00, FALSE, TRUE, 4, 2); -- costo indicado por la autora
 
 -- Ingredientes
 INSERT INTO Ingredientes (nombre, unidad_medida) VALUES
@@ -158,7 +407,7 @@ INSERT INTO Ingredientes (nombre, unidad_medida) VALUES
 ('Crema', 'ml');
 
 -- Relación Receta - Ingrediente
-INSERT INTO Receta_Ingrediente VALUES
+INSERT INTO Receta_Ingrediente (id_receta, id_ingrediente, cantidad) VALUES
 (1, 1, 500),
 (1, 2, 3),
 (1, 3, 10),
@@ -173,14 +422,12 @@ INSERT INTO Pasos (id_receta, numero_paso, descripcion) VALUES
 (2, 1, 'Mezclar azúcar con crema.'),
 (2, 2, 'Hornear durante 30 minutos.');
 
--- Valoraciones
-INSERT INTO Valoraciones (id_receta, id_usuario, puntuacion, comentario) VALUES
-(1, 2, 5, '¡Deliciosos tacos!'),
-(2, 1, 4, 'Se ve bien, pero soy pobre 😭');
+-- Moderadores
+UPDATE Usuarios SET es_moderador = TRUE WHERE id_usuario = 1;
 
 -- Autores secundarios / invitaciones
-INSERT INTO Autores_Receta (id_receta, id_usuario, rol, permiso_modificar) VALUES
-(1, 2, 'colaborador', TRUE);
+INSERT INTO Autores_Receta (id_receta, id_usuario, rol, permiso_modificar, estado, fecha_respuesta) VALUES
+(1, 2, 'colaborador', TRUE, 'aceptada', NOW());
 
 -- Suscripción
 INSERT INTO Suscripciones (id_usuario, fecha_inicio, fecha_fin, monto) VALUES
@@ -200,18 +447,53 @@ INSERT INTO Usuarios (nombre, email, contrasena, tipo_usuario) VALUES
 ('Pedro', 'pedro@example.com', '$2b$10$E.qf/dC.6n.CVQ3T.tY.o.v22ITjT5l3aJ2.uUotvsoMMm9g233/K', 'publico'), -- pass: password123
 ('Sofia', 'sofia@example.com', '$2b$10$E.qf/dC.6n.CVQ3T.tY.o.v22ITjT5l3aJ2.uUotvsoMMm9g233/K', 'publico'); -- pass: password123
 
--- Más Recetas (10)
-INSERT INTO Recetas (titulo, descripcion, tiempo_preparacion, costo, es_publica, es_premium, categoria_id, autor_id) VALUES
-('Ensalada César', 'Clásica ensalada César con pollo a la parrilla.', 20, 15.00, TRUE, FALSE, 7, 3),
-('Sopa de Tomate', 'Sopa de tomate casera, perfecta para un día frío.', 25, 10.00, TRUE, FALSE, 6, 4),
-('Guacamole', 'Auténtico guacamole mexicano.', 10, 8.00, TRUE, FALSE, 5, 5),
-('Limonada Fresca', 'Bebida refrescante de limón.', 5, 5.00, TRUE, FALSE, 8, 6),
-('Puré de Papas', 'Cremoso puré de papas como guarnición.', 30, 12.00, TRUE, FALSE, 9, 7),
-('Pasta Carbonara', 'Receta italiana de pasta con huevo, queso y panceta.', 25, 25.00, FALSE, TRUE, 2, 8),
-('Huevos Benedictinos', 'Un desayuno clásico y elegante.', 20, 20.00, FALSE, TRUE, 1, 9),
-('Brownies de Chocolate', 'Brownies densos y chocolatados.', 40, 18.00, TRUE, FALSE, 4, 10),
-('Ceviche Peruano', 'Pescado fresco marinado en jugo de limón.', 15, 30.00, FALSE, TRUE, 5, 5),
-('Sopa de Lentejas', 'Una sopa nutritiva y reconfortante.', 45, 14.00, TRUE, FALSE, 6, 4);
+-- Suscripciones de los nuevos usuarios premium (tipo_usuario se mantiene sincronizado con ellas)
+INSERT INTO Suscripciones (id_usuario, fecha_inicio, fecha_fin, monto) VALUES
+(5, NOW(), DATE_ADD(NOW(), INTERVAL 1 MONTH), 99.99),
+(8, NOW(), DATE_ADD(NOW(), INTERVAL 1 MONTH), 99.99);
+
+-- Más Recetas (10). Sin costo_manual: su costo se calcula a partir de los precios de los ingredientes
+INSERT INTO Recetas (titulo, descripcion, tiempo_preparacion, costo_manual, es_publica, es_premium, categoria_id, autor_id) VALUES
+('Ensalada César', 'Clásica ensalada César con pollo a la parrilla.', 20, NULL, TRUE, FALSE, 7, 3),
+('Sopa de Tomate', 'Sopa de tomate casera, perfecta para un día frío.', 25, NULL, TRUE, FALSE, 6, 4),
+('Guacamole', 'Auténtico guacamole mexicano.', 10, NULL, TRUE, FALSE, 5, 5),
+('Limonada Fresca', 'Bebida refrescante de limón.', 5, NULL, TRUE, FALSE, 8, 6),
+('Puré de Papas', 'Cremoso puré de papas como guarnición.', 30, NULL, TRUE, FALSE, 9, 7),
+('Pasta Carbonara', 'Receta italiana de pasta con huevo, queso y panceta.', 25, NULL, FALSE, TRUE, 2, 8),
+('Huevos Benedictinos', 'Un desayuno clásico y elegante.', 20, NULL, FALSE, TRUE, 1, 9),
+('Brownies de Chocolate', 'Brownies densos y chocolatados.', 40, NULL, TRUE, FALSE, 4, 10),
+('Ceviche Peruano', 'Pescado fresco marinado en jugo de limón.', 15, NULL, FALSE, TRUE, 5, 5),
+('Sopa de Lentejas', 'Una sopa nutritiva y reconfortante.', 45, NULL, TRUE, FALSE, 6, 4);
+
+-- Valoraciones (nadie valora sus propias recetas ni aquellas en las que colabora)
+INSERT INTO Valoraciones (id_receta, id_usuario, puntuacion, comentario) VALUES
+(1, 3, 5, '¡Deliciosos tacos!'),
+(1, 4, 4, 'Muy ricos, aunque la piña sobra un poco.'),
+(1, 6, 5, NULL),
+(2, 1, 4, 'Se ve bien, pero soy pobre 😭'),
+(3, 4, 4, 'Fácil y rápida.'),
+(3, 6, 5, 'La mejor César que he probado.'),
+(3, 7, 3, NULL),
+(5, 3, 5, '¡Auténtico!'),
+(5, 4, 4, NULL),
+(5, 9, 5, 'Perfecto con totopos.');
+
+-- Resumen de valoraciones de cada receta, igual que npm run valoraciones:recalcular
+UPDATE Recetas r
+LEFT JOIN (
+    SELECT id_receta, AVG(puntuacion) AS promedio, COUNT(*) AS total,
+        SUM(puntuacion = 1) AS v1, SUM(puntuacion = 2) AS v2, SUM(puntuacion = 3) AS v3,
+        SUM(puntuacion = 4) AS v4, SUM(puntuacion = 5) AS v5
+    FROM Valoraciones
+    WHERE estado = 'publicada'
+    GROUP BY id_receta
+) val ON val.id_receta = r.id_receta
+SET r.valoracion_promedio = ROUND(val.promedio, 2),
+    r.total_valoraciones = COALESCE(val.total, 0),
+    r.valoraciones_1 = COALESCE(val.v1, 0), r.valoraciones_2 = COALESCE(val.v2, 0),
+    r.valoraciones_3 = COALESCE(val.v3, 0), r.valoraciones_4 = COALESCE(val.v4, 0),
+    r.valoraciones_5 = COALESCE(val.v5, 0),
+    r.fecha_modificacion = r.fecha_modificacion;
 
 -- Más Ingredientes
 INSERT INTO Ingredientes (nombre, unidad_medida) VALUES
@@ -235,6 +517,62 @@ INSERT INTO Ingredientes (nombre, unidad_medida) VALUES
 ('Pescado Blanco', 'g'),
 ('Lentejas', 'g');
 
+-- Ingredientes básicos de despensa
+INSERT INTO Ingredientes (nombre, unidad_medida, es_basico) VALUES
+('Sal', 'g', TRUE),
+('Agua', 'ml', TRUE),
+('Aceite', 'ml', TRUE),
+('Pimienta', 'g', TRUE);
+
+-- Sección de la tienda de cada ingrediente
+UPDATE Ingredientes SET grupo = 'Frutas y verduras'
+WHERE nombre IN ('Piña', 'Lechuga Romana', 'Tomate', 'Cebolla', 'Ajo', 'Aguacate', 'Limón', 'Cilantro', 'Papa');
+UPDATE Ingredientes SET grupo = 'Carnes y pescados'
+WHERE nombre IN ('Carne de cerdo', 'Pechuga de Pollo', 'Panceta', 'Pescado Blanco');
+UPDATE Ingredientes SET grupo = 'Lácteos y huevos'
+WHERE nombre IN ('Crema', 'Queso Parmesano', 'Mantequilla', 'Leche', 'Huevo');
+UPDATE Ingredientes SET grupo = 'Panadería' WHERE nombre IN ('Tortilla', 'Crutones');
+UPDATE Ingredientes SET grupo = 'Despensa' WHERE grupo IS NULL;
+-- Alérgenos y dietas (el resto de ingredientes de prueba no tiene ninguno)
+UPDATE Ingredientes SET alergenos = 'lactosa', no_apto_para = 'vegana'
+WHERE nombre IN ('Crema', 'Mantequilla', 'Leche');
+UPDATE Ingredientes SET alergenos = 'lactosa', no_apto_para = 'vegetariana,vegana' WHERE nombre = 'Queso Parmesano'; -- cuajo animal
+UPDATE Ingredientes SET alergenos = 'huevo', no_apto_para = 'vegana' WHERE nombre = 'Huevo';
+UPDATE Ingredientes SET alergenos = 'gluten' WHERE nombre IN ('Crutones', 'Spaghetti');
+UPDATE Ingredientes SET alergenos = 'pescado', no_apto_para = 'vegetariana,vegana' WHERE nombre = 'Pescado Blanco';
+UPDATE Ingredientes SET alergenos = 'lactosa,huevo,pescado', no_apto_para = 'vegetariana,vegana' WHERE nombre = 'Aderezo César';
+UPDATE Ingredientes SET no_apto_para = 'vegetariana,vegana'
+WHERE nombre IN ('Carne de cerdo', 'Pechuga de Pollo', 'Panceta');
+UPDATE Ingredientes SET etiquetas_revisadas = TRUE;
+-- La información nutricional se carga aparte: npm run nutricion:importar -- datos/nutricion.csv
+
+-- Precios de referencia (el costo calculado de las recetas se rellena al final del script)
+INSERT INTO Precios_Ingrediente (id_ingrediente, precio, cantidad, vigente_desde) VALUES
+(1, 8.50, 1000, '2024-01-01'), -- Carne de cerdo: 8.50 el kg
+(2, 0.30, 1, '2024-01-01'),
+(3, 0.10, 1, '2024-01-01'),
+(4, 1.20, 1000, '2024-01-01'),
+(5, 2.40, 1000, '2024-01-01'),
+(6, 0.90, 1, '2024-01-01'), -- Lechuga Romana: 0.90 la pieza
+(7, 7.50, 1000, '2024-01-01'),
+(8, 2.00, 250, '2024-01-01'),
+(9, 18.00, 1000, '2024-01-01'),
+(10, 3.20, 250, '2024-01-01'),
+(11, 0.35, 1, '2024-01-01'),
+(12, 0.25, 1, '2024-01-01'),
+(13, 0.05, 1, '2024-01-01'),
+(14, 1.10, 1, '2024-01-01'),
+(15, 0.30, 1, '2024-01-01'),
+(16, 0.80, 1, '2024-01-01'),
+(17, 1.20, 1000, '2024-01-01'),
+(18, 2.50, 250, '2024-01-01'),
+(19, 1.00, 1000, '2024-01-01'),
+(20, 1.50, 500, '2024-01-01'),
+(21, 2.40, 12, '2024-01-01'),
+(22, 12.00, 1000, '2024-01-01'),
+(23, 14.00, 1000, '2024-01-01'),
+(24, 2.20, 1000, '2024-01-01');
+
 -- Relaciones para las nuevas recetas
 INSERT INTO Receta_Ingrediente (id_receta, id_ingrediente, cantidad) VALUES
 (3, 6, 1), (3, 7, 1), (3, 8, 1), (3, 9, 1), (3, 10, 1), -- Ensalada César
@@ -245,6 +583,22 @@ INSERT INTO Receta_Ingrediente (id_receta, id_ingrediente, cantidad) VALUES
 (8, 20, 400), (8, 21, 3), (8, 22, 150), (8, 9, 100), -- Pasta Carbonara
 (11, 23, 200), (11, 12, 1), (11, 16, 3); -- Ceviche
 
+-- Costo calculado de las recetas con los precios de referencia vigentes, igual que
+-- npm run costos:recalcular (NULL si falta el precio de algún ingrediente)
+UPDATE Recetas r
+LEFT JOIN (
+    SELECT ri.id_receta, SUM(ri.cantidad * pr.precio_unidad) AS costo, COUNT(*) = COUNT(pr.precio_unidad) AS completo
+    FROM Receta_Ingrediente ri
+    LEFT JOIN (
+        SELECT p.id_ingrediente, AVG(p.precio / p.cantidad) AS precio_unidad
+        FROM Precios_Ingrediente p
+        WHERE p.vigente_desde <= CURDATE() AND (p.vigente_hasta IS NULL OR p.vigente_hasta > CURDATE()) AND p.region IS NULL
+        GROUP BY p.id_ingrediente
+    ) pr ON pr.id_ingrediente = ri.id_ingrediente
+    GROUP BY ri.id_receta
+) calc ON calc.id_receta = r.id_receta
+SET r.costo_calculado = CASE WHEN calc.completo THEN ROUND(calc.costo, 2) END;
+
 -- Pasos para algunas recetas nuevas
 INSERT INTO Pasos (id_receta, numero_paso, descripcion) VALUES
 (3, 1, 'Lavar y cortar la lechuga.'), (3, 2, 'Cocinar el pollo a la parrilla y cortarlo en tiras.'), (3, 3, 'Mezclar todo con el aderezo, crutones y queso.'),
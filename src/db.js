@@ -12,4 +12,23 @@ const pool = mysql.createPool({
   queueLimit: 0
 });
 
-export default pool.promise(); // Exportamos la versión con promesas para un código más limpio
+const db = pool.promise(); // Versión con promesas para un código más limpio
+
+// Ejecuta el callback dentro de una transacción con una conexión dedicada.
+// Si el callback lanza un error se hace rollback y el error se propaga.
+export async function transaccion(callback) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const resultado = await callback(conn);
+    await conn.commit();
+    return resultado;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export default db;
@@ -0,0 +1,17 @@
+// ==============================
+// 🧹 Barrido único de suscripciones vencidas
+// Uso: npm run suscripciones:expirar (por ejemplo desde cron)
+// ==============================
+import "dotenv/config";
+import db from "../db.js";
+import { expirarVencidas } from "../services/suscripciones.js";
+
+try {
+  const resumen = await expirarVencidas();
+  console.log("🧹 Barrido de suscripciones completado:", resumen);
+} catch (err) {
+  console.error("❌ Error en el barrido de suscripciones:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
@@ -0,0 +1,24 @@
+// ==============================
+// 🥗 Importación de información nutricional de los ingredientes
+// Uso: npm run nutricion:importar -- datos/nutricion.csv (CSV o JSON)
+// ==============================
+import "dotenv/config";
+import { readFile } from "fs/promises";
+import path from "path";
+import db from "../db.js";
+import { leerDataset, importarNutricion } from "../services/nutricion.js";
+
+const archivo = process.argv[2];
+
+try {
+  if (!archivo) throw new Error("Indica el archivo del dataset (CSV o JSON)");
+  const texto = await readFile(archivo, "utf8");
+  const filas = leerDataset(texto, path.extname(archivo).toLowerCase() === ".json" ? "json" : "csv");
+  const resumen = await importarNutricion(filas);
+  console.log("🥗 Importación de nutrición completada:", resumen);
+} catch (err) {
+  console.error("❌ Error al importar la nutrición:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
@@ -0,0 +1,18 @@
+// ==============================
+// 💰 Recalcula el costo de todas las recetas con los precios vigentes hoy
+// Uso: npm run costos:recalcular (por ejemplo cada día desde cron, para aplicar
+// los precios que empiezan o dejan de estar vigentes)
+// ==============================
+import "dotenv/config";
+import db from "../db.js";
+import { recalcularCostos } from "../services/costos.js";
+
+try {
+  const recetas = await recalcularCostos();
+  console.log("💰 Costos recalculados:", { recetas });
+} catch (err) {
+  console.error("❌ Error al recalcular los costos:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
@@ -0,0 +1,18 @@
+// ==============================
+// ⭐ Rehace el resumen de valoraciones (media, total e histograma) de todas las recetas
+// Uso: npm run valoraciones:recalcular (al crear la base de datos o tras cargar
+// valoraciones directamente en la tabla)
+// ==============================
+import "dotenv/config";
+import db from "../db.js";
+import { recalcularValoraciones } from "../services/valoraciones.js";
+
+try {
+  const recetas = await recalcularValoraciones();
+  console.log("⭐ Valoraciones recalculadas:", { recetas });
+} catch (err) {
+  console.error("❌ Error al recalcular las valoraciones:", err.message);
+  process.exitCode = 1;
+} finally {
+  await db.end();
+}
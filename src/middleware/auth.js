@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import db from "../db.js";
+import { ErrorHttp } from "./errores.js";
+
+// Duración de una sesión antes de expirar (en horas)
+export const DURACION_SESION_HORAS = Number(process.env.SESION_DURACION_HORAS) || 24;
+
+// Métodos que no modifican datos: se permiten sin sesión
+const METODOS_LECTURA = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// Rutas de escritura que no requieren sesión (relativas a /api)
+const RUTAS_PUBLICAS = [
+  { metodo: "POST", ruta: "/sesiones/login" },
+  { metodo: "POST", ruta: "/usuarios" },
+  // Los webhooks del proveedor de pagos se autentican con su firma
+  { metodo: "POST", ruta: /^\/pagos\/webhook\/[^/]+$/ },
+];
+
+// 🔑 Genera un token aleatorio de 256 bits y su hash para guardarlo en la BD
+export function generarToken() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, tokenHash: hashToken(token) };
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function extraerToken(req) {
+  const cabecera = req.headers.authorization || "";
+  const [tipo, token] = cabecera.split(" ");
+  if (tipo !== "Bearer" || !token) return null;
+  return token;
+}
+
+function esRutaPublica(req) {
+  const ruta = req.path.replace(/\/$/, "");
+  return RUTAS_PUBLICAS.some(
+    (r) => r.metodo === req.method && (r.ruta instanceof RegExp ? r.ruta.test(ruta) : r.ruta === ruta)
+  );
+}
+
+// 🛡️ Resuelve req.user a partir del token y exige sesión en las rutas de escritura
+export async function autenticar(req, res, next) {
+  const token = extraerToken(req);
+
+  if (!token) {
+    if (METODOS_LECTURA.has(req.method) || esRutaPublica(req)) return next();
+    return next(new ErrorHttp(401, "Se requiere iniciar sesión", "SESION_REQUERIDA"));
+  }
+
+  try {
+    const sql = `
+      SELECT s.id_sesion, s.fecha_expiracion, u.id_usuario, u.nombre, u.email, u.tipo_usuario, u.es_moderador
+      FROM Sesiones s
+      JOIN Usuarios u ON s.id_usuario = u.id_usuario
+      WHERE s.token_hash = ? AND s.fecha_cierre IS NULL AND s.fecha_expiracion > NOW();
+    `;
+    const [results] = await db.query(sql, [hashToken(token)]);
+    if (results.length === 0) {
+      return next(new ErrorHttp(401, "Sesión inválida, cerrada o expirada", "SESION_INVALIDA"));
+    }
+
+    const { id_sesion, fecha_expiracion, es_moderador, ...usuario } = results[0];
+    req.user = { ...usuario, es_moderador: !!es_moderador };
+    req.sesion = { id_sesion, fecha_expiracion };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// 🛡️ Para rutas de lectura que también necesitan un usuario identificado
+export function requerirSesion(req, res, next) {
+  if (!req.user) return next(new ErrorHttp(401, "Se requiere iniciar sesión", "SESION_REQUERIDA"));
+  next();
+}
+
+// 🛡️ Para las rutas de moderación: sesión de un usuario con Usuarios.es_moderador
+export function requerirModerador(req, res, next) {
+  if (!req.user) return next(new ErrorHttp(401, "Se requiere iniciar sesión", "SESION_REQUERIDA"));
+  if (!req.user.es_moderador) {
+    return next(new ErrorHttp(403, "Solo los moderadores pueden realizar esta acción", "SOLO_MODERADORES"));
+  }
+  next();
+}
@@ -0,0 +1,34 @@
+import { ErrorHttp } from "./errores.js";
+
+// ==============================
+// 🔒 Control de concurrencia optimista (ETag / If-Match)
+// ==============================
+// Las recetas, sus pasos y sus líneas de ingredientes tienen una columna version que aumenta
+// con cada cambio. Las respuestas la envían como ETag ("3") y el cliente la devuelve en
+// If-Match al modificar: si entretanto otra persona ha cambiado el recurso, el cambio se
+// rechaza con 412 en lugar de sobrescribir el suyo. Sin If-Match no se comprueba nada.
+
+export const etag = (version) => `"${version}"`;
+
+// 🏷️ Envía la versión del recurso como ETag. La ETag identifica la versión de los datos
+// editables, no toda la respuesta (imágenes, nutrición...), así que no debe guardarse en caché
+// ni usarse para peticiones condicionales (If-None-Match).
+export function enviarVersion(res, version) {
+  res.set({ ETag: etag(version), "Cache-Control": "no-store" });
+}
+
+// 🔒 Comprueba If-Match contra la versión actual del recurso y lanza ErrorHttp 412 si no
+// coincide. La versión debe leerse con la fila bloqueada (SELECT ... FOR UPDATE) dentro de la
+// transacción del cambio, para que nadie la cambie entre la comprobación y la escritura.
+export function comprobarVersion(req, version) {
+  const cabecera = req.get("If-Match");
+  if (!cabecera) return;
+  const etiquetas = cabecera.split(",").map((e) => e.trim());
+  if (etiquetas.includes("*") || etiquetas.includes(etag(version))) return;
+  throw new ErrorHttp(
+    412,
+    "El recurso ha cambiado desde que lo obtuviste; vuelve a cargarlo y repite el cambio",
+    "VERSION_OBSOLETA",
+    [{ version_actual: version }]
+  );
+}
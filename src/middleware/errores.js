@@ -0,0 +1,56 @@
+// ==============================
+// ❗ Errores HTTP y manejador central
+// ==============================
+// Toda respuesta de error generada aquí tiene la forma:
+//   { error: "mensaje legible", codigo: "CODIGO", detalles?: [...] }
+
+export class ErrorHttp extends Error {
+  constructor(status, mensaje, codigo = "ERROR", detalles = undefined) {
+    super(mensaje);
+    this.status = status;
+    this.codigo = codigo;
+    this.detalles = detalles;
+  }
+}
+
+// Errores de MySQL que se deben a los datos enviados por el cliente
+const ERRORES_MYSQL = {
+  ER_DUP_ENTRY: { status: 409, codigo: "DUPLICADO", mensaje: "Ya existe un registro con esos datos" },
+  ER_NO_REFERENCED_ROW: { status: 422, codigo: "REFERENCIA_INVALIDA", mensaje: "Se hace referencia a un registro que no existe" },
+  ER_NO_REFERENCED_ROW_2: { status: 422, codigo: "REFERENCIA_INVALIDA", mensaje: "Se hace referencia a un registro que no existe" },
+  ER_ROW_IS_REFERENCED: { status: 409, codigo: "EN_USO", mensaje: "El registro está en uso y no se puede eliminar" },
+  ER_ROW_IS_REFERENCED_2: { status: 409, codigo: "EN_USO", mensaje: "El registro está en uso y no se puede eliminar" },
+  ER_CHECK_CONSTRAINT_VIOLATED: { status: 422, codigo: "RESTRICCION", mensaje: "Algún valor no cumple las restricciones de la base de datos" },
+  ER_BAD_NULL_ERROR: { status: 422, codigo: "CAMPO_REQUERIDO", mensaje: "Falta un campo obligatorio" },
+  ER_DATA_TOO_LONG: { status: 422, codigo: "VALOR_DEMASIADO_LARGO", mensaje: "Algún valor es demasiado largo" },
+  ER_WARN_DATA_OUT_OF_RANGE: { status: 422, codigo: "FUERA_DE_RANGO", mensaje: "Algún valor numérico está fuera de rango" },
+  ER_TRUNCATED_WRONG_VALUE: { status: 422, codigo: "VALOR_INVALIDO", mensaje: "Algún valor tiene un formato inválido" },
+  WARN_DATA_TRUNCATED: { status: 422, codigo: "VALOR_INVALIDO", mensaje: "Algún valor tiene un formato inválido" },
+};
+
+// 🚫 Rutas que no existen
+export function rutaNoEncontrada(req, res, next) {
+  next(new ErrorHttp(404, `No existe la ruta ${req.method} ${req.originalUrl}`, "RUTA_NO_ENCONTRADA"));
+}
+
+// ❗ Manejador central: debe registrarse después de todas las rutas.
+// Express lo reconoce como manejador de errores por tener 4 parámetros.
+export function manejarErrores(err, req, res, next) {
+  if (err instanceof ErrorHttp) {
+    return res.status(err.status).json({ error: err.message, codigo: err.codigo, detalles: err.detalles });
+  }
+
+  // JSON mal formado en el cuerpo de la petición
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "El cuerpo de la petición no es un JSON válido", codigo: "JSON_INVALIDO" });
+  }
+
+  const mysql = ERRORES_MYSQL[err.code];
+  if (mysql) {
+    return res.status(mysql.status).json({ error: mysql.mensaje, codigo: mysql.codigo });
+  }
+
+  // Cualquier otro error es un fallo nuestro: se registra y no se filtran detalles internos
+  console.error(`❌ ${req.method} ${req.originalUrl}:`, err);
+  res.status(500).json({ error: "Error interno del servidor", codigo: "ERROR_INTERNO" });
+}
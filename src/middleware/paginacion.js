@@ -0,0 +1,79 @@
+import { validar } from "./validacion.js";
+
+// ==============================
+// 📄 Paginación, filtros y orden de los listados
+// ==============================
+// Convención común de los GET que devuelven listas:
+//   ?pagina=2&limite=20&orden=costo&direccion=asc&<filtros propios de cada ruta>
+// La respuesta tiene la forma:
+//   { datos: [...], paginacion: { pagina, limite, total, total_paginas } }
+
+const LIMITE_POR_DEFECTO = 20;
+const LIMITE_MAXIMO = 100;
+
+// ✅ Middleware que valida la query del listado y deja en req.paginacion
+// el ORDER BY y el LIMIT/OFFSET a añadir a la consulta.
+//   ordenes: { clave: { columna, direccion, despues } } con la dirección por defecto de cada
+//            orden y, opcionalmente, criterios fijos que se aplican a continuación
+//   porDefecto: clave del orden que se usa si no se indica ninguno
+//   desempate: columna única que se añade al orden para que las páginas sean estables
+//   filtros: esquema de validación de los filtros propios de la ruta (quedan en req.consulta)
+export function paginacion({ ordenes, porDefecto, desempate, filtros = {} }) {
+  const validarConsulta = validar({
+    query: {
+      pagina: { tipo: "entero", min: 1 },
+      limite: { tipo: "entero", min: 1, max: LIMITE_MAXIMO },
+      orden: { tipo: "texto", valores: Object.keys(ordenes) },
+      direccion: { tipo: "texto", valores: ["asc", "desc"] },
+      ...filtros,
+    },
+  });
+
+  return (req, res, next) => {
+    validarConsulta(req, res, (err) => {
+      if (err) return next(err);
+
+      const { pagina = 1, limite = LIMITE_POR_DEFECTO, orden = porDefecto, direccion } = req.consulta;
+      const { columna, direccion: direccionPorDefecto = "asc", despues } = ordenes[orden];
+      const sentido = (direccion ?? direccionPorDefecto).toUpperCase();
+      const criterios = [`${columna} ${sentido}`, despues, `${desempate} ${sentido}`].filter(Boolean);
+
+      req.paginacion = {
+        pagina,
+        limite,
+        orden,
+        sql: `ORDER BY ${criterios.join(", ")} LIMIT ? OFFSET ?`,
+        params: [limite, (pagina - 1) * limite],
+      };
+      next();
+    });
+  };
+}
+
+// 🧮 Acumula condiciones WHERE con sus parámetros
+export function crearFiltros(condicionInicial = null) {
+  const condiciones = [];
+  const params = [];
+  if (condicionInicial) {
+    condiciones.push(condicionInicial.sql);
+    params.push(...condicionInicial.params);
+  }
+  return {
+    // Añade la condición solo si el valor del filtro viene en la petición
+    agregar(valor, sql, ...valores) {
+      if (valor === undefined) return;
+      condiciones.push(sql);
+      params.push(...(valores.length > 0 ? valores : [valor]));
+    },
+    get sql() {
+      return condiciones.length > 0 ? `WHERE ${condiciones.join(" AND ")}` : "";
+    },
+    params,
+  };
+}
+
+// 📦 Respuesta común de los listados paginados
+export function respuestaPaginada(req, datos, total) {
+  const { pagina, limite } = req.paginacion;
+  return { datos, paginacion: { pagina, limite, total, total_paginas: Math.ceil(total / limite) } };
+}
@@ -0,0 +1,91 @@
+import db from "../db.js";
+import { CONDICION_ACTIVA } from "../services/suscripciones.js";
+import { ErrorHttp } from "./errores.js";
+
+// Qué permiso exige cada nivel y qué error devolver cuando falta
+const NIVELES = {
+  ver: { campo: "puedeVer", error: "No tienes acceso a esta receta", codigo: "SIN_ACCESO" },
+  contenido: { campo: "puedeVerContenido", error: "Receta premium: se requiere una suscripción activa", codigo: "SUSCRIPCION_REQUERIDA" },
+  modificar: { campo: "puedeModificar", error: "No tienes permiso para modificar esta receta", codigo: "SIN_PERMISO" },
+  autor: { campo: "esAutor", error: "Solo el autor principal puede realizar esta acción", codigo: "SOLO_AUTOR" },
+};
+
+// 👥 Calcula los permisos de un usuario (o anónimo) sobre una receta
+// Solo cuentan las invitaciones aceptadas. Devuelve null si la receta no existe.
+export async function obtenerPermisos(id_receta, usuario) {
+  const id_usuario = usuario ? usuario.id_usuario : null;
+  const sql = `
+    SELECT r.autor_id, r.es_publica, r.es_premium, ar.rol, ar.permiso_modificar,
+      EXISTS (
+        SELECT 1 FROM Suscripciones s
+        WHERE s.id_usuario = ? AND ${CONDICION_ACTIVA}
+      ) AS suscrito
+    FROM Recetas r
+    LEFT JOIN Autores_Receta ar
+      ON ar.id_receta = r.id_receta AND ar.id_usuario = ? AND ar.estado = 'aceptada'
+    WHERE r.id_receta = ?;
+  `;
+  const [results] = await db.query(sql, [id_usuario, id_usuario, id_receta]);
+  if (results.length === 0) return null;
+
+  const { autor_id, es_publica, es_premium, rol, permiso_modificar, suscrito } = results[0];
+  const esAutor = !!usuario && autor_id === usuario.id_usuario;
+  const esColaborador = rol === "colaborador";
+  // Los invitados y colaboradores pueden leer las recetas privadas
+  const puedeVer = !!es_publica || esAutor || rol !== null;
+  return {
+    rol: esAutor ? "autor" : rol,
+    esAutor,
+    puedeVer,
+    // Ingredientes y pasos de una receta premium: solo suscriptores y autores
+    puedeVerContenido: puedeVer && (!es_premium || esAutor || rol !== null || !!suscrito),
+    puedeModificar: esAutor || (esColaborador && !!permiso_modificar),
+  };
+}
+
+// Condición SQL (sobre el alias r) para listar solo las recetas visibles para el usuario:
+// las públicas y las privadas donde es autor o colaborador aceptado
+export function condicionVisible(usuario) {
+  if (!usuario) return { sql: "r.es_publica = TRUE", params: [] };
+  const sql = `(r.es_publica = TRUE OR r.autor_id = ? OR EXISTS (
+    SELECT 1 FROM Autores_Receta ar
+    WHERE ar.id_receta = r.id_receta AND ar.id_usuario = ? AND ar.estado = 'aceptada'
+  ))`;
+  return { sql, params: [usuario.id_usuario, usuario.id_usuario] };
+}
+
+// Condición SQL (sobre el alias r) que indica si el usuario puede ver los ingredientes
+// y pasos de una receta del listado: no es premium, es autor o colaborador, o está suscrito
+export function condicionContenido(usuario) {
+  if (!usuario) return { sql: "r.es_premium = FALSE", params: [] };
+  const sql = `(r.es_premium = FALSE OR r.autor_id = ? OR EXISTS (
+    SELECT 1 FROM Autores_Receta ar
+    WHERE ar.id_receta = r.id_receta AND ar.id_usuario = ? AND ar.estado = 'aceptada'
+  ) OR EXISTS (
+    SELECT 1 FROM Suscripciones s
+    WHERE s.id_usuario = ? AND ${CONDICION_ACTIVA}
+  ))`;
+  return { sql, params: [usuario.id_usuario, usuario.id_usuario, usuario.id_usuario] };
+}
+
+// 🛡️ Middleware: exige un nivel de permiso ("ver", "contenido", "modificar" o "autor") sobre la receta
+// obtenerId indica de dónde sale el id de la receta (por defecto req.params.id)
+export function permisoReceta(nivel, obtenerId = (req) => req.params.id) {
+  const { campo, error, codigo } = NIVELES[nivel];
+  return async (req, res, next) => {
+    const id_receta = obtenerId(req);
+    if (!id_receta) return next(new ErrorHttp(400, "El id de la receta es requerido", "ID_REQUERIDO"));
+    try {
+      const permisos = await obtenerPermisos(id_receta, req.user);
+      if (!permisos) return next(new ErrorHttp(404, "Receta no encontrada", "RECETA_NO_ENCONTRADA"));
+      if (!permisos[campo]) {
+        if (!req.user) return next(new ErrorHttp(401, "Se requiere iniciar sesión", "SESION_REQUERIDA"));
+        return next(new ErrorHttp(403, error, codigo));
+      }
+      req.permisos = permisos;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,56 @@
+import multer from "multer";
+import { ErrorHttp } from "./errores.js";
+import { FORMATOS, TAMANO_MAXIMO_MB, procesarImagen } from "../services/imagenes.js";
+
+// ==============================
+// 📤 Subida de imágenes (multipart/form-data)
+// ==============================
+// Los archivos se leen en memoria con el límite de tamaño de IMAGENES_TAMANO_MAX_MB y se
+// comprueban con su contenido real, no con el tipo que declara el cliente.
+
+const subida = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: TAMANO_MAXIMO_MB * 1024 * 1024, fields: 10 },
+  // Descarte rápido por el tipo declarado; procesarImagen comprueba después el contenido
+  fileFilter: (req, file, cb) => {
+    if (Object.values(FORMATOS).includes(file.mimetype)) return cb(null, true);
+    cb(new ErrorHttp(415, `Tipo de archivo no admitido: ${file.mimetype}`, "FORMATO_NO_ADMITIDO"));
+  },
+});
+
+// Errores de multer que se deben a la petición del cliente
+const ERRORES_SUBIDA = {
+  LIMIT_FILE_SIZE: { status: 413, codigo: "ARCHIVO_DEMASIADO_GRANDE", mensaje: `Cada imagen puede ocupar como máximo ${TAMANO_MAXIMO_MB} MB` },
+  LIMIT_FILE_COUNT: { status: 400, codigo: "DEMASIADOS_ARCHIVOS", mensaje: "Se han enviado demasiadas imágenes" },
+  LIMIT_UNEXPECTED_FILE: { status: 400, codigo: "CAMPO_INESPERADO", mensaje: "Campo de archivo no esperado o demasiadas imágenes" },
+};
+
+// 📤 Middleware: lee hasta `maximo` imágenes del campo `campo` y deja en req.imagenes
+// las imágenes ya procesadas (ver procesarImagen), en el orden en que se enviaron
+export function subirImagenes(campo, maximo = 1) {
+  const leer = subida.array(campo, maximo);
+  return (req, res, next) => {
+    if (!req.is("multipart/form-data")) {
+      return next(new ErrorHttp(415, "Las imágenes se envían como multipart/form-data", "MULTIPART_REQUERIDO"));
+    }
+    leer(req, res, async (err) => {
+      if (err instanceof multer.MulterError) {
+        const { status, codigo, mensaje } = ERRORES_SUBIDA[err.code] ?? { status: 400, codigo: "SUBIDA_INVALIDA", mensaje: err.message };
+        const detalle = err.code === "LIMIT_UNEXPECTED_FILE" || err.code === "LIMIT_FILE_COUNT" ? ` (campo ${campo}, máximo ${maximo})` : "";
+        return next(new ErrorHttp(status, mensaje + detalle, codigo));
+      }
+      if (err) return next(err);
+      if (!req.files || req.files.length === 0) {
+        return next(new ErrorHttp(400, `Falta la imagen en el campo ${campo}`, "IMAGEN_REQUERIDA"));
+      }
+      try {
+        // De una en una: el procesado usa mucha memoria con imágenes grandes
+        req.imagenes = [];
+        for (const archivo of req.files) req.imagenes.push(await procesarImagen(archivo));
+        next();
+      } catch (errProcesado) {
+        next(errProcesado);
+      }
+    });
+  };
+}
@@ -0,0 +1,151 @@
+import { ErrorHttp } from "./errores.js";
+
+// ==============================
+// ✅ Validación de body, params y query
+// ==============================
+// Cada esquema describe los campos de una parte de la petición:
+//   validar({
+//     params: { id: campos.id },
+//     body: { titulo: { tipo: "texto", requerido: true, max: 150 } },
+//   })
+// Tipos: entero, numero, texto, email, booleano, fecha, lista, objeto.
+// Opciones: requerido, min, max (valor o longitud), valores (enum), patron (expresión regular),
+//           elementos (esquema de cada elemento de una lista), campos (de un objeto).
+// params y query llegan como texto y se convierten al tipo indicado; los valores
+// convertidos de query quedan en req.consulta (en Express 5 req.query es de solo lectura).
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Campos que se repiten en muchas rutas
+export const campos = {
+  id: { tipo: "entero", requerido: true, min: 1 },
+  // Fecha sin hora (AAAA-MM-DD)
+  dia: { tipo: "fecha", patron: /^\d{4}-\d{2}-\d{2}$/ },
+};
+
+// Esquema para actualizaciones parciales (PATCH): los mismos campos, ninguno requerido
+export function parcial(esquema) {
+  return Object.fromEntries(Object.entries(esquema).map(([nombre, { requerido, ...regla }]) => [nombre, regla]));
+}
+
+// Convierte el texto de params/query al tipo del esquema (si no se puede, se deja igual)
+function convertir(valor, tipo) {
+  if (typeof valor !== "string") return valor;
+  if (tipo === "entero" || tipo === "numero") return valor.trim() === "" ? valor : Number(valor);
+  if (tipo === "booleano") {
+    if (["true", "1"].includes(valor)) return true;
+    if (["false", "0"].includes(valor)) return false;
+  }
+  if (tipo === "lista") return valor.split(",").map((v) => v.trim()).filter(Boolean);
+  return valor;
+}
+
+// Date.parse acepta días que no existen ("2024-02-31" pasa a ser el 2 de marzo): el día
+// AAAA-MM-DD con que empiece el valor debe ser el mismo después de convertirlo a fecha
+function diaExiste(valor) {
+  const dia = /^\d{4}-\d{2}-\d{2}/.exec(valor)?.[0];
+  if (!dia) return true;
+  const fecha = new Date(`${dia}T00:00:00Z`);
+  return !Number.isNaN(fecha.getTime()) && fecha.toISOString().slice(0, 10) === dia;
+}
+
+// Devuelve el mensaje de error del valor, o null si es válido
+function comprobarTipo(valor, regla) {
+  const { tipo, min, max } = regla;
+  switch (tipo) {
+    case "entero":
+      if (!Number.isInteger(valor)) return "debe ser un número entero";
+      break;
+    case "numero":
+      if (typeof valor !== "number" || !Number.isFinite(valor)) return "debe ser un número";
+      break;
+    case "texto":
+      if (typeof valor !== "string") return "debe ser un texto";
+      break;
+    case "email":
+      if (typeof valor !== "string" || !EMAIL.test(valor)) return "debe ser un email válido";
+      break;
+    case "booleano":
+      // MySQL devuelve los BOOLEAN como 0/1, así que también se aceptan
+      if (typeof valor !== "boolean" && valor !== 0 && valor !== 1) return "debe ser verdadero o falso";
+      break;
+    case "fecha":
+      if (typeof valor !== "string" || Number.isNaN(Date.parse(valor)) || !diaExiste(valor)) return "debe ser una fecha válida";
+      break;
+    case "lista":
+      if (!Array.isArray(valor)) return "debe ser una lista";
+      break;
+    case "objeto":
+      if (typeof valor !== "object" || valor === null || Array.isArray(valor)) return "debe ser un objeto";
+      break;
+    default:
+      throw new Error(`Tipo de validación desconocido: ${tipo}`);
+  }
+
+  const medida = ["texto", "email", "lista"].includes(tipo) ? valor.length : valor;
+  const unidad = tipo === "lista" ? " elementos" : ["texto", "email"].includes(tipo) ? " caracteres" : "";
+  if (min !== undefined && medida < min) return `debe ser como mínimo ${min}${unidad}`;
+  if (max !== undefined && medida > max) return `debe ser como máximo ${max}${unidad}`;
+  if (regla.valores && !regla.valores.includes(valor)) return `debe ser uno de: ${regla.valores.join(", ")}`;
+  if (regla.patron && !regla.patron.test(valor)) return "no tiene el formato esperado";
+  return null;
+}
+
+// Valida `datos` contra `esquema` y acumula los errores en `errores`.
+// Con `convertirTexto` cambia en `datos` los valores convertidos.
+function validarCampos(datos, esquema, ruta, errores, convertirTexto) {
+  for (const [nombre, regla] of Object.entries(esquema)) {
+    const campo = `${ruta}.${nombre}`;
+    let valor = datos[nombre];
+
+    if (valor === undefined || valor === null || valor === "") {
+      if (regla.requerido) errores.push({ campo, mensaje: "es requerido" });
+      continue;
+    }
+
+    if (convertirTexto) {
+      valor = convertir(valor, regla.tipo);
+      datos[nombre] = valor;
+    }
+
+    const mensaje = comprobarTipo(valor, regla);
+    if (mensaje) {
+      errores.push({ campo, mensaje });
+      continue;
+    }
+
+    if (regla.tipo === "objeto" && regla.campos) {
+      validarCampos(valor, regla.campos, campo, errores, false);
+    }
+    if (regla.tipo === "lista" && regla.elementos) {
+      valor.forEach((elemento, i) => {
+        const mensajeElemento = comprobarTipo(elemento, regla.elementos);
+        if (mensajeElemento) errores.push({ campo: `${campo}[${i}]`, mensaje: mensajeElemento });
+        else if (regla.elementos.tipo === "objeto" && regla.elementos.campos) {
+          validarCampos(elemento, regla.elementos.campos, `${campo}[${i}]`, errores, false);
+        }
+      });
+    }
+  }
+}
+
+// ✅ Middleware que valida la petición y responde 400 con todos los errores encontrados
+export function validar({ params, query, body } = {}) {
+  return (req, res, next) => {
+    const errores = [];
+    if (params) validarCampos(req.params, params, "params", errores, true);
+    if (query) {
+      req.consulta = { ...req.query };
+      validarCampos(req.consulta, query, "query", errores, true);
+    }
+    if (body) {
+      if (req.body === undefined) req.body = {};
+      validarCampos(req.body, body, "body", errores, false);
+    }
+
+    if (errores.length > 0) {
+      return next(new ErrorHttp(400, "Datos de entrada inválidos", "VALIDACION", errores));
+    }
+    next();
+  };
+}
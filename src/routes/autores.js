@@ -0,0 +1,420 @@
+import express from "express";
+import db from "../db.js";
+import { permisoReceta } from "../middleware/permisos.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+
+// mergeParams para leer el :id de la receta definido en server.js
+const router = express.Router({ mergeParams: true });
+
+// Días que tiene un usuario para responder a una invitación
+const DURACION_INVITACION_DIAS = Number(process.env.INVITACION_DURACION_DIAS) || 7;
+const ROLES = ["colaborador", "invitado"];
+
+// ✅ Esquemas de validación
+const validarIdReceta = validar({ params: { id: campos.id } });
+const validarIdColaborador = validar({ params: { id: campos.id, id_usuario: campos.id } });
+const camposRol = {
+  rol: { tipo: "texto", valores: ROLES },
+  permiso_modificar: { tipo: "booleano" },
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AutorReceta:
+ *       type: object
+ *       properties:
+ *         id_receta:
+ *           type: integer
+ *         id_usuario:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *           description: Nombre del usuario invitado.
+ *         email:
+ *           type: string
+ *         rol:
+ *           type: string
+ *           enum: [colaborador, invitado]
+ *         permiso_modificar:
+ *           type: boolean
+ *           description: Solo aplica a colaboradores; los invitados son de solo lectura.
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, aceptada, rechazada, expirada]
+ *         fecha_invitacion:
+ *           type: string
+ *           format: date-time
+ *         fecha_expiracion:
+ *           type: string
+ *           format: date-time
+ *         fecha_respuesta:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id_receta: 1
+ *         id_usuario: 2
+ *         nombre: "Fátima"
+ *         email: "fatima@example.com"
+ *         rol: "colaborador"
+ *         permiso_modificar: true
+ *         estado: "aceptada"
+ *     InvitacionAutor:
+ *       type: object
+ *       properties:
+ *         id_usuario:
+ *           type: integer
+ *           description: ID del usuario a invitar (o bien su email).
+ *         email:
+ *           type: string
+ *           format: email
+ *         rol:
+ *           type: string
+ *           enum: [colaborador, invitado]
+ *           default: colaborador
+ *         permiso_modificar:
+ *           type: boolean
+ *           default: false
+ *       example:
+ *         email: "carlos@example.com"
+ *         rol: "colaborador"
+ *         permiso_modificar: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Autores
+ *   description: Colaboradores e invitaciones de una receta.
+ */
+
+// Marca como expiradas las invitaciones pendientes cuyo plazo ya pasó
+async function expirarInvitaciones(id_receta) {
+  const sql = `
+    UPDATE Autores_Receta SET estado = 'expirada'
+    WHERE id_receta = ? AND estado = 'pendiente' AND fecha_expiracion <= NOW();
+  `;
+  await db.query(sql, [id_receta]);
+}
+
+// 👥 LISTAR COLABORADORES E INVITACIONES
+/**
+ * @swagger
+ * /recetas/{id}/autores:
+ *   get:
+ *     summary: Lista los colaboradores e invitaciones de una receta.
+ *     description: >
+ *       Solo el autor principal ve las invitaciones no aceptadas y el email de cada usuario. Los
+ *       demás reciben los colaboradores aceptados con su id_usuario, nombre y rol.
+ *     tags: [Autores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, aceptada, rechazada, expirada]
+ *         description: Filtra por estado de la invitación.
+ *     responses:
+ *       200:
+ *         description: Lista de colaboradores con su rol, permiso y estado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AutorReceta'
+ */
+const validarListado = validar({
+  params: { id: campos.id },
+  query: { estado: { tipo: "texto", valores: ["pendiente", "aceptada", "rechazada", "expirada"] } },
+});
+
+router.get("/", validarListado, permisoReceta("ver"), async (req, res, next) => {
+  const { id } = req.params;
+  const { estado } = req.consulta;
+  // Quién ha sido invitado o ha rechazado, y los emails, solo los ve el autor principal
+  const completo = req.permisos.esAutor;
+  try {
+    await expirarInvitaciones(id);
+    let sql = `
+      SELECT ${completo ? "ar.*, u.nombre, u.email" : "ar.id_usuario, u.nombre, ar.rol"}
+      FROM Autores_Receta ar
+      JOIN Usuarios u ON ar.id_usuario = u.id_usuario
+      WHERE ar.id_receta = ?
+    `;
+    const params = [id];
+    if (!completo) sql += " AND ar.estado = 'aceptada'";
+    if (estado) {
+      sql += " AND ar.estado = ?";
+      params.push(estado);
+    }
+    const [results] = await db.query(sql + " ORDER BY ar.fecha_invitacion", params);
+    res.json(results);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 👥 INVITAR A UN USUARIO
+/**
+ * @swagger
+ * /recetas/{id}/autores:
+ *   post:
+ *     summary: Invita a un usuario (por id o email) a colaborar en la receta. Solo el autor principal.
+ *     tags: [Autores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvitacionAutor'
+ *     responses:
+ *       201:
+ *         description: Invitación creada en estado pendiente.
+ *       400:
+ *         description: Datos de entrada inválidos.
+ *       404:
+ *         description: Usuario no encontrado.
+ *       409:
+ *         description: El usuario ya tiene una invitación pendiente o aceptada.
+ */
+const validarInvitacion = validar({
+  params: { id: campos.id },
+  body: { id_usuario: { tipo: "entero", min: 1 }, email: { tipo: "email" }, ...camposRol },
+});
+
+router.post("/", validarInvitacion, permisoReceta("autor"), async (req, res, next) => {
+  const { id } = req.params;
+  const { id_usuario, email, rol = "colaborador", permiso_modificar = false } = req.body;
+  if (!id_usuario && !email) {
+    return next(new ErrorHttp(400, "Se requiere id_usuario o email", "USUARIO_REQUERIDO"));
+  }
+
+  try {
+    const [usuarios] = id_usuario
+      ? await db.query("SELECT id_usuario FROM Usuarios WHERE id_usuario = ?", [id_usuario])
+      : await db.query("SELECT id_usuario FROM Usuarios WHERE email = ?", [email]);
+    if (usuarios.length === 0) return next(new ErrorHttp(404, "Usuario no encontrado", "USUARIO_NO_ENCONTRADO"));
+    const invitado = usuarios[0].id_usuario;
+
+    if (invitado === req.user.id_usuario) {
+      return next(new ErrorHttp(400, "El autor principal no puede invitarse a sí mismo", "AUTOINVITACION"));
+    }
+
+    await expirarInvitaciones(id);
+    const [existentes] = await db.query(
+      "SELECT estado FROM Autores_Receta WHERE id_receta = ? AND id_usuario = ?",
+      [id, invitado]
+    );
+    if (existentes.length > 0 && ["pendiente", "aceptada"].includes(existentes[0].estado)) {
+      return next(new ErrorHttp(409, `El usuario ya tiene una invitación ${existentes[0].estado}`, "INVITACION_EXISTENTE"));
+    }
+
+    // Los invitados nunca pueden modificar
+    const puedeModificar = rol === "colaborador" && !!permiso_modificar;
+    const fecha_expiracion = new Date(Date.now() + DURACION_INVITACION_DIAS * 24 * 60 * 60 * 1000);
+    // Si antes la rechazó o expiró, se reabre la misma fila
+    const sql = `
+      INSERT INTO Autores_Receta (id_receta, id_usuario, rol, permiso_modificar, estado, fecha_expiracion)
+      VALUES (?, ?, ?, ?, 'pendiente', ?)
+      ON DUPLICATE KEY UPDATE rol = VALUES(rol), permiso_modificar = VALUES(permiso_modificar),
+        estado = 'pendiente', fecha_invitacion = NOW(), fecha_expiracion = VALUES(fecha_expiracion),
+        fecha_respuesta = NULL;
+    `;
+    await db.query(sql, [id, invitado, rol, puedeModificar, fecha_expiracion]);
+    res.status(201).json({
+      id_receta: Number(id),
+      id_usuario: invitado,
+      rol,
+      permiso_modificar: puedeModificar,
+      estado: "pendiente",
+      fecha_expiracion,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 👥 RESPONDER A UNA INVITACIÓN (el propio usuario invitado)
+async function responderInvitacion(req, res, next, estado) {
+  const { id } = req.params;
+  try {
+    await expirarInvitaciones(id);
+    const sql = `
+      UPDATE Autores_Receta SET estado = ?, fecha_respuesta = NOW()
+      WHERE id_receta = ? AND id_usuario = ? AND estado = 'pendiente';
+    `;
+    const [result] = await db.query(sql, [estado, id, req.user.id_usuario]);
+    if (result.affectedRows === 0) {
+      return next(new ErrorHttp(404, "No tienes una invitación pendiente para esta receta", "INVITACION_NO_ENCONTRADA"));
+    }
+    res.json({ mensaje: `Invitación ${estado}`, estado });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * @swagger
+ * /recetas/{id}/autores/aceptar:
+ *   post:
+ *     summary: Acepta la invitación pendiente del usuario de la sesión.
+ *     tags: [Autores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitación aceptada.
+ *       404:
+ *         description: No hay invitación pendiente (o ya expiró).
+ */
+router.post("/aceptar", validarIdReceta, (req, res, next) => responderInvitacion(req, res, next, "aceptada"));
+
+/**
+ * @swagger
+ * /recetas/{id}/autores/rechazar:
+ *   post:
+ *     summary: Rechaza la invitación pendiente del usuario de la sesión.
+ *     tags: [Autores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitación rechazada.
+ *       404:
+ *         description: No hay invitación pendiente (o ya expiró).
+ */
+router.post("/rechazar", validarIdReceta, (req, res, next) => responderInvitacion(req, res, next, "rechazada"));
+
+// 👥 CAMBIAR ROL O PERMISO DE UN COLABORADOR
+/**
+ * @swagger
+ * /recetas/{id}/autores/{id_usuario}:
+ *   put:
+ *     summary: Cambia el rol o el permiso de modificar de un colaborador. Solo el autor principal.
+ *     tags: [Autores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id_usuario
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rol:
+ *                 type: string
+ *                 enum: [colaborador, invitado]
+ *               permiso_modificar:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Colaborador actualizado correctamente.
+ *       400:
+ *         description: Datos de entrada inválidos.
+ *       404:
+ *         description: Colaborador no encontrado.
+ */
+const validarCambioRol = validar({ params: { id: campos.id, id_usuario: campos.id }, body: camposRol });
+
+router.put("/:id_usuario", validarCambioRol, permisoReceta("autor"), async (req, res, next) => {
+  const { id, id_usuario } = req.params;
+  const { rol, permiso_modificar } = req.body;
+  if (rol === undefined && permiso_modificar === undefined) {
+    return next(new ErrorHttp(400, "Se requiere rol o permiso_modificar", "SIN_CAMBIOS"));
+  }
+
+  try {
+    const [actuales] = await db.query(
+      "SELECT rol, permiso_modificar FROM Autores_Receta WHERE id_receta = ? AND id_usuario = ?",
+      [id, id_usuario]
+    );
+    if (actuales.length === 0) return next(new ErrorHttp(404, "Colaborador no encontrado", "COLABORADOR_NO_ENCONTRADO"));
+
+    const nuevoRol = rol ?? actuales[0].rol;
+    const nuevoPermiso = nuevoRol === "colaborador" && !!(permiso_modificar ?? actuales[0].permiso_modificar);
+    await db.query(
+      "UPDATE Autores_Receta SET rol = ?, permiso_modificar = ? WHERE id_receta = ? AND id_usuario = ?",
+      [nuevoRol, nuevoPermiso, id, id_usuario]
+    );
+    res.json({ mensaje: "Colaborador actualizado correctamente", rol: nuevoRol, permiso_modificar: nuevoPermiso });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 👥 ELIMINAR UN COLABORADOR (o abandonar la receta)
+/**
+ * @swagger
+ * /recetas/{id}/autores/{id_usuario}:
+ *   delete:
+ *     summary: Elimina a un colaborador o cancela su invitación. El autor principal puede quitar a cualquiera; un colaborador solo a sí mismo.
+ *     tags: [Autores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id_usuario
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Colaborador eliminado correctamente.
+ *       403:
+ *         description: Sin permiso para eliminar a este colaborador.
+ *       404:
+ *         description: Colaborador no encontrado.
+ */
+router.delete("/:id_usuario", validarIdColaborador, async (req, res, next) => {
+  const { id, id_usuario } = req.params;
+  try {
+    const [recetas] = await db.query("SELECT autor_id FROM Recetas WHERE id_receta = ?", [id]);
+    if (recetas.length === 0) return next(new ErrorHttp(404, "Receta no encontrada", "RECETA_NO_ENCONTRADA"));
+    const esAutor = recetas[0].autor_id === req.user.id_usuario;
+    if (!esAutor && Number(id_usuario) !== req.user.id_usuario) {
+      return next(new ErrorHttp(403, "Solo el autor principal puede eliminar a otros colaboradores", "SOLO_AUTOR"));
+    }
+
+    const [result] = await db.query("DELETE FROM Autores_Receta WHERE id_receta = ? AND id_usuario = ?", [id, id_usuario]);
+    if (result.affectedRows === 0) return next(new ErrorHttp(404, "Colaborador no encontrado", "COLABORADOR_NO_ENCONTRADO"));
+    res.json({ mensaje: "Colaborador eliminado correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,8 +1,19 @@
 import express from "express";
 import db from "../db.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { condicionVisible } from "../middleware/permisos.js";
+import { COLUMNAS_RESUMEN_VALORACIONES } from "../services/valoraciones.js";
 
 const router = express.Router();
 
+// Valoraciones que necesita una receta para entrar en el ranking, para que una sola
+// valoración de 5 no la ponga por delante de recetas con muchas
+const MINIMO_VALORACIONES_RANKING = 3;
+
+const validarId = validar({ params: { id: campos.id } });
+const camposCategoria = { nombre: { tipo: "texto", requerido: true, max: 50 } };
+
 /**
  * @swagger
  * components:
@@ -51,12 +62,101 @@ const router = express.Router();
  *       200:
  *         description: Una lista de categorías.
  */
-router.get("/", async (req, res) => {
+router.get("/", async (req, res, next) => {
   try {
     const [results] = await db.query("SELECT * FROM Categorias");
     res.json(results);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// 🏆 RECETAS MEJOR VALORADAS DE CADA CATEGORÍA
+/**
+ * @swagger
+ * /categorias/mejor-valoradas:
+ *   get:
+ *     summary: Ranking de las recetas mejor valoradas de cada categoría.
+ *     description: >
+ *       Ordena por valoración media y, a igualdad, por número de valoraciones. Solo entran las
+ *       recetas visibles para el usuario con al menos min_valoraciones valoraciones; las categorías
+ *       sin ninguna no aparecen.
+ *     tags: [Categorias]
+ *     parameters:
+ *       - in: query
+ *         name: categoria_id
+ *         schema:
+ *           type: integer
+ *         description: Solo el ranking de esta categoría.
+ *       - in: query
+ *         name: limite
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *         description: Recetas por categoría.
+ *       - in: query
+ *         name: min_valoraciones
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 3
+ *     responses:
+ *       200:
+ *         description: Categorías con sus recetas mejor valoradas, en orden.
+ *         content:
+ *           application/json:
+ *             example:
+ *               - id_categoria: 1
+ *                 nombre: Mexicana
+ *                 recetas:
+ *                   - posicion: 1
+ *                     id_receta: 1
+ *                     titulo: Tacos al pastor
+ *                     es_premium: 0
+ *                     valoracion_promedio: "4.75"
+ *                     total_valoraciones: 12
+ *                     histograma_valoraciones: { "1": 0, "2": 0, "3": 1, "4": 1, "5": 10 }
+ */
+const validarRanking = validar({
+  query: {
+    categoria_id: { tipo: "entero", min: 1 },
+    limite: { tipo: "entero", min: 1, max: 50 },
+    min_valoraciones: { tipo: "entero", min: 1 },
+  },
+});
+
+router.get("/mejor-valoradas", validarRanking, async (req, res, next) => {
+  const { categoria_id, limite = 5, min_valoraciones = MINIMO_VALORACIONES_RANKING } = req.consulta;
+  const visible = condicionVisible(req.user);
+  try {
+    const sql = `
+      SELECT * FROM (
+        SELECT r.categoria_id, c.nombre AS categoria,
+          ROW_NUMBER() OVER (
+            PARTITION BY r.categoria_id
+            ORDER BY r.valoracion_promedio DESC, r.total_valoraciones DESC, r.id_receta
+          ) AS posicion,
+          r.id_receta, r.titulo, r.es_premium, ${COLUMNAS_RESUMEN_VALORACIONES}
+        FROM Recetas r
+        JOIN Categorias c ON r.categoria_id = c.id_categoria
+        WHERE r.total_valoraciones >= ? AND (? IS NULL OR r.categoria_id = ?) AND ${visible.sql}
+      ) ranking
+      WHERE posicion <= ?
+      ORDER BY categoria, categoria_id, posicion;
+    `;
+    const params = [min_valoraciones, categoria_id ?? null, categoria_id ?? null, ...visible.params, limite];
+    const [results] = await db.query(sql, params);
+
+    const categorias = new Map();
+    for (const { categoria_id: id_categoria, categoria, ...receta } of results) {
+      if (!categorias.has(id_categoria)) categorias.set(id_categoria, { id_categoria, nombre: categoria, recetas: [] });
+      categorias.get(id_categoria).recetas.push(receta);
+    }
+    res.json([...categorias.values()]);
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -77,14 +177,14 @@ router.get("/", async (req, res) => {
  *       200:
  *         description: La información de la categoría.
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", validarId, async (req, res, next) => {
   const { id } = req.params;
   try {
     const [results] = await db.query("SELECT * FROM Categorias WHERE id_categoria = ?", [id]);
-    if (results.length === 0) return res.status(404).json({ mensaje: "Categoría no encontrada" });
+    if (results.length === 0) return next(new ErrorHttp(404, "Categoría no encontrada", "CATEGORIA_NO_ENCONTRADA"));
     res.json(results[0]);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -105,15 +205,14 @@ router.get("/:id", async (req, res) => {
  *       201:
  *         description: Categoría creada exitosamente.
  */
-router.post("/", async (req, res) => {
+router.post("/", validar({ body: camposCategoria }), async (req, res, next) => {
   const { nombre } = req.body;
-  if (!nombre) return res.status(400).json({ error: "El nombre es requerido" });
   try {
     const sql = "INSERT INTO Categorias (nombre) VALUES (?)";
     const [result] = await db.query(sql, [nombre]);
     res.status(201).json({ id: result.insertId, nombre });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -140,16 +239,15 @@ router.post("/", async (req, res) => {
  *       200:
  *         description: Categoría actualizada correctamente.
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", validar({ params: { id: campos.id }, body: camposCategoria }), async (req, res, next) => {
   const { id } = req.params;
   const { nombre } = req.body;
-  if (!nombre) return res.status(400).json({ error: "El nombre es requerido" });
   try {
     const sql = "UPDATE Categorias SET nombre=? WHERE id_categoria=?";
     await db.query(sql, [nombre, id]);
     res.json({ mensaje: "Categoría actualizada correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -170,13 +268,13 @@ router.put("/:id", async (req, res) => {
  *       200:
  *         description: Categoría eliminada correctamente.
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", validarId, async (req, res, next) => {
   const { id } = req.params;
   try {
     await db.query("DELETE FROM Categorias WHERE id_categoria=?", [id]);
     res.json({ mensaje: "Categoría eliminada correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
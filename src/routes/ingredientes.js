@@ -1,65 +1,158 @@
 import express from "express";
-import db from "../db.js";
+import db, { transaccion } from "../db.js";
+import { requerirModerador } from "../middleware/auth.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { paginacion, crearFiltros, respuestaPaginada } from "../middleware/paginacion.js";
+import { NUTRIENTES } from "../services/nutricion.js";
+import { ALERGENOS, INCOMPATIBILIDADES } from "../services/dietas.js";
+import { recalcularCostos } from "../services/costos.js";
+import { prepararHistorial, registrarRevision } from "../services/revisiones.js";
 
 const router = express.Router();
 
-// 🧂 OBTENER TODOS LOS INGREDIENTES
-router.get("/", async (req, res) => {
+const validarId = validar({ params: { id: campos.id } });
+const camposIngrediente = {
+  nombre: { tipo: "texto", requerido: true, max: 100 },
+  unidad_medida: { tipo: "texto", max: 20 },
+  es_basico: { tipo: "booleano" },
+  grupo: { tipo: "texto", max: 50 },
+};
+
+// 🧂 OBTENER TODOS LOS INGREDIENTES (paginados, con ?nombre= y ?unidad_medida=)
+const listadoIngredientes = paginacion({
+  ordenes: { nombre: { columna: "nombre" } },
+  porDefecto: "nombre",
+  desempate: "id_ingrediente",
+  filtros: {
+    nombre: { tipo: "texto", max: 100 },
+    unidad_medida: { tipo: "texto", max: 20 },
+  },
+});
+
+router.get("/", listadoIngredientes, async (req, res, next) => {
+  const { nombre, unidad_medida } = req.consulta;
+  const filtros = crearFiltros();
+  filtros.agregar(nombre, "nombre LIKE ?", `%${nombre}%`);
+  filtros.agregar(unidad_medida, "unidad_medida = ?");
   try {
-    const [results] = await db.query("SELECT * FROM Ingredientes");
-    res.json(results);
+    const [results] = await db.query(
+      `SELECT * FROM Ingredientes ${filtros.sql} ${req.paginacion.sql}`,
+      [...filtros.params, ...req.paginacion.params]
+    );
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM Ingredientes ${filtros.sql}`, filtros.params);
+    res.json(respuestaPaginada(req, results, total));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 // 🧂 OBTENER UN INGREDIENTE POR ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", validarId, async (req, res, next) => {
   const { id } = req.params;
   try {
     const [results] = await db.query("SELECT * FROM Ingredientes WHERE id_ingrediente = ?", [id]);
-    if (results.length === 0) return res.status(404).json({ mensaje: "Ingrediente no encontrado" });
+    if (results.length === 0) return next(new ErrorHttp(404, "Ingrediente no encontrado", "INGREDIENTE_NO_ENCONTRADO"));
     res.json(results[0]);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 // 🧂 CREAR UN NUEVO INGREDIENTE
-router.post("/", async (req, res) => {
-  const { nombre, unidad_medida } = req.body;
-  if (!nombre) return res.status(400).json({ error: "El nombre es requerido" });
+router.post("/", validar({ body: camposIngrediente }), async (req, res, next) => {
+  const { nombre, unidad_medida, es_basico = false, grupo } = req.body;
   try {
-    const sql = "INSERT INTO Ingredientes (nombre, unidad_medida) VALUES (?, ?)";
-    const [result] = await db.query(sql, [nombre, unidad_medida]);
-    res.status(201).json({ id: result.insertId, nombre, unidad_medida });
+    const sql = "INSERT INTO Ingredientes (nombre, unidad_medida, es_basico, grupo) VALUES (?, ?, ?, ?)";
+    const [result] = await db.query(sql, [nombre, unidad_medida, es_basico, grupo]);
+    res.status(201).json({ id: result.insertId, nombre, unidad_medida, es_basico, grupo });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 // 🧂 ACTUALIZAR UN INGREDIENTE
-router.put("/:id", async (req, res) => {
+router.put("/:id", validar({ params: { id: campos.id }, body: camposIngrediente }), async (req, res, next) => {
   const { id } = req.params;
-  const { nombre, unidad_medida } = req.body;
-  if (!nombre) return res.status(400).json({ error: "El nombre es requerido" });
+  const { nombre, unidad_medida, es_basico = false, grupo } = req.body;
   try {
-    const sql = "UPDATE Ingredientes SET nombre=?, unidad_medida=? WHERE id_ingrediente=?";
-    await db.query(sql, [nombre, unidad_medida, id]);
+    const sql = "UPDATE Ingredientes SET nombre=?, unidad_medida=?, es_basico=?, grupo=? WHERE id_ingrediente=?";
+    await db.query(sql, [nombre, unidad_medida, es_basico, grupo, id]);
     res.json({ mensaje: "Ingrediente actualizado correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// 🥗 ACTUALIZAR LA INFORMACIÓN NUTRICIONAL DE UN INGREDIENTE
+// Valores por nutricion_cantidad de la unidad_medida del ingrediente (por ejemplo, por 100 g)
+const nutriente = { tipo: "numero", min: 0, max: 999999.99 };
+const validarNutricion = validar({
+  params: { id: campos.id },
+  body: {
+    nutricion_cantidad: { tipo: "numero", requerido: true, min: 0.0001, max: 999999 },
+    kcal: { ...nutriente, requerido: true },
+    proteinas: nutriente,
+    carbohidratos: nutriente,
+    grasas: nutriente,
+    fibra: nutriente,
+    sodio: nutriente,
+  },
+});
+
+router.put("/:id/nutricion", validarNutricion, async (req, res, next) => {
+  const { id } = req.params;
+  const valores = NUTRIENTES.map((n) => req.body[n] ?? null);
+  try {
+    const sql = `UPDATE Ingredientes SET nutricion_cantidad = ?, ${NUTRIENTES.map((n) => `${n} = ?`).join(", ")} WHERE id_ingrediente = ?`;
+    const [result] = await db.query(sql, [req.body.nutricion_cantidad, ...valores, id]);
+    if (result.affectedRows === 0) return next(new ErrorHttp(404, "Ingrediente no encontrado", "INGREDIENTE_NO_ENCONTRADO"));
+    res.json({ mensaje: "Información nutricional actualizada correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🌱 ACTUALIZAR LOS ALÉRGENOS Y DIETAS DE UN INGREDIENTE (queda marcado como revisado)
+// Solo moderadores: los filtros de alergias confían en las etiquetas revisadas
+const validarEtiquetas = validar({
+  params: { id: campos.id },
+  body: {
+    alergenos: { tipo: "lista", requerido: true, elementos: { tipo: "texto", valores: ALERGENOS } },
+    no_apto_para: { tipo: "lista", requerido: true, elementos: { tipo: "texto", valores: INCOMPATIBILIDADES } },
+  },
+});
+
+router.put("/:id/etiquetas", requerirModerador, validarEtiquetas, async (req, res, next) => {
+  const { id } = req.params;
+  const { alergenos, no_apto_para } = req.body;
+  try {
+    const sql = "UPDATE Ingredientes SET alergenos = ?, no_apto_para = ?, etiquetas_revisadas = TRUE WHERE id_ingrediente = ?";
+    const [result] = await db.query(sql, [[...new Set(alergenos)].join(","), [...new Set(no_apto_para)].join(","), id]);
+    if (result.affectedRows === 0) return next(new ErrorHttp(404, "Ingrediente no encontrado", "INGREDIENTE_NO_ENCONTRADO"));
+    res.json({ mensaje: "Alérgenos y dietas actualizados correctamente" });
+  } catch (err) {
+    next(err);
   }
 });
 
-// 🧂 ELIMINAR UN INGREDIENTE
-router.delete("/:id", async (req, res) => {
+// 🧂 ELIMINAR UN INGREDIENTE (las recetas que lo usaban recalculan su costo y registran una revisión)
+router.delete("/:id", validarId, async (req, res, next) => {
   const { id } = req.params;
   try {
-    await db.query("DELETE FROM Ingredientes WHERE id_ingrediente=?", [id]);
+    await transaccion(async (conn) => {
+      const [filas] = await conn.query("SELECT id_receta FROM Receta_Ingrediente WHERE id_ingrediente = ?", [id]);
+      const recetas = filas.map((r) => r.id_receta);
+      for (const id_receta of recetas) await prepararHistorial(conn, id_receta);
+      await conn.query("DELETE FROM Ingredientes WHERE id_ingrediente=?", [id]);
+      await recalcularCostos(conn, { recetas });
+      for (const id_receta of recetas) {
+        await registrarRevision(conn, id_receta, req.user.id_usuario, "Ingrediente eliminado del catálogo");
+      }
+    });
     res.json({ mensaje: "Ingrediente eliminado correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -0,0 +1,719 @@
+import express from "express";
+import crypto from "crypto";
+import db, { transaccion } from "../db.js";
+import { requerirSesion } from "../middleware/auth.js";
+import { obtenerPermisos } from "../middleware/permisos.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import {
+  agregarRecetas,
+  crearLista,
+  fusionarArticulos,
+  obtenerLista,
+  exportarTexto,
+  exportarCsv,
+  GRUPO_POR_DEFECTO,
+} from "../services/listasCompra.js";
+
+const router = express.Router();
+
+// ✅ Esquemas de validación
+const validarIdLista = validar({ params: { id_lista: campos.id } });
+const recetaDeLista = {
+  id_receta: campos.id,
+  porciones: { tipo: "entero", min: 1, max: 100 },
+};
+const camposArticulo = {
+  id_ingrediente: { tipo: "entero", min: 1 },
+  nombre: { tipo: "texto", max: 100 },
+  cantidad: { tipo: "numero", min: 0.01, max: 99999999.99 },
+  unidad_medida: { tipo: "texto", max: 20 },
+  grupo: { tipo: "texto", max: 50 },
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ListaCompra:
+ *       type: object
+ *       properties:
+ *         id_lista:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *         token_compartir:
+ *           type: string
+ *           description: Token del enlace de solo lectura, o null si la lista no está compartida.
+ *         recetas:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id_receta:
+ *                 type: integer
+ *               titulo:
+ *                 type: string
+ *               porciones:
+ *                 type: integer
+ *         total_articulos:
+ *           type: integer
+ *         comprados:
+ *           type: integer
+ *         grupos:
+ *           type: array
+ *           description: Artículos agrupados por sección de la tienda.
+ *           items:
+ *             type: object
+ *             properties:
+ *               grupo:
+ *                 type: string
+ *               articulos:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ArticuloLista'
+ *     ArticuloLista:
+ *       type: object
+ *       properties:
+ *         id_articulo:
+ *           type: integer
+ *         id_ingrediente:
+ *           type: integer
+ *           description: Ingrediente del catálogo (null en artículos añadidos a mano).
+ *         nombre:
+ *           type: string
+ *         cantidad:
+ *           type: number
+ *         unidad_medida:
+ *           type: string
+ *         grupo:
+ *           type: string
+ *         comprado:
+ *           type: boolean
+ *       example:
+ *         id_articulo: 3
+ *         id_ingrediente: 2
+ *         nombre: Piña
+ *         cantidad: 4.5
+ *         unidad_medida: rodajas
+ *         grupo: Frutas y verduras
+ *         comprado: false
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: ListasCompra
+ *   description: Listas de la compra generadas a partir de recetas.
+ */
+
+// 🛒 Carga en req.lista una lista del usuario de la sesión
+async function cargarListaPropia(req, res, next) {
+  try {
+    const [results] = await db.query(
+      "SELECT * FROM Listas_Compra WHERE id_lista = ? AND id_usuario = ?",
+      [req.params.id_lista, req.user.id_usuario]
+    );
+    if (results.length === 0) return next(new ErrorHttp(404, "Lista no encontrada", "LISTA_NO_ENCONTRADA"));
+    req.lista = results[0];
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Comprueba que las recetas existen, no se repiten y el usuario puede ver sus ingredientes.
+// Lanza ErrorHttp si alguna no cumple.
+async function comprobarRecetas(recetas, usuario) {
+  const ids = recetas.map((r) => r.id_receta);
+  if (new Set(ids).size !== ids.length) {
+    throw new ErrorHttp(400, "Hay recetas repetidas en la lista", "RECETAS_REPETIDAS");
+  }
+  for (const id_receta of ids) {
+    const permisos = await obtenerPermisos(id_receta, usuario);
+    if (!permisos || !permisos.puedeVer) {
+      throw new ErrorHttp(404, `Receta ${id_receta} no encontrada`, "RECETA_NO_ENCONTRADA");
+    }
+    if (!permisos.puedeVerContenido) {
+      throw new ErrorHttp(403, `Receta ${id_receta} premium: se requiere una suscripción activa`, "SUSCRIPCION_REQUERIDA");
+    }
+  }
+}
+
+// 🛒 MIS LISTAS
+/**
+ * @swagger
+ * /listas-compra:
+ *   get:
+ *     summary: Lista las listas de la compra del usuario de la sesión.
+ *     tags: [ListasCompra]
+ *     responses:
+ *       200:
+ *         description: Listas con el número de artículos y de comprados.
+ *       401:
+ *         description: Se requiere iniciar sesión.
+ */
+router.get("/", requerirSesion, async (req, res, next) => {
+  try {
+    const sql = `
+      SELECT l.id_lista, l.nombre, l.fecha_creacion, l.fecha_modificacion,
+        COUNT(a.id_articulo) AS total_articulos, COALESCE(SUM(a.comprado), 0) AS comprados
+      FROM Listas_Compra l
+      LEFT JOIN Listas_Compra_Articulos a ON a.id_lista = l.id_lista
+      WHERE l.id_usuario = ?
+      GROUP BY l.id_lista
+      ORDER BY l.fecha_modificacion DESC;
+    `;
+    const [results] = await db.query(sql, [req.user.id_usuario]);
+    res.json(results.map((l) => ({ ...l, comprados: Number(l.comprados) })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🛒 CREAR UNA LISTA A PARTIR DE RECETAS
+/**
+ * @swagger
+ * /listas-compra:
+ *   post:
+ *     summary: Crea una lista de la compra sumando los ingredientes de varias recetas.
+ *     description: >
+ *       Las cantidades se escalan a las porciones indicadas (por defecto, las de la receta).
+ *       Los ingredientes repetidos se suman en un solo artículo cuando sus unidades son
+ *       compatibles (200 g + 1 kg = 1.2 kg) y se agrupan por sección de la tienda.
+ *     tags: [ListasCompra]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nombre
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *               recetas:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id_receta
+ *                   properties:
+ *                     id_receta:
+ *                       type: integer
+ *                     porciones:
+ *                       type: integer
+ *           example:
+ *             nombre: Compra del fin de semana
+ *             recetas:
+ *               - id_receta: 1
+ *                 porciones: 6
+ *               - id_receta: 5
+ *     responses:
+ *       201:
+ *         description: Lista creada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListaCompra'
+ *       403:
+ *         description: Alguna receta es premium y el usuario no tiene acceso a sus ingredientes.
+ *       404:
+ *         description: Alguna receta no existe.
+ */
+const validarNuevaLista = validar({
+  body: {
+    nombre: { tipo: "texto", requerido: true, max: 100 },
+    recetas: { tipo: "lista", max: 50, elementos: { tipo: "objeto", campos: recetaDeLista } },
+  },
+});
+
+router.post("/", validarNuevaLista, async (req, res, next) => {
+  const { nombre, recetas = [] } = req.body;
+  try {
+    await comprobarRecetas(recetas, req.user);
+
+    const id_lista = await crearLista(req.user.id_usuario, nombre, recetas);
+    res.status(201).json(await obtenerLista(id_lista));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔗 VER UNA LISTA COMPARTIDA
+/**
+ * @swagger
+ * /listas-compra/compartida/{token}:
+ *   get:
+ *     summary: Obtiene una lista compartida a partir de su enlace (solo lectura, sin sesión).
+ *     tags: [ListasCompra]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: La lista compartida.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListaCompra'
+ *       404:
+ *         description: El enlace no existe o se ha dejado de compartir.
+ */
+router.get("/compartida/:token", validar({ params: { token: { tipo: "texto", requerido: true, max: 32 } } }), async (req, res, next) => {
+  try {
+    const [results] = await db.query("SELECT id_lista FROM Listas_Compra WHERE token_compartir = ?", [req.params.token]);
+    if (results.length === 0) return next(new ErrorHttp(404, "Lista no encontrada", "LISTA_NO_ENCONTRADA"));
+    const { id_usuario, token_compartir, ...lista } = await obtenerLista(results[0].id_lista);
+    res.json(lista);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🛒 OBTENER UNA LISTA
+/**
+ * @swagger
+ * /listas-compra/{id_lista}:
+ *   get:
+ *     summary: Obtiene una lista propia con sus artículos agrupados.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: La lista.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListaCompra'
+ *       404:
+ *         description: Lista no encontrada.
+ */
+router.get("/:id_lista", validarIdLista, requerirSesion, cargarListaPropia, async (req, res, next) => {
+  try {
+    res.json(await obtenerLista(req.lista.id_lista));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 📤 EXPORTAR UNA LISTA
+/**
+ * @swagger
+ * /listas-compra/{id_lista}/exportar:
+ *   get:
+ *     summary: Descarga la lista en texto plano o CSV.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [texto, csv]
+ *           default: texto
+ *     responses:
+ *       200:
+ *         description: El archivo de la lista.
+ *         content:
+ *           text/plain: {}
+ *           text/csv: {}
+ *       404:
+ *         description: Lista no encontrada.
+ */
+const validarExportacion = validar({
+  params: { id_lista: campos.id },
+  query: { formato: { tipo: "texto", valores: ["texto", "csv"] } },
+});
+
+router.get("/:id_lista/exportar", validarExportacion, requerirSesion, cargarListaPropia, async (req, res, next) => {
+  const { formato = "texto" } = req.consulta;
+  try {
+    const lista = await obtenerLista(req.lista.id_lista);
+    const archivo = `lista-compra-${lista.id_lista}`;
+    if (formato === "csv") {
+      res.type("text/csv; charset=utf-8").attachment(`${archivo}.csv`).send(exportarCsv(lista));
+    } else {
+      res.type("text/plain; charset=utf-8").attachment(`${archivo}.txt`).send(exportarTexto(lista));
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🛒 RENOMBRAR UNA LISTA
+/**
+ * @swagger
+ * /listas-compra/{id_lista}:
+ *   put:
+ *     summary: Cambia el nombre de una lista propia.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lista actualizada.
+ *       404:
+ *         description: Lista no encontrada.
+ */
+const validarEdicionLista = validar({
+  params: { id_lista: campos.id },
+  body: { nombre: { tipo: "texto", requerido: true, max: 100 } },
+});
+
+router.put("/:id_lista", validarEdicionLista, cargarListaPropia, async (req, res, next) => {
+  try {
+    await db.query("UPDATE Listas_Compra SET nombre = ? WHERE id_lista = ?", [req.body.nombre, req.lista.id_lista]);
+    res.json({ mensaje: "Lista actualizada correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🛒 ELIMINAR UNA LISTA
+/**
+ * @swagger
+ * /listas-compra/{id_lista}:
+ *   delete:
+ *     summary: Elimina una lista propia.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lista eliminada.
+ *       404:
+ *         description: Lista no encontrada.
+ */
+router.delete("/:id_lista", validarIdLista, cargarListaPropia, async (req, res, next) => {
+  try {
+    await db.query("DELETE FROM Listas_Compra WHERE id_lista = ?", [req.lista.id_lista]);
+    res.json({ mensaje: "Lista eliminada correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🍲 AÑADIR UNA RECETA A LA LISTA
+/**
+ * @swagger
+ * /listas-compra/{id_lista}/recetas:
+ *   post:
+ *     summary: Suma a la lista los ingredientes de otra receta.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_receta
+ *             properties:
+ *               id_receta:
+ *                 type: integer
+ *               porciones:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: La lista actualizada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListaCompra'
+ *       403:
+ *         description: Receta premium sin acceso a sus ingredientes.
+ *       404:
+ *         description: Lista o receta no encontrada.
+ */
+const validarRecetaLista = validar({ params: { id_lista: campos.id }, body: recetaDeLista });
+
+router.post("/:id_lista/recetas", validarRecetaLista, cargarListaPropia, async (req, res, next) => {
+  const { id_receta, porciones } = req.body;
+  try {
+    await comprobarRecetas([{ id_receta }], req.user);
+
+    await transaccion((conn) => agregarRecetas(conn, req.lista.id_lista, [{ id_receta, porciones }]));
+    res.json(await obtenerLista(req.lista.id_lista));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 📝 AÑADIR UN ARTÍCULO A MANO
+/**
+ * @swagger
+ * /listas-compra/{id_lista}/articulos:
+ *   post:
+ *     summary: Añade un artículo a la lista.
+ *     description: >
+ *       Puede ser un ingrediente del catálogo (id_ingrediente; nombre, unidad y grupo se toman
+ *       de él si no se indican) o un artículo libre (nombre). Si ya hay un artículo del mismo
+ *       ingrediente con unidad compatible, la cantidad se suma a él.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ArticuloLista'
+ *           example:
+ *             nombre: Servilletas
+ *             grupo: Hogar
+ *     responses:
+ *       201:
+ *         description: La lista actualizada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ListaCompra'
+ *       400:
+ *         description: Falta id_ingrediente o nombre.
+ *       404:
+ *         description: Lista o ingrediente no encontrado.
+ */
+const validarNuevoArticulo = validar({ params: { id_lista: campos.id }, body: camposArticulo });
+
+router.post("/:id_lista/articulos", validarNuevoArticulo, cargarListaPropia, async (req, res, next) => {
+  const { id_ingrediente, nombre, cantidad, unidad_medida, grupo } = req.body;
+  if (!id_ingrediente && !nombre) {
+    return next(new ErrorHttp(400, "Se requiere id_ingrediente o nombre", "INGREDIENTE_REQUERIDO"));
+  }
+  try {
+    let articulo = { id_ingrediente, nombre, cantidad, unidad_medida, grupo: grupo || GRUPO_POR_DEFECTO };
+    if (id_ingrediente) {
+      const [ingredientes] = await db.query("SELECT * FROM Ingredientes WHERE id_ingrediente = ?", [id_ingrediente]);
+      if (ingredientes.length === 0) return next(new ErrorHttp(404, "Ingrediente no encontrado", "INGREDIENTE_NO_ENCONTRADO"));
+      const catalogo = ingredientes[0];
+      articulo = {
+        id_ingrediente,
+        nombre: nombre || catalogo.nombre,
+        cantidad,
+        unidad_medida: unidad_medida ?? catalogo.unidad_medida,
+        grupo: grupo || catalogo.grupo || GRUPO_POR_DEFECTO,
+      };
+    }
+
+    await transaccion((conn) => fusionarArticulos(conn, req.lista.id_lista, [articulo]));
+    res.status(201).json(await obtenerLista(req.lista.id_lista));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ✔️ EDITAR O MARCAR UN ARTÍCULO
+/**
+ * @swagger
+ * /listas-compra/{id_lista}/articulos/{id_articulo}:
+ *   put:
+ *     summary: Edita un artículo o lo marca como comprado.
+ *     description: Solo se modifican los campos enviados.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id_articulo
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *               cantidad:
+ *                 type: number
+ *               unidad_medida:
+ *                 type: string
+ *               grupo:
+ *                 type: string
+ *               comprado:
+ *                 type: boolean
+ *           example:
+ *             comprado: true
+ *     responses:
+ *       200:
+ *         description: Artículo actualizado.
+ *       400:
+ *         description: No se envió ningún campo.
+ *       404:
+ *         description: Lista o artículo no encontrado.
+ */
+const EDITABLES_ARTICULO = ["nombre", "cantidad", "unidad_medida", "grupo", "comprado"];
+const validarEdicionArticulo = validar({
+  params: { id_lista: campos.id, id_articulo: campos.id },
+  body: {
+    nombre: camposArticulo.nombre,
+    cantidad: camposArticulo.cantidad,
+    unidad_medida: camposArticulo.unidad_medida,
+    grupo: camposArticulo.grupo,
+    comprado: { tipo: "booleano" },
+  },
+});
+
+router.put("/:id_lista/articulos/:id_articulo", validarEdicionArticulo, cargarListaPropia, async (req, res, next) => {
+  const cambios = EDITABLES_ARTICULO.filter((campo) => req.body[campo] !== undefined);
+  if (cambios.length === 0) {
+    return next(new ErrorHttp(400, `Se requiere alguno de: ${EDITABLES_ARTICULO.join(", ")}`, "SIN_CAMBIOS"));
+  }
+  try {
+    const sql = `UPDATE Listas_Compra_Articulos SET ${cambios.map((c) => `${c} = ?`).join(", ")} WHERE id_articulo = ? AND id_lista = ?`;
+    const [result] = await db.query(sql, [...cambios.map((c) => req.body[c]), req.params.id_articulo, req.lista.id_lista]);
+    if (result.affectedRows === 0) return next(new ErrorHttp(404, "Artículo no encontrado", "ARTICULO_NO_ENCONTRADO"));
+    res.json({ mensaje: "Artículo actualizado correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🛒 QUITAR UN ARTÍCULO
+/**
+ * @swagger
+ * /listas-compra/{id_lista}/articulos/{id_articulo}:
+ *   delete:
+ *     summary: Quita un artículo de la lista.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id_articulo
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Artículo eliminado.
+ *       404:
+ *         description: Lista o artículo no encontrado.
+ */
+const validarIdArticulo = validar({ params: { id_lista: campos.id, id_articulo: campos.id } });
+
+router.delete("/:id_lista/articulos/:id_articulo", validarIdArticulo, cargarListaPropia, async (req, res, next) => {
+  try {
+    const [result] = await db.query(
+      "DELETE FROM Listas_Compra_Articulos WHERE id_articulo = ? AND id_lista = ?",
+      [req.params.id_articulo, req.lista.id_lista]
+    );
+    if (result.affectedRows === 0) return next(new ErrorHttp(404, "Artículo no encontrado", "ARTICULO_NO_ENCONTRADO"));
+    res.json({ mensaje: "Artículo eliminado correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔗 COMPARTIR UNA LISTA
+/**
+ * @swagger
+ * /listas-compra/{id_lista}/compartir:
+ *   post:
+ *     summary: Genera un enlace de solo lectura para la lista (o devuelve el existente).
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Token y ruta del enlace.
+ *         content:
+ *           application/json:
+ *             example:
+ *               token_compartir: 9f86d081884c7d659a2feaa0c55ad015
+ *               ruta: /api/listas-compra/compartida/9f86d081884c7d659a2feaa0c55ad015
+ *       404:
+ *         description: Lista no encontrada.
+ *   delete:
+ *     summary: Deja de compartir la lista; el enlace anterior deja de funcionar.
+ *     tags: [ListasCompra]
+ *     parameters:
+ *       - in: path
+ *         name: id_lista
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: La lista ya no se comparte.
+ *       404:
+ *         description: Lista no encontrada.
+ */
+router.post("/:id_lista/compartir", validarIdLista, cargarListaPropia, async (req, res, next) => {
+  let token = req.lista.token_compartir;
+  try {
+    if (!token) {
+      token = crypto.randomBytes(16).toString("hex");
+      await db.query("UPDATE Listas_Compra SET token_compartir = ? WHERE id_lista = ?", [token, req.lista.id_lista]);
+    }
+    res.json({ token_compartir: token, ruta: `${req.baseUrl}/compartida/${token}` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id_lista/compartir", validarIdLista, cargarListaPropia, async (req, res, next) => {
+  try {
+    await db.query("UPDATE Listas_Compra SET token_compartir = NULL WHERE id_lista = ?", [req.lista.id_lista]);
+    res.json({ mensaje: "La lista ya no se comparte" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,415 @@
+import express from "express";
+import db, { transaccion } from "../db.js";
+import { requerirModerador } from "../middleware/auth.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { paginacion, crearFiltros, respuestaPaginada } from "../middleware/paginacion.js";
+import { COLUMNAS_VALORACION, MOTIVOS_DENUNCIA, recalcularValoraciones } from "../services/valoraciones.js";
+
+const router = express.Router();
+
+// Qué hace cada acción de moderación: de qué estado debe partir la valoración, en cuál la deja
+// y cómo quedan sus denuncias pendientes. Eliminar borra la valoración y sus denuncias.
+const ACCIONES = {
+  ocultar: { desde: "publicada", estado: "oculta", denuncias: "aceptada", mensaje: "Valoración ocultada" },
+  restaurar: { desde: "oculta", estado: "publicada", denuncias: "descartada", mensaje: "Valoración restaurada" },
+  descartar: { denuncias: "descartada", mensaje: "Denuncias descartadas" },
+  eliminar: { mensaje: "Valoración eliminada" },
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Moderacion
+ *   description: >
+ *     Cola de valoraciones denunciadas y acciones de los moderadores (Usuarios.es_moderador) sobre
+ *     ellas. Ocultar una valoración acepta sus denuncias pendientes; restaurarla o descartarlas las
+ *     rechaza. Cada acción queda registrada en el historial con una copia de la valoración.
+ */
+
+// 🚩 COLA DE MODERACIÓN
+const colaModeracion = paginacion({
+  ordenes: {
+    denuncias: { columna: "denuncias", direccion: "desc", despues: "primera_denuncia ASC" },
+    antiguas: { columna: "primera_denuncia" },
+    recientes: { columna: "ultima_denuncia", direccion: "desc" },
+  },
+  porDefecto: "denuncias",
+  desempate: "v.id_valoracion",
+  filtros: {
+    motivo: { tipo: "texto", valores: MOTIVOS_DENUNCIA },
+    estado: { tipo: "texto", valores: ["publicada", "oculta"] },
+    id_receta: { tipo: "entero", min: 1 },
+  },
+});
+
+/**
+ * @swagger
+ * /valoraciones/moderacion:
+ *   get:
+ *     summary: Valoraciones con denuncias pendientes, con cuántas tienen y sus motivos.
+ *     tags: [Moderacion]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pagina'
+ *       - $ref: '#/components/parameters/limite'
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [denuncias, antiguas, recientes]
+ *           default: denuncias
+ *         description: >
+ *           denuncias: las más denunciadas primero; antiguas: por su primera denuncia pendiente;
+ *           recientes: por su última denuncia.
+ *       - $ref: '#/components/parameters/direccion'
+ *       - in: query
+ *         name: motivo
+ *         schema:
+ *           type: string
+ *           enum: [spam, ofensivo, fuera_de_tema, informacion_falsa, otro]
+ *         description: Solo las que tienen alguna denuncia pendiente con este motivo.
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [publicada, oculta]
+ *       - in: query
+ *         name: id_receta
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Una página de la cola de moderación.
+ *         content:
+ *           application/json:
+ *             example:
+ *               datos:
+ *                 - id_valoracion: 7
+ *                   id_receta: 3
+ *                   receta: Pozole rojo
+ *                   id_usuario: 4
+ *                   nombre_usuario: Ana
+ *                   puntuacion: 1
+ *                   comentario: "..."
+ *                   estado: publicada
+ *                   denuncias: 3
+ *                   motivos: [ofensivo, spam]
+ *                   primera_denuncia: "2024-05-02T18:30:00Z"
+ *                   ultima_denuncia: "2024-05-03T09:12:00Z"
+ *               paginacion: { pagina: 1, limite: 20, total: 1, total_paginas: 1 }
+ *       401:
+ *         description: Se requiere iniciar sesión.
+ *       403:
+ *         description: El usuario no es moderador.
+ */
+router.get("/", requerirModerador, colaModeracion, async (req, res, next) => {
+  const { motivo, estado, id_receta } = req.consulta;
+  const filtros = crearFiltros({ sql: "d.estado = 'pendiente'", params: [] });
+  filtros.agregar(
+    motivo,
+    `EXISTS (
+      SELECT 1 FROM Denuncias_Valoracion dm
+      WHERE dm.id_valoracion = v.id_valoracion AND dm.estado = 'pendiente' AND dm.motivo = ?
+    )`
+  );
+  filtros.agregar(estado, "v.estado = ?");
+  filtros.agregar(id_receta, "v.id_receta = ?");
+  const tablas = `
+    FROM Denuncias_Valoracion d
+    JOIN Valoraciones v ON d.id_valoracion = v.id_valoracion
+  `;
+  try {
+    const sql = `
+      SELECT v.id_valoracion, v.id_receta, r.titulo AS receta, v.id_usuario, u.nombre AS nombre_usuario,
+        v.puntuacion, v.comentario, v.fecha_valoracion, v.estado,
+        COUNT(*) AS denuncias, GROUP_CONCAT(DISTINCT d.motivo ORDER BY d.motivo) AS motivos,
+        MIN(d.fecha_denuncia) AS primera_denuncia, MAX(d.fecha_denuncia) AS ultima_denuncia
+      ${tablas}
+      JOIN Recetas r ON v.id_receta = r.id_receta
+      JOIN Usuarios u ON v.id_usuario = u.id_usuario
+      ${filtros.sql}
+      GROUP BY v.id_valoracion
+      ${req.paginacion.sql};
+    `;
+    const [results] = await db.query(sql, [...filtros.params, ...req.paginacion.params]);
+    const [[{ total }]] = await db.query(
+      `SELECT COUNT(DISTINCT d.id_valoracion) AS total ${tablas} ${filtros.sql}`,
+      filtros.params
+    );
+    const datos = results.map((v) => ({ ...v, motivos: v.motivos.split(",") }));
+    res.json(respuestaPaginada(req, datos, total));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 📜 HISTORIAL DE MODERACIÓN
+const historialModeracion = paginacion({
+  ordenes: { recientes: { columna: "m.fecha", direccion: "desc" } },
+  porDefecto: "recientes",
+  desempate: "m.id_accion",
+  filtros: {
+    id_valoracion: { tipo: "entero", min: 1 },
+    id_receta: { tipo: "entero", min: 1 },
+    id_moderador: { tipo: "entero", min: 1 },
+    accion: { tipo: "texto", valores: Object.keys(ACCIONES) },
+  },
+});
+
+/**
+ * @swagger
+ * /valoraciones/moderacion/historial:
+ *   get:
+ *     summary: Acciones de moderación realizadas, de la más reciente a la más antigua.
+ *     description: Incluye las de valoraciones ya eliminadas, con una copia de cómo estaban.
+ *     tags: [Moderacion]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pagina'
+ *       - $ref: '#/components/parameters/limite'
+ *       - $ref: '#/components/parameters/direccion'
+ *       - in: query
+ *         name: id_valoracion
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: id_receta
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: id_moderador
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: accion
+ *         schema:
+ *           type: string
+ *           enum: [ocultar, restaurar, descartar, eliminar]
+ *     responses:
+ *       200:
+ *         description: Una página del historial.
+ *         content:
+ *           application/json:
+ *             example:
+ *               datos:
+ *                 - id_accion: 12
+ *                   id_valoracion: 7
+ *                   id_receta: 3
+ *                   id_moderador: 1
+ *                   moderador: Melani
+ *                   accion: ocultar
+ *                   nota: Insultos al autor
+ *                   denuncias_resueltas: 3
+ *                   valoracion: { id_valoracion: 7, puntuacion: 1, comentario: "...", estado: publicada }
+ *                   fecha: "2024-05-03T10:00:00Z"
+ *               paginacion: { pagina: 1, limite: 20, total: 1, total_paginas: 1 }
+ *       403:
+ *         description: El usuario no es moderador.
+ */
+router.get("/historial", requerirModerador, historialModeracion, async (req, res, next) => {
+  const { id_valoracion, id_receta, id_moderador, accion } = req.consulta;
+  const filtros = crearFiltros();
+  filtros.agregar(id_valoracion, "m.id_valoracion = ?");
+  filtros.agregar(id_receta, "m.id_receta = ?");
+  filtros.agregar(id_moderador, "m.id_moderador = ?");
+  filtros.agregar(accion, "m.accion = ?");
+  try {
+    const sql = `
+      SELECT m.id_accion, m.id_valoracion, m.id_receta, m.id_moderador, u.nombre AS moderador,
+        m.accion, m.nota, m.denuncias_resueltas, m.valoracion, m.fecha
+      FROM Moderacion_Valoraciones m
+      LEFT JOIN Usuarios u ON m.id_moderador = u.id_usuario
+      ${filtros.sql}
+      ${req.paginacion.sql};
+    `;
+    const [results] = await db.query(sql, [...filtros.params, ...req.paginacion.params]);
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM Moderacion_Valoraciones m ${filtros.sql}`, filtros.params);
+    res.json(respuestaPaginada(req, results, total));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔍 DETALLE DE UNA VALORACIÓN DENUNCIADA
+/**
+ * @swagger
+ * /valoraciones/moderacion/{id_valoracion}:
+ *   get:
+ *     summary: Una valoración con todas sus denuncias (pendientes y resueltas) y las acciones sobre ella.
+ *     tags: [Moderacion]
+ *     parameters:
+ *       - in: path
+ *         name: id_valoracion
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: La valoración, sus denuncias y su historial de moderación.
+ *       403:
+ *         description: El usuario no es moderador.
+ *       404:
+ *         description: Valoración no encontrada.
+ */
+router.get("/:id_valoracion", requerirModerador, validar({ params: { id_valoracion: campos.id } }), async (req, res, next) => {
+  const { id_valoracion } = req.params;
+  try {
+    const sql = `
+      SELECT ${COLUMNAS_VALORACION}, r.titulo AS receta
+      FROM Valoraciones v
+      JOIN Usuarios u ON v.id_usuario = u.id_usuario
+      JOIN Recetas r ON v.id_receta = r.id_receta
+      WHERE v.id_valoracion = ?;
+    `;
+    const [[valoracion]] = await db.query(sql, [id_valoracion]);
+    if (!valoracion) return next(new ErrorHttp(404, "Valoración no encontrada", "VALORACION_NO_ENCONTRADA"));
+
+    const [denuncias] = await db.query(
+      `SELECT d.id_denuncia, d.id_usuario, u.nombre AS nombre_usuario, d.motivo, d.detalle, d.estado,
+         d.fecha_denuncia, d.fecha_resolucion
+       FROM Denuncias_Valoracion d
+       JOIN Usuarios u ON d.id_usuario = u.id_usuario
+       WHERE d.id_valoracion = ?
+       ORDER BY d.fecha_denuncia DESC, d.id_denuncia DESC`,
+      [id_valoracion]
+    );
+    const [historial] = await db.query(
+      `SELECT m.id_accion, m.id_moderador, u.nombre AS moderador, m.accion, m.nota, m.denuncias_resueltas, m.fecha
+       FROM Moderacion_Valoraciones m
+       LEFT JOIN Usuarios u ON m.id_moderador = u.id_usuario
+       WHERE m.id_valoracion = ?
+       ORDER BY m.fecha DESC, m.id_accion DESC`,
+      [id_valoracion]
+    );
+    res.json({ ...valoracion, denuncias, historial });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ⚖️ OCULTAR, RESTAURAR, ELIMINAR UNA VALORACIÓN O DESCARTAR SUS DENUNCIAS
+/**
+ * @swagger
+ * /valoraciones/moderacion/{id_valoracion}/acciones:
+ *   post:
+ *     summary: Aplica una acción de moderación a la valoración y la registra en el historial.
+ *     description: >
+ *       ocultar (solo publicadas) la retira de la receta y acepta sus denuncias pendientes;
+ *       restaurar (solo ocultas) la vuelve a publicar y descarta las pendientes; descartar rechaza
+ *       las denuncias pendientes sin tocar la valoración; eliminar la borra junto con sus denuncias.
+ *       El resumen de valoraciones de la receta se recalcula cuando cambia.
+ *     tags: [Moderacion]
+ *     parameters:
+ *       - in: path
+ *         name: id_valoracion
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [accion]
+ *             properties:
+ *               accion:
+ *                 type: string
+ *                 enum: [ocultar, restaurar, descartar, eliminar]
+ *               nota:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Motivo de la decisión, para el historial.
+ *     responses:
+ *       200:
+ *         description: Acción aplicada.
+ *         content:
+ *           application/json:
+ *             example:
+ *               mensaje: Valoración ocultada
+ *               id_accion: 12
+ *               id_valoracion: 7
+ *               accion: ocultar
+ *               estado: oculta
+ *               denuncias_resueltas: 3
+ *       403:
+ *         description: El usuario no es moderador.
+ *       404:
+ *         description: Valoración no encontrada.
+ *       409:
+ *         description: La acción no se puede aplicar en el estado actual de la valoración.
+ */
+const validarAccion = validar({
+  params: { id_valoracion: campos.id },
+  body: {
+    accion: { tipo: "texto", requerido: true, valores: Object.keys(ACCIONES) },
+    nota: { tipo: "texto", max: 500 },
+  },
+});
+
+router.post("/:id_valoracion/acciones", requerirModerador, validarAccion, async (req, res, next) => {
+  const { id_valoracion } = req.params;
+  const { accion, nota } = req.body;
+  const { desde, estado, denuncias, mensaje } = ACCIONES[accion];
+  try {
+    const resultado = await transaccion(async (conn) => {
+      const [[{ id_receta } = {}]] = await conn.query("SELECT id_receta FROM Valoraciones WHERE id_valoracion = ?", [id_valoracion]);
+      if (!id_receta) return null;
+      // Se bloquea la receta, como en cualquier cambio de valoraciones, y después se relee la valoración
+      await conn.query("SELECT id_receta FROM Recetas WHERE id_receta = ? FOR UPDATE", [id_receta]);
+      const [[valoracion]] = await conn.query("SELECT * FROM Valoraciones WHERE id_valoracion = ?", [id_valoracion]);
+      if (!valoracion) return null;
+      if (desde && valoracion.estado !== desde) {
+        throw new ErrorHttp(409, `Solo se puede ${accion} una valoración ${desde}`, "ACCION_NO_APLICABLE", [
+          { estado_actual: valoracion.estado },
+        ]);
+      }
+
+      let resueltas;
+      if (accion === "eliminar") {
+        const [[{ pendientes }]] = await conn.query(
+          "SELECT COUNT(*) AS pendientes FROM Denuncias_Valoracion WHERE id_valoracion = ? AND estado = 'pendiente'",
+          [id_valoracion]
+        );
+        resueltas = pendientes;
+        await conn.query("DELETE FROM Valoraciones WHERE id_valoracion = ?", [id_valoracion]);
+      } else {
+        const [result] = await conn.query(
+          "UPDATE Denuncias_Valoracion SET estado = ?, fecha_resolucion = NOW() WHERE id_valoracion = ? AND estado = 'pendiente'",
+          [denuncias, id_valoracion]
+        );
+        resueltas = result.affectedRows;
+        if (accion === "descartar" && resueltas === 0) {
+          throw new ErrorHttp(409, "La valoración no tiene denuncias pendientes", "ACCION_NO_APLICABLE");
+        }
+        if (estado) await conn.query("UPDATE Valoraciones SET estado = ? WHERE id_valoracion = ?", [estado, id_valoracion]);
+      }
+      if (estado || accion === "eliminar") await recalcularValoraciones(conn, [id_receta]);
+
+      const sql = `
+        INSERT INTO Moderacion_Valoraciones
+          (id_valoracion, id_receta, id_moderador, accion, nota, denuncias_resueltas, valoracion)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+      const [registro] = await conn.query(sql, [
+        id_valoracion,
+        id_receta,
+        req.user.id_usuario,
+        accion,
+        nota ?? null,
+        resueltas,
+        JSON.stringify(valoracion),
+      ]);
+      return {
+        id_accion: registro.insertId,
+        estado: accion === "eliminar" ? null : estado ?? valoracion.estado,
+        denuncias_resueltas: resueltas,
+      };
+    });
+    if (!resultado) return next(new ErrorHttp(404, "Valoración no encontrada", "VALORACION_NO_ENCONTRADA"));
+    res.json({ mensaje, id_valoracion, accion, ...resultado });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
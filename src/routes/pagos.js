@@ -0,0 +1,280 @@
+import express from "express";
+import db from "../db.js";
+import { requerirSesion } from "../middleware/auth.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { obtenerProveedor, procesarEvento, reembolsarPago } from "../services/pagos/index.js";
+
+const router = express.Router();
+
+const validarIdPago = validar({ params: { id_pago: campos.id } });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Pago:
+ *       type: object
+ *       properties:
+ *         id_pago:
+ *           type: integer
+ *         id_usuario:
+ *           type: integer
+ *         id_suscripcion:
+ *           type: integer
+ *           description: Suscripción creada o renovada al confirmarse el pago.
+ *         tipo:
+ *           type: string
+ *           enum: [alta, renovacion]
+ *         meses:
+ *           type: integer
+ *         monto:
+ *           type: number
+ *           format: float
+ *         proveedor:
+ *           type: string
+ *         referencia:
+ *           type: string
+ *           description: Identificador del cobro en el proveedor.
+ *         estado:
+ *           type: string
+ *           enum: [pendiente, confirmado, rechazado, reembolsando, reembolsado]
+ *         motivo:
+ *           type: string
+ *       example:
+ *         id_pago: 1
+ *         id_usuario: 2
+ *         id_suscripcion: 3
+ *         tipo: "alta"
+ *         meses: 1
+ *         monto: 99.99
+ *         proveedor: "mock"
+ *         referencia: "mock_4f2a9c0e1b7d3a5c6e8f0a1b"
+ *         estado: "confirmado"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pagos
+ *   description: Cobros de suscripciones, webhooks del proveedor y reembolsos.
+ */
+
+// 🧾 Carga en req.pago un pago del usuario de la sesión
+async function cargarPagoPropio(req, res, next) {
+  try {
+    const [results] = await db.query(
+      "SELECT * FROM Pagos WHERE id_pago = ? AND id_usuario = ?",
+      [req.params.id_pago, req.user.id_usuario]
+    );
+    if (results.length === 0) return next(new ErrorHttp(404, "Pago no encontrado", "PAGO_NO_ENCONTRADO"));
+    req.pago = results[0];
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// 🧾 LISTAR MIS PAGOS
+/**
+ * @swagger
+ * /pagos:
+ *   get:
+ *     summary: Lista los pagos del usuario de la sesión.
+ *     tags: [Pagos]
+ *     responses:
+ *       200:
+ *         description: Lista de pagos, del más reciente al más antiguo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Pago'
+ *       401:
+ *         description: Se requiere iniciar sesión.
+ */
+router.get("/", requerirSesion, async (req, res, next) => {
+  try {
+    const [results] = await db.query(
+      "SELECT * FROM Pagos WHERE id_usuario = ? ORDER BY fecha_creacion DESC",
+      [req.user.id_usuario]
+    );
+    res.json(results);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🧾 WEBHOOK DEL PROVEEDOR (no requiere sesión: se valida la firma)
+/**
+ * @swagger
+ * /pagos/webhook/{proveedor}:
+ *   post:
+ *     summary: Recibe los eventos firmados del proveedor de pagos.
+ *     tags: [Pagos]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: proveedor
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     responses:
+ *       200:
+ *         description: Evento recibido (también si ya se había procesado).
+ *       400:
+ *         description: Firma inválida o caducada.
+ *       404:
+ *         description: Proveedor o pago desconocido.
+ */
+router.post("/webhook/:proveedor", validar({ params: { proveedor: { tipo: "texto", requerido: true, max: 30 } } }), async (req, res, next) => {
+  const proveedor = obtenerProveedor(req.params.proveedor);
+  if (!proveedor) return next(new ErrorHttp(404, "Proveedor de pagos desconocido", "PROVEEDOR_DESCONOCIDO"));
+
+  const evento = proveedor.verificarWebhook(req.rawBody, req.headers);
+  if (!evento) return next(new ErrorHttp(400, "Firma del webhook inválida", "FIRMA_INVALIDA"));
+
+  try {
+    const resultado = await procesarEvento(proveedor.nombre, evento);
+    if (!resultado) return next(new ErrorHttp(404, "Pago no encontrado", "PAGO_NO_ENCONTRADO"));
+    res.json({ recibido: true, procesado: resultado.procesado, estado: resultado.pago.estado });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🧪 SIMULAR EL RESULTADO DE UN PAGO (solo con el proveedor mock)
+/**
+ * @swagger
+ * /pagos/mock/{referencia}/simular:
+ *   post:
+ *     summary: Hace que el proveedor simulado envíe el webhook de un pago pendiente.
+ *     tags: [Pagos]
+ *     parameters:
+ *       - in: path
+ *         name: referencia
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resultado:
+ *                 type: string
+ *                 enum: [exito, rechazo]
+ *                 default: exito
+ *               retraso_ms:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Espera antes de enviar el webhook, para probar confirmaciones tardías.
+ *               motivo:
+ *                 type: string
+ *                 description: Motivo del rechazo.
+ *     responses:
+ *       202:
+ *         description: Webhook programado.
+ *       400:
+ *         description: Resultado inválido.
+ *       404:
+ *         description: >
+ *           El proveedor activo no es mock, el simulado no está disponible (en producción o sin
+ *           PAGOS_MOCK_SECRETO) o el pago no existe.
+ */
+const validarSimulacion = validar({
+  params: { referencia: { tipo: "texto", requerido: true, max: 100 } },
+  body: {
+    resultado: { tipo: "texto", valores: ["exito", "rechazo"] },
+    retraso_ms: { tipo: "entero", min: 0, max: 10 * 60 * 1000 },
+    motivo: { tipo: "texto", max: 255 },
+  },
+});
+
+router.post("/mock/:referencia/simular", validarSimulacion, async (req, res, next) => {
+  const { referencia } = req.params;
+  const { resultado = "exito", retraso_ms = 0, motivo } = req.body;
+  // En producción nunca se simulan pagos, aunque el proveedor configurado sea el simulado
+  if (process.env.NODE_ENV === "production" || obtenerProveedor()?.nombre !== "mock") {
+    return next(new ErrorHttp(404, "El proveedor de pagos simulado no está disponible", "PROVEEDOR_DESCONOCIDO"));
+  }
+  try {
+    const [pagos] = await db.query(
+      "SELECT id_pago FROM Pagos WHERE proveedor = 'mock' AND referencia = ? AND id_usuario = ?",
+      [referencia, req.user.id_usuario]
+    );
+    if (pagos.length === 0) return next(new ErrorHttp(404, "Pago no encontrado", "PAGO_NO_ENCONTRADO"));
+
+    const evento = obtenerProveedor("mock").simular(referencia, { resultado, retraso_ms, motivo });
+    res.status(202).json({ mensaje: "Webhook simulado programado", evento, retraso_ms });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🧾 OBTENER UN PAGO
+/**
+ * @swagger
+ * /pagos/{id_pago}:
+ *   get:
+ *     summary: Obtiene un pago propio.
+ *     tags: [Pagos]
+ *     parameters:
+ *       - in: path
+ *         name: id_pago
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: La información del pago.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pago'
+ *       404:
+ *         description: Pago no encontrado.
+ */
+router.get("/:id_pago", validarIdPago, requerirSesion, cargarPagoPropio, (req, res) => {
+  res.json(req.pago);
+});
+
+// 🧾 REEMBOLSAR UN PAGO
+/**
+ * @swagger
+ * /pagos/{id_pago}/reembolso:
+ *   post:
+ *     summary: Reembolsa un pago confirmado y quita a la suscripción asociada los meses que pagaba.
+ *     description: Si con eso a la suscripción ya no le queda tiempo, se cancela en el acto.
+ *     tags: [Pagos]
+ *     parameters:
+ *       - in: path
+ *         name: id_pago
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pago reembolsado.
+ *       404:
+ *         description: Pago no encontrado.
+ *       409:
+ *         description: Solo se pueden reembolsar pagos confirmados (o el reembolso ya está en curso).
+ *       502:
+ *         description: El proveedor rechazó el reembolso.
+ */
+router.post("/:id_pago/reembolso", validarIdPago, cargarPagoPropio, async (req, res, next) => {
+  try {
+    // El estado se comprueba dentro, con el pago bloqueado
+    const resultado = await reembolsarPago(req.pago.id_pago);
+    if (!resultado.ok) throw new ErrorHttp(502, resultado.motivo || "El proveedor rechazó el reembolso", "REEMBOLSO_RECHAZADO");
+    res.json({ mensaje: "Pago reembolsado", pago: resultado.pago, suscripcion: resultado.suscripcion });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
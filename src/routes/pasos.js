@@ -1,8 +1,61 @@
 import express from "express";
 import db from "../db.js";
+import { permisoReceta } from "../middleware/permisos.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos, parcial } from "../middleware/validacion.js";
+import { enviarVersion, comprobarVersion } from "../middleware/concurrencia.js";
+import { subirImagenes } from "../middleware/subidas.js";
+import { columnasImagen, extraerImagen, guardarImagen, eliminarImagenes } from "../services/imagenes.js";
+import { conRevision } from "../services/revisiones.js";
+import {
+  ordenPasos,
+  numerarPasos,
+  moverPaso,
+  siguienteNumero,
+  vincularIngredientes,
+  agregarIngredientesPasos,
+} from "../services/pasos.js";
 
 const router = express.Router();
 
+// Columnas de un paso con su imagen (se convierten con extraerImagen)
+const SELECCION_PASO = `
+  SELECT p.id_paso, p.id_receta, p.numero_paso, p.descripcion, p.duracion_segundos, p.temperatura, p.unidad_temperatura,
+    p.version, ${columnasImagen("im", "imagen")}
+  FROM Pasos p
+  LEFT JOIN Imagenes im ON p.id_imagen = im.id_imagen
+`;
+
+// 🪜 Carga el paso en req.paso para poder comprobar los permisos sobre su receta
+async function cargarPaso(req, res, next) {
+  try {
+    const [results] = await db.query(`${SELECCION_PASO} WHERE p.id_paso = ?`, [req.params.id_paso]);
+    if (results.length === 0) return next(new ErrorHttp(404, "Paso no encontrado", "PASO_NO_ENCONTRADO"));
+    [req.paso] = await agregarIngredientesPasos([extraerImagen(results[0], "imagen")]);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+const recetaDelPaso = (req) => req.paso.id_receta;
+
+// ✅ Esquemas de validación
+const validarIdPaso = validar({ params: { id_paso: campos.id } });
+const campoNumeroPaso = { tipo: "entero", min: 1 };
+const camposPaso = {
+  // Posición del paso: al crear o modificar, los demás se renumeran
+  numero_paso: campoNumeroPaso,
+  descripcion: { tipo: "texto", requerido: true },
+  duracion_segundos: { tipo: "entero", min: 1, max: 86400 },
+  temperatura: { tipo: "entero", min: -50, max: 600 },
+  unidad_temperatura: { tipo: "texto", valores: ["C", "F"] },
+  // Ids de ingredientes de la receta que se usan en el paso
+  ingredientes: { tipo: "lista", max: 50, elementos: { tipo: "entero", min: 1 } },
+};
+// Campos que se pueden dejar vacíos (null) con PATCH
+const CAMPOS_OPCIONALES_PASO = ["duracion_segundos", "temperatura", "ingredientes"];
+
 /**
  * @swagger
  * components:
@@ -11,7 +64,6 @@ const router = express.Router();
  *       type: object
  *       required:
  *         - id_receta
- *         - numero_paso
  *         - descripcion
  *       properties:
  *         id_paso:
@@ -22,15 +74,54 @@ const router = express.Router();
  *           description: El ID de la receta a la que pertenece el paso.
  *         numero_paso:
  *           type: integer
- *           description: El orden del paso en la secuencia de la receta.
+ *           description: >
+ *             El orden del paso en la receta (1, 2, 3... sin huecos). Al crear o modificar un paso es la
+ *             posición en que se coloca y los demás se renumeran; si no se indica, al crear se añade al final.
  *         descripcion:
  *           type: string
  *           description: La descripción detallada del paso.
+ *         duracion_segundos:
+ *           type: integer
+ *           nullable: true
+ *           description: Duración del temporizador del paso en el modo cocina.
+ *         temperatura:
+ *           type: integer
+ *           nullable: true
+ *           description: Temperatura del paso (horno, aceite...).
+ *         unidad_temperatura:
+ *           type: string
+ *           enum: [C, F]
+ *           default: C
+ *         ingredientes:
+ *           type: array
+ *           description: >
+ *             Ingredientes de la receta que se usan en el paso. Al escribir se envían sus id_ingrediente;
+ *             al leer se devuelven con nombre, cantidad y unidad.
+ *           items:
+ *             $ref: '#/components/schemas/RecetaIngrediente'
+ *         imagen:
+ *           readOnly: true
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/Imagen'
+ *           description: Foto del paso (se sube con PUT /pasos/{id_paso}/imagen).
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: Versión del paso; es también la ETag para If-Match.
  *       example:
- *         id_paso: 1
+ *         id_paso: 3
  *         id_receta: 1
- *         numero_paso: 1
- *         descripcion: "Cortar la carne en trozos pequeños."
+ *         numero_paso: 3
+ *         descripcion: "Cocinar en sartén y servir con piña."
+ *         duracion_segundos: 600
+ *         temperatura: null
+ *         unidad_temperatura: C
+ *         ingredientes:
+ *           - id_ingrediente: 1
+ *             nombre: Carne de cerdo
+ *             cantidad: 500
+ *             unidad_medida: g
  */
 
 /**
@@ -55,16 +146,99 @@ const router = express.Router();
  *           type: integer
  *     responses:
  *       200:
- *         description: Una lista de los pasos de la receta, ordenados por número de paso.
+ *         description: >
+ *           Una lista de los pasos de la receta, ordenados por número de paso, con su temporizador,
+ *           temperatura e ingredientes (lo necesario para el modo cocina).
+ *       403:
+ *         description: Receta privada, o premium sin suscripción activa.
  */
 // 🪜 OBTENER LOS PASOS DE UNA RECETA
-router.get("/receta/:id_receta", async (req, res) => {
+router.get("/receta/:id_receta", validar({ params: { id_receta: campos.id } }), permisoReceta("contenido", (req) => req.params.id_receta), async (req, res, next) => {
+  const { id_receta } = req.params;
+  try {
+    const [results] = await db.query(`${SELECCION_PASO} WHERE p.id_receta = ? ORDER BY p.numero_paso`, [id_receta]);
+    res.json(await agregarIngredientesPasos(results.map((paso) => extraerImagen(paso, "imagen"))));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /pasos/receta/{id_receta}/orden:
+ *   put:
+ *     summary: Reordena todos los pasos de una receta a la vez.
+ *     description: >
+ *       Recibe los ids de todos los pasos de la receta en el nuevo orden y los renumera 1, 2, 3...
+ *       en una sola transacción.
+ *     tags: [Pasos]
+ *     parameters:
+ *       - in: path
+ *         name: id_receta
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pasos
+ *             properties:
+ *               pasos:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *           example:
+ *             pasos: [2, 1, 3]
+ *     responses:
+ *       200:
+ *         description: Pasos reordenados, con su número y versión nuevos.
+ *         content:
+ *           application/json:
+ *             example:
+ *               mensaje: Pasos reordenados correctamente
+ *               pasos:
+ *                 - { id_paso: 2, numero_paso: 1, version: 4 }
+ *                 - { id_paso: 1, numero_paso: 2, version: 3 }
+ *                 - { id_paso: 3, numero_paso: 3, version: 1 }
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       409:
+ *         description: La lista no contiene exactamente los pasos actuales de la receta.
+ */
+// ↕️ REORDENAR LOS PASOS DE UNA RECETA
+const validarOrden = validar({
+  params: { id_receta: campos.id },
+  body: { pasos: { tipo: "lista", requerido: true, min: 1, elementos: { tipo: "entero", min: 1 } } },
+});
+
+router.put("/receta/:id_receta/orden", validarOrden, permisoReceta("modificar", (req) => req.params.id_receta), async (req, res, next) => {
   const { id_receta } = req.params;
+  const { pasos } = req.body;
+  if (new Set(pasos).size !== pasos.length) {
+    return next(new ErrorHttp(400, "Hay pasos repetidos en la lista", "PASOS_REPETIDOS"));
+  }
+
   try {
-    const [results] = await db.query("SELECT * FROM Pasos WHERE id_receta = ? ORDER BY numero_paso", [id_receta]);
-    res.json(results);
+    const resultado = await conRevision(id_receta, req.user.id_usuario, "Pasos reordenados", async (conn) => {
+      const actuales = await ordenPasos(conn, id_receta);
+      if (actuales.length !== pasos.length || !actuales.every((id) => pasos.includes(id))) {
+        return { faltan: actuales.filter((id) => !pasos.includes(id)), ajenos: pasos.filter((id) => !actuales.includes(id)) };
+      }
+      await numerarPasos(conn, id_receta, pasos);
+      const [nuevos] = await conn.query("SELECT id_paso, numero_paso, version FROM Pasos WHERE id_receta = ? ORDER BY numero_paso", [id_receta]);
+      return { pasos: nuevos };
+    });
+    if (!resultado.pasos) {
+      // Otra persona ha añadido o quitado pasos, o la lista está incompleta
+      throw new ErrorHttp(409, "La lista debe contener todos los pasos de la receta y solo ellos", "PASOS_NO_COINCIDEN", [resultado]);
+    }
+    res.json({ mensaje: "Pasos reordenados correctamente", pasos: resultado.pasos });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -83,17 +257,18 @@ router.get("/receta/:id_receta", async (req, res) => {
  *     responses:
  *       200:
  *         description: La información del paso.
+ *         headers:
+ *           ETag:
+ *             description: Versión del paso, para enviarla en If-Match al modificarlo.
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Receta privada, o premium sin suscripción activa.
  */
 // 🪜 OBTENER UN PASO POR SU ID
-router.get("/:id_paso", async (req, res) => {
-  const { id_paso } = req.params;
-  try {
-    const [results] = await db.query("SELECT * FROM Pasos WHERE id_paso = ?", [id_paso]);
-    if (results.length === 0) return res.status(404).json({ mensaje: "Paso no encontrado" });
-    res.json(results[0]);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+router.get("/:id_paso", validarIdPaso, cargarPaso, permisoReceta("contenido", recetaDelPaso), (req, res) => {
+  enviarVersion(res, req.paso.version);
+  res.json(req.paso);
 });
 
 /**
@@ -101,6 +276,9 @@ router.get("/:id_paso", async (req, res) => {
  * /pasos:
  *   post:
  *     summary: Crea un nuevo paso para una receta.
+ *     description: >
+ *       Con numero_paso se inserta en esa posición y los pasos siguientes se desplazan; sin él
+ *       (o si es mayor que el número de pasos) se añade al final.
  *     tags: [Pasos]
  *     requestBody:
  *       required: true
@@ -108,30 +286,70 @@ router.get("/:id_paso", async (req, res) => {
  *         application/json:
  *           schema:
  *             $ref: '#/components/schemas/Paso'
+ *           example:
+ *             id_receta: 1
+ *             numero_paso: 3
+ *             descripcion: "Dorar la carne a fuego alto."
+ *             duracion_segundos: 300
+ *             ingredientes: [1]
  *     responses:
  *       201:
- *         description: Paso creado exitosamente.
+ *         description: Paso creado exitosamente, con el número que le ha correspondido.
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       422:
+ *         description: Algún ingrediente indicado no está en la receta.
  */
 // 🪜 CREAR UN NUEVO PASO
-router.post("/", async (req, res) => {
-  const { id_receta, numero_paso, descripcion } = req.body;
-  if (!id_receta || !numero_paso || !descripcion) {
-    return res.status(400).json({ error: "id_receta, numero_paso y descripcion son requeridos" });
-  }
+const validarNuevoPaso = validar({ body: { id_receta: campos.id, ...camposPaso } });
+
+router.post("/", validarNuevoPaso, permisoReceta("modificar", (req) => req.body.id_receta), async (req, res, next) => {
+  const { id_receta, numero_paso, descripcion, duracion_segundos, temperatura, unidad_temperatura = "C", ingredientes = [] } = req.body;
+  const resumen = numero_paso ? `Paso insertado en la posición ${numero_paso}` : "Paso añadido al final";
   try {
-    const sql = "INSERT INTO Pasos (id_receta, numero_paso, descripcion) VALUES (?, ?, ?)";
-    const [result] = await db.query(sql, [id_receta, numero_paso, descripcion]);
-    res.status(201).json({ id: result.insertId, ...req.body });
+    const paso = await conRevision(id_receta, req.user.id_usuario, resumen, async (conn) => {
+      const sql = `INSERT INTO Pasos (id_receta, numero_paso, descripcion, duracion_segundos, temperatura, unidad_temperatura)
+        VALUES (?, ?, ?, ?, ?, ?)`;
+      const final = await siguienteNumero(conn, id_receta);
+      const [result] = await conn.query(sql, [id_receta, final, descripcion, duracion_segundos, temperatura, unidad_temperatura]);
+      const id_paso = result.insertId;
+      await vincularIngredientes(conn, id_receta, id_paso, ingredientes);
+      const numero = numero_paso && numero_paso < final ? await moverPaso(conn, id_receta, id_paso, numero_paso) : final;
+      return { id_paso, numero_paso: numero };
+    });
+    res.status(201).json({ id: paso.id_paso, ...req.body, numero_paso: paso.numero_paso });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+// ✏️ Actualiza el paso si su versión coincide con If-Match: las columnas de `cambios`, sus
+// ingredientes y su posición si se indican. Devuelve la versión nueva (o null si entretanto
+// se ha eliminado el paso).
+async function actualizarPaso(req, { numero_paso, ingredientes, ...cambios }, resumen) {
+  const { id_paso, id_receta } = req.paso;
+  return conRevision(id_receta, req.user.id_usuario, resumen, async (conn) => {
+    const [[paso]] = await conn.query("SELECT version FROM Pasos WHERE id_paso = ? FOR UPDATE", [id_paso]);
+    if (!paso) return null;
+    comprobarVersion(req, paso.version);
+    const columnas = [...Object.keys(cambios).map((c) => `${c} = ?`), "version = version + 1"];
+    await conn.query(`UPDATE Pasos SET ${columnas.join(", ")} WHERE id_paso = ?`, [...Object.values(cambios), id_paso]);
+    if (ingredientes !== undefined) await vincularIngredientes(conn, id_receta, id_paso, ingredientes ?? []);
+    if (numero_paso !== undefined) await moverPaso(conn, id_receta, id_paso, numero_paso);
+    // Mover el paso también cambia su versión
+    const [[{ version }]] = await conn.query("SELECT version FROM Pasos WHERE id_paso = ?", [id_paso]);
+    return version;
+  });
+}
+
 /**
  * @swagger
  * /pasos/{id_paso}:
  *   put:
  *     summary: Actualiza un paso existente.
+ *     description: >
+ *       Sustituye todos los datos del paso: los que no se envían quedan vacíos (para cambiar solo
+ *       algunos, ver PATCH). Si se indica numero_paso el paso se mueve a esa posición.
  *     tags: [Pasos]
  *     parameters:
  *       - in: path
@@ -139,6 +357,7 @@ router.post("/", async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -147,21 +366,145 @@ router.post("/", async (req, res) => {
  *             $ref: '#/components/schemas/Paso'
  *     responses:
  *       200:
- *         description: Paso actualizado correctamente.
+ *         description: Paso actualizado correctamente; la ETag es la versión nueva.
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       412:
+ *         description: El paso ha cambiado desde que se obtuvo la ETag de If-Match.
+ *       422:
+ *         description: Algún ingrediente indicado no está en la receta.
  */
 // 🪜 ACTUALIZAR UN PASO
-router.put("/:id_paso", async (req, res) => {
-  const { id_paso } = req.params;
-  const { numero_paso, descripcion } = req.body;
-  if (!numero_paso || !descripcion) {
-    return res.status(400).json({ error: "numero_paso y descripcion son requeridos" });
+const validarEdicionPaso = validar({ params: { id_paso: campos.id }, body: camposPaso });
+
+router.put("/:id_paso", validarEdicionPaso, cargarPaso, permisoReceta("modificar", recetaDelPaso), async (req, res, next) => {
+  const { numero_paso, descripcion, duracion_segundos = null, temperatura = null, unidad_temperatura = "C", ingredientes = [] } = req.body;
+  try {
+    const version = await actualizarPaso(
+      req,
+      { numero_paso, descripcion, duracion_segundos, temperatura, unidad_temperatura, ingredientes },
+      `Paso ${numero_paso ?? req.paso.numero_paso} modificado`
+    );
+    if (version === null) return next(new ErrorHttp(404, "Paso no encontrado", "PASO_NO_ENCONTRADO"));
+    enviarVersion(res, version);
+    res.json({ mensaje: "Paso actualizado correctamente", version });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /pasos/{id_paso}:
+ *   patch:
+ *     summary: Actualiza solo algunos campos de un paso.
+ *     description: >
+ *       Cambia únicamente los campos enviados; el resto se conserva. Con null se quitan el
+ *       temporizador, la temperatura o los ingredientes. Si se indica numero_paso el paso se mueve
+ *       a esa posición.
+ *     tags: [Pasos]
+ *     parameters:
+ *       - in: path
+ *         name: id_paso
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Cualquier subconjunto de los campos editables de Paso.
+ *           example:
+ *             duracion_segundos: 900
+ *             temperatura: 180
+ *     responses:
+ *       200:
+ *         description: Paso actualizado correctamente; la ETag es la versión nueva.
+ *       400:
+ *         description: Ningún campo que modificar, datos inválidos o un campo obligatorio vacío.
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       412:
+ *         description: El paso ha cambiado desde que se obtuvo la ETag de If-Match.
+ *       422:
+ *         description: Algún ingrediente indicado no está en la receta.
+ */
+// 🪜 ACTUALIZAR PARTE DE UN PASO
+const validarEdicionParcialPaso = validar({ params: { id_paso: campos.id }, body: parcial(camposPaso) });
+
+router.patch("/:id_paso", validarEdicionParcialPaso, cargarPaso, permisoReceta("modificar", recetaDelPaso), async (req, res, next) => {
+  const enviados = Object.keys(camposPaso).filter((c) => c in req.body);
+  if (enviados.length === 0) {
+    return next(new ErrorHttp(400, `Indica algún campo que modificar: ${Object.keys(camposPaso).join(", ")}`, "SIN_CAMBIOS"));
+  }
+  const vacios = enviados.filter((c) => (req.body[c] === null || req.body[c] === "") && !CAMPOS_OPCIONALES_PASO.includes(c));
+  if (vacios.length > 0) {
+    return next(new ErrorHttp(400, `Estos campos no se pueden dejar vacíos: ${vacios.join(", ")}`, "CAMPOS_VACIOS"));
   }
+
+  try {
+    const cambios = Object.fromEntries(enviados.map((c) => [c, req.body[c] === "" ? null : req.body[c]]));
+    const version = await actualizarPaso(req, cambios, `Paso ${cambios.numero_paso ?? req.paso.numero_paso} modificado`);
+    if (version === null) return next(new ErrorHttp(404, "Paso no encontrado", "PASO_NO_ENCONTRADO"));
+    enviarVersion(res, version);
+    res.json({ mensaje: "Paso actualizado correctamente", version });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /pasos/{id_paso}/posicion:
+ *   put:
+ *     summary: Mueve un paso a otra posición de la receta.
+ *     description: >
+ *       Los pasos intermedios se desplazan para que la numeración siga siendo 1, 2, 3... Una
+ *       posición mayor que el número de pasos lo lleva al final.
+ *     tags: [Pasos]
+ *     parameters:
+ *       - in: path
+ *         name: id_paso
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - numero_paso
+ *             properties:
+ *               numero_paso:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Paso movido; la ETag es la versión nueva.
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       412:
+ *         description: El paso ha cambiado desde que se obtuvo la ETag de If-Match.
+ */
+// ↕️ MOVER UN PASO
+const validarPosicion = validar({ params: { id_paso: campos.id }, body: { numero_paso: { ...campoNumeroPaso, requerido: true } } });
+
+router.put("/:id_paso/posicion", validarPosicion, cargarPaso, permisoReceta("modificar", recetaDelPaso), async (req, res, next) => {
+  const { numero_paso } = req.body;
   try {
-    const sql = "UPDATE Pasos SET numero_paso=?, descripcion=? WHERE id_paso=?";
-    await db.query(sql, [numero_paso, descripcion, id_paso]);
-    res.json({ mensaje: "Paso actualizado correctamente" });
+    const resumen = `Paso ${req.paso.numero_paso} movido a la posición ${numero_paso}`;
+    const version = await actualizarPaso(req, { numero_paso }, resumen);
+    if (version === null) return next(new ErrorHttp(404, "Paso no encontrado", "PASO_NO_ENCONTRADO"));
+    enviarVersion(res, version);
+    res.json({ mensaje: "Paso movido correctamente", version });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -170,6 +513,7 @@ router.put("/:id_paso", async (req, res) => {
  * /pasos/{id_paso}:
  *   delete:
  *     summary: Elimina un paso.
+ *     description: Los pasos siguientes se renumeran para no dejar un hueco.
  *     tags: [Pasos]
  *     parameters:
  *       - in: path
@@ -180,15 +524,108 @@ router.put("/:id_paso", async (req, res) => {
  *     responses:
  *       200:
  *         description: Paso eliminado correctamente.
+ *       403:
+ *         description: Sin permiso para modificar la receta.
  */
 // 🪜 ELIMINAR UN PASO
-router.delete("/:id_paso", async (req, res) => {
-  const { id_paso } = req.params;
+router.delete("/:id_paso", validarIdPaso, cargarPaso, permisoReceta("modificar", recetaDelPaso), async (req, res, next) => {
+  const { id_paso, id_receta } = req.paso;
   try {
-    await db.query("DELETE FROM Pasos WHERE id_paso=?", [id_paso]);
+    await conRevision(id_receta, req.user.id_usuario, `Paso ${req.paso.numero_paso} eliminado`, async (conn) => {
+      await conn.query("DELETE FROM Pasos WHERE id_paso=?", [id_paso]);
+      await numerarPasos(conn, id_receta, await ordenPasos(conn, id_receta));
+    });
+    await eliminarImagenes([req.paso.imagen?.id_imagen]);
     res.json({ mensaje: "Paso eliminado correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /pasos/{id_paso}/imagen:
+ *   put:
+ *     summary: Sube o sustituye la foto de un paso.
+ *     description: >
+ *       Admite JPEG, PNG y WebP hasta el tamaño máximo configurado (5 MB por defecto). Se guardan
+ *       el original y miniaturas en WebP; la foto anterior, si la había, se elimina.
+ *     tags: [Pasos]
+ *     parameters:
+ *       - in: path
+ *         name: id_paso
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imagen
+ *             properties:
+ *               imagen:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Foto guardada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Imagen'
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       413:
+ *         description: La imagen supera el tamaño máximo.
+ *       415:
+ *         description: El archivo no es una imagen JPEG, PNG o WebP.
+ */
+// 🖼️ SUBIR LA FOTO DE UN PASO
+router.put("/:id_paso/imagen", validarIdPaso, cargarPaso, permisoReceta("modificar", recetaDelPaso), subirImagenes("imagen"), async (req, res, next) => {
+  const { id_paso, id_receta } = req.paso;
+  try {
+    const imagen = await guardarImagen(req.imagenes[0], `recetas/${id_receta}/pasos`, async (conn, id_imagen) => {
+      const [[paso]] = await conn.query("SELECT id_imagen FROM Pasos WHERE id_paso = ? FOR UPDATE", [id_paso]);
+      await conn.query("UPDATE Pasos SET id_imagen = ? WHERE id_paso = ?", [id_imagen, id_paso]);
+      return [paso.id_imagen];
+    });
+    res.json(imagen);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /pasos/{id_paso}/imagen:
+ *   delete:
+ *     summary: Elimina la foto de un paso.
+ *     tags: [Pasos]
+ *     parameters:
+ *       - in: path
+ *         name: id_paso
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Foto eliminada.
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       404:
+ *         description: Paso no encontrado o sin foto.
+ */
+// 🖼️ ELIMINAR LA FOTO DE UN PASO
+router.delete("/:id_paso/imagen", validarIdPaso, cargarPaso, permisoReceta("modificar", recetaDelPaso), async (req, res, next) => {
+  if (!req.paso.imagen) return next(new ErrorHttp(404, "El paso no tiene foto", "IMAGEN_NO_ENCONTRADA"));
+  try {
+    await eliminarImagenes([req.paso.imagen.id_imagen]);
+    res.json({ mensaje: "Foto del paso eliminada correctamente" });
+  } catch (err) {
+    next(err);
   }
 });
 
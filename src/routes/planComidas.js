@@ -0,0 +1,460 @@
+import express from "express";
+import db, { transaccion } from "../db.js";
+import { requerirSesion } from "../middleware/auth.js";
+import { permisoReceta, obtenerPermisos } from "../middleware/permisos.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { crearLista, obtenerLista } from "../services/listasCompra.js";
+import { inicioSemana, sumarDias, obtenerSemana, sugerirComidas, recetasDelPeriodo } from "../services/planComidas.js";
+
+const router = express.Router();
+
+// ✅ Esquemas de validación
+const diaRequerido = { ...campos.dia, requerido: true };
+const validarHueco = validar({ params: { fecha: diaRequerido, id_categoria: campos.id } });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SemanaPlan:
+ *       type: object
+ *       properties:
+ *         desde:
+ *           type: string
+ *           format: date
+ *           description: Lunes de la semana.
+ *         hasta:
+ *           type: string
+ *           format: date
+ *         dias:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               fecha:
+ *                 type: string
+ *                 format: date
+ *               comidas:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ComidaPlan'
+ *               tiempo_total:
+ *                 type: integer
+ *               costo_total:
+ *                 type: number
+ *         totales:
+ *           type: object
+ *           properties:
+ *             comidas:
+ *               type: integer
+ *             tiempo_total:
+ *               type: integer
+ *             costo_total:
+ *               type: number
+ *     ComidaPlan:
+ *       type: object
+ *       properties:
+ *         id_plan_comida:
+ *           type: integer
+ *         fecha:
+ *           type: string
+ *           format: date
+ *         id_categoria:
+ *           type: integer
+ *         momento:
+ *           type: string
+ *         id_receta:
+ *           type: integer
+ *         titulo:
+ *           type: string
+ *         porciones:
+ *           type: integer
+ *         tiempo_preparacion:
+ *           type: integer
+ *         costo:
+ *           type: number
+ *           description: Costo de la receta escalado a las porciones planificadas.
+ *       example:
+ *         id_plan_comida: 7
+ *         fecha: "2024-05-13"
+ *         id_categoria: 3
+ *         momento: Cena
+ *         id_receta: 1
+ *         titulo: Pizza Hawaiana
+ *         porciones: 2
+ *         tiempo_preparacion: 45
+ *         costo: 6.25
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: PlanComidas
+ *   description: Planificación semanal de comidas del usuario de la sesión.
+ */
+
+// 📅 VER UNA SEMANA
+/**
+ * @swagger
+ * /plan-comidas/semana:
+ *   get:
+ *     summary: Obtiene el plan de la semana (de lunes a domingo) que contiene la fecha indicada.
+ *     tags: [PlanComidas]
+ *     parameters:
+ *       - in: query
+ *         name: fecha
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Cualquier día de la semana (por defecto, hoy).
+ *     responses:
+ *       200:
+ *         description: Comidas de cada día con el tiempo y el costo totales por día y de la semana.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SemanaPlan'
+ *       401:
+ *         description: Se requiere iniciar sesión.
+ */
+const validarSemana = validar({ query: { fecha: campos.dia } });
+
+router.get("/semana", requerirSesion, validarSemana, async (req, res, next) => {
+  try {
+    res.json(await obtenerSemana(req.user.id_usuario, inicioSemana(req.consulta.fecha)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🍽️ ASIGNAR UNA RECETA A UN DÍA Y MOMENTO
+/**
+ * @swagger
+ * /plan-comidas/{fecha}/{id_categoria}:
+ *   put:
+ *     summary: Asigna una receta a un día y momento (categoría), sustituyendo la que hubiera.
+ *     tags: [PlanComidas]
+ *     parameters:
+ *       - in: path
+ *         name: fecha
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: path
+ *         name: id_categoria
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_receta
+ *             properties:
+ *               id_receta:
+ *                 type: integer
+ *               porciones:
+ *                 type: integer
+ *                 description: Por defecto, las de la receta.
+ *           example:
+ *             id_receta: 1
+ *             porciones: 2
+ *     responses:
+ *       200:
+ *         description: Comida planificada.
+ *       403:
+ *         description: Receta privada o premium sin acceso.
+ *       404:
+ *         description: Receta no encontrada.
+ *       422:
+ *         description: La categoría no existe.
+ */
+const validarAsignacion = validar({
+  params: { fecha: diaRequerido, id_categoria: campos.id },
+  body: {
+    id_receta: campos.id,
+    porciones: { tipo: "entero", min: 1, max: 100 },
+  },
+});
+
+router.put("/:fecha/:id_categoria", validarAsignacion, permisoReceta("contenido", (req) => req.body.id_receta), async (req, res, next) => {
+  const { fecha, id_categoria } = req.params;
+  const { id_receta, porciones = null } = req.body;
+  try {
+    await db.query(
+      `INSERT INTO Plan_Comidas (id_usuario, fecha, id_categoria, id_receta, porciones) VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE id_receta = VALUES(id_receta), porciones = VALUES(porciones)`,
+      [req.user.id_usuario, fecha, id_categoria, id_receta, porciones]
+    );
+    res.json({ mensaje: "Comida planificada correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🗑️ QUITAR UNA COMIDA DEL PLAN
+/**
+ * @swagger
+ * /plan-comidas/{fecha}/{id_categoria}:
+ *   delete:
+ *     summary: Quita la receta planificada en un día y momento.
+ *     tags: [PlanComidas]
+ *     parameters:
+ *       - in: path
+ *         name: fecha
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: path
+ *         name: id_categoria
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Comida eliminada del plan.
+ *       404:
+ *         description: No hay nada planificado en ese día y momento.
+ */
+router.delete("/:fecha/:id_categoria", validarHueco, async (req, res, next) => {
+  try {
+    const [result] = await db.query(
+      "DELETE FROM Plan_Comidas WHERE id_usuario = ? AND fecha = ? AND id_categoria = ?",
+      [req.user.id_usuario, req.params.fecha, req.params.id_categoria]
+    );
+    if (result.affectedRows === 0) return next(new ErrorHttp(404, "Comida no encontrada en el plan", "COMIDA_NO_ENCONTRADA"));
+    res.json({ mensaje: "Comida eliminada del plan" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 📋 COPIAR UNA SEMANA
+/**
+ * @swagger
+ * /plan-comidas/copiar-semana:
+ *   post:
+ *     summary: Copia el plan de una semana en otra.
+ *     description: >
+ *       Las fechas pueden ser cualquier día de cada semana. Sin `reemplazar`, los momentos
+ *       ya planificados en la semana de destino se conservan; con `reemplazar`, la semana
+ *       de destino se vacía antes de copiar.
+ *     tags: [PlanComidas]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - desde
+ *               - hasta
+ *             properties:
+ *               desde:
+ *                 type: string
+ *                 format: date
+ *               hasta:
+ *                 type: string
+ *                 format: date
+ *               reemplazar:
+ *                 type: boolean
+ *                 default: false
+ *           example:
+ *             desde: "2024-05-13"
+ *             hasta: "2024-05-20"
+ *     responses:
+ *       200:
+ *         description: Plan de la semana de destino.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SemanaPlan'
+ *       400:
+ *         description: Las dos fechas son de la misma semana.
+ */
+const validarCopia = validar({
+  body: {
+    desde: diaRequerido,
+    hasta: diaRequerido,
+    reemplazar: { tipo: "booleano" },
+  },
+});
+
+router.post("/copiar-semana", validarCopia, async (req, res, next) => {
+  const origen = inicioSemana(req.body.desde);
+  const destino = inicioSemana(req.body.hasta);
+  if (origen === destino) return next(new ErrorHttp(400, "Las semanas de origen y destino son la misma", "MISMA_SEMANA"));
+
+  const id_usuario = req.user.id_usuario;
+  const dias = Math.round((Date.parse(destino) - Date.parse(origen)) / 86400000);
+  try {
+    await transaccion(async (conn) => {
+      if (req.body.reemplazar) {
+        await conn.query("DELETE FROM Plan_Comidas WHERE id_usuario = ? AND fecha BETWEEN ? AND ?", [
+          id_usuario,
+          destino,
+          sumarDias(destino, 6),
+        ]);
+      }
+      // INSERT IGNORE: los momentos ya ocupados en el destino se mantienen
+      await conn.query(
+        `INSERT IGNORE INTO Plan_Comidas (id_usuario, fecha, id_categoria, id_receta, porciones)
+         SELECT id_usuario, DATE_ADD(fecha, INTERVAL ? DAY), id_categoria, id_receta, porciones
+         FROM Plan_Comidas
+         WHERE id_usuario = ? AND fecha BETWEEN ? AND ?`,
+        [dias, id_usuario, origen, sumarDias(origen, 6)]
+      );
+    });
+    res.json(await obtenerSemana(id_usuario, destino));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🪄 AUTOCOMPLETAR UNA SEMANA
+/**
+ * @swagger
+ * /plan-comidas/autocompletar:
+ *   post:
+ *     summary: Rellena los momentos libres de la semana con recetas sugeridas.
+ *     description: >
+ *       Para cada día y momento sin receta se propone una receta de esa categoría que el
+ *       usuario puede cocinar, priorizando las que mejor ha valorado, las que más ha
+ *       planificado y las mejor valoradas por todos, sin repetir recetas mientras haya
+ *       alternativas. Si no se indican `momentos`, se usan sus categorías favoritas.
+ *       Con `solo_sugerir` devuelve las sugerencias sin guardarlas.
+ *     tags: [PlanComidas]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fecha:
+ *                 type: string
+ *                 format: date
+ *                 description: Cualquier día de la semana (por defecto, hoy).
+ *               momentos:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Categorías a rellenar cada día.
+ *               tiempo_max:
+ *                 type: integer
+ *                 description: Tiempo máximo de preparación de cada receta, en minutos.
+ *               tiempo_max_dia:
+ *                 type: integer
+ *                 description: Tiempo máximo de preparación sumado en un día, en minutos.
+ *               solo_sugerir:
+ *                 type: boolean
+ *                 default: false
+ *           example:
+ *             fecha: "2024-05-13"
+ *             momentos: [1, 3]
+ *             tiempo_max_dia: 90
+ *     responses:
+ *       200:
+ *         description: >
+ *           Sugerencias, momentos para los que no se encontró receta y, si se han guardado,
+ *           el plan de la semana resultante.
+ */
+const validarAutocompletar = validar({
+  body: {
+    fecha: campos.dia,
+    momentos: { tipo: "lista", max: 10, elementos: { tipo: "entero", min: 1 } },
+    tiempo_max: { tipo: "entero", min: 1 },
+    tiempo_max_dia: { tipo: "entero", min: 1 },
+    solo_sugerir: { tipo: "booleano" },
+  },
+});
+
+router.post("/autocompletar", validarAutocompletar, async (req, res, next) => {
+  const { fecha, momentos, tiempo_max, tiempo_max_dia, solo_sugerir } = req.body;
+  const lunes = inicioSemana(fecha);
+  try {
+    const momentosUnicos = momentos && [...new Set(momentos)];
+    const { sugerencias, sin_sugerencia } = await sugerirComidas(req.user, lunes, {
+      momentos: momentosUnicos,
+      tiempo_max,
+      tiempo_max_dia,
+    });
+    if (solo_sugerir) return res.json({ sugerencias, sin_sugerencia });
+
+    if (sugerencias.length > 0) {
+      // INSERT IGNORE: si otro cliente ocupó el momento mientras tanto, se respeta
+      await db.query("INSERT IGNORE INTO Plan_Comidas (id_usuario, fecha, id_categoria, id_receta) VALUES ?", [
+        sugerencias.map((s) => [req.user.id_usuario, s.fecha, s.id_categoria, s.id_receta]),
+      ]);
+    }
+    res.json({ sugerencias, sin_sugerencia, semana: await obtenerSemana(req.user.id_usuario, lunes) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🛒 LISTA DE LA COMPRA DE UNA SEMANA
+/**
+ * @swagger
+ * /plan-comidas/lista-compra:
+ *   post:
+ *     summary: Crea una lista de la compra con los ingredientes de todas las comidas de la semana.
+ *     description: >
+ *       Cada receta se escala a la suma de las porciones con que aparece en la semana.
+ *       Las recetas cuyo contenido ya no es accesible (se volvieron privadas o premium)
+ *       se omiten y se indican en `omitidas`.
+ *     tags: [PlanComidas]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fecha:
+ *                 type: string
+ *                 format: date
+ *                 description: Cualquier día de la semana (por defecto, hoy).
+ *               nombre:
+ *                 type: string
+ *                 description: Por defecto, "Semana del <lunes>".
+ *     responses:
+ *       201:
+ *         description: Lista creada y recetas omitidas.
+ *       404:
+ *         description: No hay comidas planificadas esa semana.
+ */
+const validarListaSemana = validar({
+  body: {
+    fecha: campos.dia,
+    nombre: { tipo: "texto", max: 100 },
+  },
+});
+
+router.post("/lista-compra", validarListaSemana, async (req, res, next) => {
+  const lunes = inicioSemana(req.body.fecha);
+  const nombre = req.body.nombre || `Semana del ${lunes}`;
+  try {
+    const planificadas = await recetasDelPeriodo(req.user.id_usuario, lunes, sumarDias(lunes, 6));
+    if (planificadas.length === 0) return next(new ErrorHttp(404, "No hay comidas planificadas esa semana", "SEMANA_VACIA"));
+
+    const recetas = [];
+    const omitidas = [];
+    for (const receta of planificadas) {
+      const permisos = await obtenerPermisos(receta.id_receta, req.user);
+      if (permisos?.puedeVerContenido) recetas.push(receta);
+      else omitidas.push(receta.id_receta);
+    }
+
+    const id_lista = await crearLista(req.user.id_usuario, nombre, recetas);
+    res.status(201).json({ lista: await obtenerLista(id_lista), omitidas });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,318 @@
+import express from "express";
+import db, { transaccion } from "../db.js";
+import { requerirModerador } from "../middleware/auth.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { convertirCantidad } from "../services/unidades.js";
+import { recalcularCostos, CONDICION_PRECIO_VIGENTE } from "../services/costos.js";
+
+// mergeParams para leer el :id del ingrediente definido en server.js
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PrecioIngrediente:
+ *       type: object
+ *       properties:
+ *         id_precio:
+ *           type: integer
+ *         id_ingrediente:
+ *           type: integer
+ *         precio:
+ *           type: number
+ *         cantidad:
+ *           type: number
+ *           description: Cantidad, en la unidad del ingrediente, que cuesta `precio`.
+ *         region:
+ *           type: string
+ *           description: Región del precio, o null para el precio de referencia.
+ *         tienda:
+ *           type: string
+ *         vigente_desde:
+ *           type: string
+ *           format: date
+ *         vigente_hasta:
+ *           type: string
+ *           format: date
+ *           description: Primer día en que deja de valer (null mientras siga vigente).
+ *       example:
+ *         id_precio: 1
+ *         id_ingrediente: 1
+ *         precio: 8.5
+ *         cantidad: 1000
+ *         region: null
+ *         tienda: null
+ *         vigente_desde: "2024-01-01"
+ *         vigente_hasta: null
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: PreciosIngrediente
+ *   description: Precios de un ingrediente, con los que se calcula el costo de las recetas.
+ */
+
+const COLUMNAS_PRECIO = `
+  p.id_precio, p.id_ingrediente, p.precio, p.cantidad, p.region, p.tienda,
+  DATE_FORMAT(p.vigente_desde, '%Y-%m-%d') AS vigente_desde, DATE_FORMAT(p.vigente_hasta, '%Y-%m-%d') AS vigente_hasta
+`;
+
+// 💰 LISTAR LOS PRECIOS DE UN INGREDIENTE
+/**
+ * @swagger
+ * /ingredientes/{id}/precios:
+ *   get:
+ *     summary: Lista los precios vigentes del ingrediente (o todo el historial).
+ *     tags: [PreciosIngrediente]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *         description: Solo los precios de esa región.
+ *       - in: query
+ *         name: historial
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluye los precios pasados y futuros.
+ *     responses:
+ *       200:
+ *         description: Precios del ingrediente, de los más recientes a los más antiguos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PrecioIngrediente'
+ */
+const validarListado = validar({
+  params: { id: campos.id },
+  query: {
+    region: { tipo: "texto", max: 50 },
+    historial: { tipo: "booleano" },
+  },
+});
+
+router.get("/", validarListado, async (req, res, next) => {
+  const { id } = req.params;
+  const { region, historial = false } = req.consulta;
+  const condiciones = ["p.id_ingrediente = ?"];
+  const params = [id];
+  if (!historial) condiciones.push(CONDICION_PRECIO_VIGENTE);
+  if (region !== undefined) {
+    condiciones.push("p.region = ?");
+    params.push(region);
+  }
+  try {
+    const sql = `
+      SELECT ${COLUMNAS_PRECIO}
+      FROM Precios_Ingrediente p
+      WHERE ${condiciones.join(" AND ")}
+      ORDER BY p.vigente_desde DESC, p.id_precio DESC;
+    `;
+    const [results] = await db.query(sql, params);
+    res.json(results.map((p) => ({ ...p, precio: Number(p.precio), cantidad: Number(p.cantidad) })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 💰 REGISTRAR UN PRECIO
+/**
+ * @swagger
+ * /ingredientes/{id}/precios:
+ *   post:
+ *     summary: Registra un nuevo precio del ingrediente.
+ *     description: >
+ *       El precio vigente de la misma región y tienda deja de valer el día en que empieza el nuevo.
+ *       Si se indica una unidad distinta de la del ingrediente, la cantidad se convierte
+ *       (2.50 por 1 kg en un ingrediente medido en g se guarda como 2.50 por 1000 g).
+ *       Los cambios en los precios de referencia (sin región) recalculan el costo de las recetas.
+ *     tags: [PreciosIngrediente]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - precio
+ *             properties:
+ *               precio:
+ *                 type: number
+ *               cantidad:
+ *                 type: number
+ *                 default: 1
+ *               unidad_medida:
+ *                 type: string
+ *                 description: Unidad de `cantidad` (por defecto, la del ingrediente).
+ *               region:
+ *                 type: string
+ *               tienda:
+ *                 type: string
+ *               vigente_desde:
+ *                 type: string
+ *                 format: date
+ *                 description: Por defecto, hoy.
+ *           example:
+ *             precio: 2.5
+ *             cantidad: 1
+ *             unidad_medida: kg
+ *             region: Madrid
+ *     responses:
+ *       201:
+ *         description: Precio registrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PrecioIngrediente'
+ *       400:
+ *         description: La unidad no es compatible con la del ingrediente.
+ *       401:
+ *         description: Se requiere iniciar sesión.
+ *       403:
+ *         description: El usuario no es moderador.
+ *       404:
+ *         description: Ingrediente no encontrado.
+ *       409:
+ *         description: Ya hay un precio de esa región y tienda que empieza ese día o después.
+ */
+const validarPrecio = validar({
+  params: { id: campos.id },
+  body: {
+    precio: { tipo: "numero", requerido: true, min: 0, max: 99999999.99 },
+    cantidad: { tipo: "numero", min: 0.0001, max: 999999 },
+    unidad_medida: { tipo: "texto", max: 20 },
+    region: { tipo: "texto", max: 50 },
+    tienda: { tipo: "texto", max: 100 },
+    vigente_desde: campos.dia,
+  },
+});
+
+// Solo moderadores: cada precio cambia el costo calculado de todas las recetas que usan el ingrediente
+router.post("/", requerirModerador, validarPrecio, async (req, res, next) => {
+  const { id } = req.params;
+  const { precio, cantidad = 1, unidad_medida, region = null, tienda = null } = req.body;
+  const vigente_desde = req.body.vigente_desde ?? new Date().toISOString().slice(0, 10);
+  try {
+    const [[ingrediente]] = await db.query("SELECT unidad_medida FROM Ingredientes WHERE id_ingrediente = ?", [id]);
+    if (!ingrediente) return next(new ErrorHttp(404, "Ingrediente no encontrado", "INGREDIENTE_NO_ENCONTRADO"));
+
+    // La cantidad se guarda siempre en la unidad del ingrediente
+    const cantidadIngrediente = unidad_medida ? convertirCantidad(cantidad, unidad_medida, ingrediente.unidad_medida) : cantidad;
+    if (cantidadIngrediente === null) {
+      const mensaje = `La unidad ${unidad_medida} no es compatible con la del ingrediente (${ingrediente.unidad_medida})`;
+      return next(new ErrorHttp(400, mensaje, "UNIDAD_INCOMPATIBLE"));
+    }
+
+    const id_precio = await transaccion(async (conn) => {
+      const [posteriores] = await conn.query(
+        `SELECT id_precio FROM Precios_Ingrediente
+         WHERE id_ingrediente = ? AND region <=> ? AND tienda <=> ? AND vigente_desde >= ?
+         FOR UPDATE`,
+        [id, region, tienda, vigente_desde]
+      );
+      if (posteriores.length > 0) return null;
+
+      await conn.query(
+        `UPDATE Precios_Ingrediente SET vigente_hasta = ?
+         WHERE id_ingrediente = ? AND region <=> ? AND tienda <=> ? AND (vigente_hasta IS NULL OR vigente_hasta > ?)`,
+        [vigente_desde, id, region, tienda, vigente_desde]
+      );
+      const [result] = await conn.query(
+        "INSERT INTO Precios_Ingrediente (id_ingrediente, precio, cantidad, region, tienda, vigente_desde) VALUES (?, ?, ?, ?, ?, ?)",
+        [id, precio, cantidadIngrediente, region, tienda, vigente_desde]
+      );
+      if (region === null) await recalcularCostos(conn, { ingredientes: [id] });
+      return result.insertId;
+    });
+    if (id_precio === null) {
+      return next(new ErrorHttp(409, "Ya hay un precio de esa región y tienda que empieza ese día o después", "PRECIO_POSTERIOR"));
+    }
+
+    res.status(201).json({
+      id_precio,
+      id_ingrediente: id,
+      precio,
+      cantidad: cantidadIngrediente,
+      region,
+      tienda,
+      vigente_desde,
+      vigente_hasta: null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🗑️ ELIMINAR UN PRECIO
+/**
+ * @swagger
+ * /ingredientes/{id}/precios/{id_precio}:
+ *   delete:
+ *     summary: Elimina un precio registrado por error.
+ *     description: El precio anterior de la misma región y tienda vuelve a valer hasta donde valía el eliminado.
+ *     tags: [PreciosIngrediente]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id_precio
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Precio eliminado.
+ *       401:
+ *         description: Se requiere iniciar sesión.
+ *       403:
+ *         description: El usuario no es moderador.
+ *       404:
+ *         description: Precio no encontrado.
+ */
+router.delete("/:id_precio", requerirModerador, validar({ params: { id: campos.id, id_precio: campos.id } }), async (req, res, next) => {
+  const { id, id_precio } = req.params;
+  try {
+    const eliminado = await transaccion(async (conn) => {
+      const [[precio]] = await conn.query(
+        "SELECT region, tienda, vigente_desde, vigente_hasta FROM Precios_Ingrediente WHERE id_precio = ? AND id_ingrediente = ? FOR UPDATE",
+        [id_precio, id]
+      );
+      if (!precio) return false;
+
+      await conn.query("DELETE FROM Precios_Ingrediente WHERE id_precio = ?", [id_precio]);
+      await conn.query(
+        `UPDATE Precios_Ingrediente SET vigente_hasta = ?
+         WHERE id_ingrediente = ? AND region <=> ? AND tienda <=> ? AND vigente_hasta = ?`,
+        [precio.vigente_hasta, id, precio.region, precio.tienda, precio.vigente_desde]
+      );
+      if (precio.region === null) await recalcularCostos(conn, { ingredientes: [id] });
+      return true;
+    });
+    if (!eliminado) return next(new ErrorHttp(404, "Precio no encontrado", "PRECIO_NO_ENCONTRADO"));
+    res.json({ mensaje: "Precio eliminado correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,324 @@
+import express from "express";
+import db from "../db.js";
+import { permisoReceta } from "../middleware/permisos.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { subirImagenes } from "../middleware/subidas.js";
+import { columnasImagen, extraerImagen, guardarImagen, eliminarImagenes, galeriaReceta } from "../services/imagenes.js";
+
+// mergeParams para leer el :id de la receta definido en server.js
+const router = express.Router({ mergeParams: true });
+
+// Fotos que admite la galería de una receta, y cuántas se pueden subir a la vez
+const GALERIA_MAXIMA = 20;
+const GALERIA_POR_SUBIDA = 10;
+
+const validarId = validar({ params: { id: campos.id } });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Imagen:
+ *       type: object
+ *       properties:
+ *         id_imagen:
+ *           type: integer
+ *         ancho:
+ *           type: integer
+ *           description: Ancho del original, en píxeles.
+ *         alto:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           description: URL del original (JPEG, PNG o WebP, sin metadatos).
+ *         miniaturas:
+ *           type: object
+ *           description: URLs de las miniaturas en WebP (lado máximo de 160, 480 y 1200 px).
+ *           properties:
+ *             pequena:
+ *               type: string
+ *             mediana:
+ *               type: string
+ *             grande:
+ *               type: string
+ *       example:
+ *         id_imagen: 7
+ *         ancho: 2048
+ *         alto: 1536
+ *         url: /media/recetas/1/3f0c9a52-6f1e-4a0e-9b44-2a1d2b6f8e10/original.jpeg
+ *         miniaturas:
+ *           pequena: /media/recetas/1/3f0c9a52-6f1e-4a0e-9b44-2a1d2b6f8e10/pequena.webp
+ *           mediana: /media/recetas/1/3f0c9a52-6f1e-4a0e-9b44-2a1d2b6f8e10/mediana.webp
+ *           grande: /media/recetas/1/3f0c9a52-6f1e-4a0e-9b44-2a1d2b6f8e10/grande.webp
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: ImagenesReceta
+ *   description: Foto de portada y galería de fotos de una receta.
+ */
+
+// 🖼️ PORTADA Y GALERÍA DE UNA RECETA
+/**
+ * @swagger
+ * /recetas/{id}/imagenes:
+ *   get:
+ *     summary: Obtiene la portada y la galería de la receta.
+ *     tags: [ImagenesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Portada (o null) y fotos de la galería en orden.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 portada:
+ *                   $ref: '#/components/schemas/Imagen'
+ *                 galeria:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Imagen'
+ *       403:
+ *         description: La receta es privada y el usuario no es autor ni colaborador.
+ *       404:
+ *         description: Receta no encontrada.
+ */
+router.get("/", validarId, permisoReceta("ver"), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const [[receta]] = await db.query(
+      `SELECT ${columnasImagen("im", "portada")}
+       FROM Recetas r
+       LEFT JOIN Imagenes im ON r.id_portada = im.id_imagen
+       WHERE r.id_receta = ?`,
+      [id]
+    );
+    const { portada } = extraerImagen(receta, "portada");
+    res.json({ portada, galeria: await galeriaReceta(id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🖼️ SUBIR LA PORTADA
+/**
+ * @swagger
+ * /recetas/{id}/imagenes/portada:
+ *   put:
+ *     summary: Sube o sustituye la foto de portada de la receta.
+ *     description: >
+ *       Admite JPEG, PNG y WebP hasta el tamaño máximo configurado (5 MB por defecto). Se guardan
+ *       el original y miniaturas en WebP; la portada anterior, si la había, se elimina.
+ *     tags: [ImagenesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imagen
+ *             properties:
+ *               imagen:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Portada guardada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Imagen'
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       413:
+ *         description: La imagen supera el tamaño máximo.
+ *       415:
+ *         description: El archivo no es una imagen JPEG, PNG o WebP.
+ */
+router.put("/portada", validarId, permisoReceta("modificar"), subirImagenes("imagen"), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const imagen = await guardarImagen(req.imagenes[0], `recetas/${id}`, async (conn, id_imagen) => {
+      const [[receta]] = await conn.query("SELECT id_portada FROM Recetas WHERE id_receta = ? FOR UPDATE", [id]);
+      await conn.query("UPDATE Recetas SET id_portada = ? WHERE id_receta = ?", [id_imagen, id]);
+      return [receta.id_portada];
+    });
+    res.json(imagen);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🗑️ ELIMINAR LA PORTADA
+/**
+ * @swagger
+ * /recetas/{id}/imagenes/portada:
+ *   delete:
+ *     summary: Elimina la foto de portada de la receta.
+ *     tags: [ImagenesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Portada eliminada.
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       404:
+ *         description: La receta no tiene portada.
+ */
+router.delete("/portada", validarId, permisoReceta("modificar"), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const [[{ id_portada }]] = await db.query("SELECT id_portada FROM Recetas WHERE id_receta = ?", [id]);
+    if (!id_portada) return next(new ErrorHttp(404, "La receta no tiene portada", "PORTADA_NO_ENCONTRADA"));
+    await eliminarImagenes([id_portada]);
+    res.json({ mensaje: "Portada eliminada correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 📷 AÑADIR FOTOS A LA GALERÍA
+/**
+ * @swagger
+ * /recetas/{id}/imagenes/galeria:
+ *   post:
+ *     summary: Añade fotos al final de la galería de la receta.
+ *     description: >
+ *       Hasta 10 fotos por petición y 20 por receta. Si alguna no es una imagen válida no se
+ *       añade ninguna.
+ *     tags: [ImagenesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imagenes
+ *             properties:
+ *               imagenes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Fotos nuevas, en el orden en que se enviaron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Imagen'
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       409:
+ *         description: La galería no admite tantas fotos.
+ *       413:
+ *         description: Alguna imagen supera el tamaño máximo.
+ *       415:
+ *         description: Algún archivo no es una imagen JPEG, PNG o WebP.
+ */
+router.post("/galeria", validarId, permisoReceta("modificar"), subirImagenes("imagenes", GALERIA_POR_SUBIDA), async (req, res, next) => {
+  const { id } = req.params;
+  const completa = (total) =>
+    new ErrorHttp(409, `La galería admite como máximo ${GALERIA_MAXIMA} fotos (ya tiene ${total})`, "GALERIA_COMPLETA");
+  const nuevas = [];
+  try {
+    const [[{ total }]] = await db.query("SELECT COUNT(*) AS total FROM Receta_Galeria WHERE id_receta = ?", [id]);
+    if (total + req.imagenes.length > GALERIA_MAXIMA) throw completa(total);
+
+    for (const procesada of req.imagenes) {
+      const imagen = await guardarImagen(procesada, `recetas/${id}/galeria`, async (conn, id_imagen) => {
+        // Bloquea la receta para que dos subidas a la vez no repitan posición ni pasen del máximo
+        await conn.query("SELECT id_receta FROM Recetas WHERE id_receta = ? FOR UPDATE", [id]);
+        const [[{ actuales }]] = await conn.query("SELECT COUNT(*) AS actuales FROM Receta_Galeria WHERE id_receta = ?", [id]);
+        if (actuales >= GALERIA_MAXIMA) throw completa(actuales);
+        await conn.query(
+          `INSERT INTO Receta_Galeria (id_imagen, id_receta, posicion)
+           SELECT ?, ?, COALESCE(MAX(posicion), 0) + 1 FROM Receta_Galeria WHERE id_receta = ?`,
+          [id_imagen, id, id]
+        );
+      });
+      nuevas.push(imagen);
+    }
+    res.status(201).json(nuevas);
+  } catch (err) {
+    // Si otra subida llenó la galería entretanto, se quitan también las fotos ya añadidas en esta
+    if (nuevas.length > 0) {
+      await eliminarImagenes(nuevas.map((imagen) => imagen.id_imagen)).catch((e) =>
+        console.error("❌ No se pudieron quitar las fotos ya añadidas a la galería:", e.message)
+      );
+    }
+    next(err);
+  }
+});
+
+// 🗑️ QUITAR UNA FOTO DE LA GALERÍA
+/**
+ * @swagger
+ * /recetas/{id}/imagenes/galeria/{id_imagen}:
+ *   delete:
+ *     summary: Elimina una foto de la galería de la receta.
+ *     tags: [ImagenesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id_imagen
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Foto eliminada.
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       404:
+ *         description: La foto no está en la galería de la receta.
+ */
+const validarFoto = validar({ params: { id: campos.id, id_imagen: campos.id } });
+
+router.delete("/galeria/:id_imagen", validarFoto, permisoReceta("modificar"), async (req, res, next) => {
+  const { id, id_imagen } = req.params;
+  try {
+    const [fotos] = await db.query("SELECT 1 FROM Receta_Galeria WHERE id_receta = ? AND id_imagen = ?", [id, id_imagen]);
+    if (fotos.length === 0) return next(new ErrorHttp(404, "Foto no encontrada en la galería", "FOTO_NO_ENCONTRADA"));
+    await eliminarImagenes([id_imagen]);
+    res.json({ mensaje: "Foto eliminada correctamente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,451 @@
+import express from "express";
+import db from "../db.js";
+import { permisoReceta } from "../middleware/permisos.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { enviarVersion, comprobarVersion } from "../middleware/concurrencia.js";
+import { escalarCantidad, SISTEMAS } from "../services/unidades.js";
+import { recalcularCostos } from "../services/costos.js";
+import { conRevision } from "../services/revisiones.js";
+
+// mergeParams para leer el :id de la receta definido en server.js
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecetaIngrediente:
+ *       type: object
+ *       required:
+ *         - id_ingrediente
+ *         - cantidad
+ *       properties:
+ *         id_ingrediente:
+ *           type: integer
+ *           description: ID del ingrediente del catálogo.
+ *         nombre:
+ *           type: string
+ *           description: Nombre del ingrediente (solo lectura).
+ *         cantidad:
+ *           type: number
+ *           format: float
+ *           description: Cantidad usada en la receta.
+ *         unidad_medida:
+ *           type: string
+ *           description: Unidad del ingrediente en el catálogo (solo lectura).
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: >
+ *             Versión de la línea; es también la ETag para If-Match al cambiar la cantidad
+ *             (PUT /recetas/{id}/ingredientes/{id_ingrediente}).
+ *       example:
+ *         id_ingrediente: 1
+ *         nombre: "Carne de cerdo"
+ *         cantidad: 500
+ *         unidad_medida: "g"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: IngredientesReceta
+ *   description: Ingredientes y cantidades de una receta concreta.
+ */
+
+// ✅ Esquemas de validación
+const campoCantidad = { tipo: "numero", requerido: true, min: 0.01, max: 9999.99 };
+const lineaIngrediente = { id_ingrediente: campos.id, cantidad: campoCantidad };
+const validarIdReceta = validar({ params: { id: campos.id } });
+const validarLinea = validar({ params: { id: campos.id, id_ingrediente: campos.id }, body: { cantidad: campoCantidad } });
+
+// 🧂 OBTENER LOS INGREDIENTES DE UNA RECETA
+/**
+ * @swagger
+ * /recetas/{id}/ingredientes:
+ *   get:
+ *     summary: Lista los ingredientes de una receta con su cantidad y unidad.
+ *     tags: [IngredientesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lista de ingredientes de la receta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecetaIngrediente'
+ *       403:
+ *         description: Receta privada, o premium sin suscripción activa.
+ */
+router.get("/", validarIdReceta, permisoReceta("contenido"), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const sql = `
+      SELECT ri.id_ingrediente, i.nombre, ri.cantidad, i.unidad_medida, ri.version
+      FROM Receta_Ingrediente ri
+      JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+      WHERE ri.id_receta = ?
+      ORDER BY i.nombre;
+    `;
+    const [results] = await db.query(sql, [id]);
+    res.json(results);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ⚖️ INGREDIENTES ESCALADOS A OTRO NÚMERO DE PORCIONES
+/**
+ * @swagger
+ * /recetas/{id}/ingredientes/escalado:
+ *   get:
+ *     summary: Lista los ingredientes con las cantidades ajustadas a las porciones pedidas.
+ *     description: >
+ *       Multiplica cada cantidad por porciones / porciones de la receta. Con sistema=metrico o
+ *       sistema=imperial convierte las unidades de masa y volumen reconocidas (g, kg, oz, lb,
+ *       ml, l, taza, cda, cdta...). Las unidades contables (pieza, diente...) se redondean a
+ *       medias unidades.
+ *     tags: [IngredientesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: porciones
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: sistema
+ *         schema:
+ *           type: string
+ *           enum: [original, metrico, imperial]
+ *           default: original
+ *     responses:
+ *       200:
+ *         description: Ingredientes escalados.
+ *         content:
+ *           application/json:
+ *             example:
+ *               id_receta: 1
+ *               porciones_base: 4
+ *               porciones: 2
+ *               factor: 0.5
+ *               sistema: imperial
+ *               ingredientes:
+ *                 - id_ingrediente: 1
+ *                   nombre: Carne de cerdo
+ *                   cantidad_original: 500
+ *                   unidad_original: g
+ *                   cantidad: 8.82
+ *                   unidad_medida: oz
+ *                 - id_ingrediente: 2
+ *                   nombre: Piña
+ *                   cantidad_original: 3
+ *                   unidad_original: rodajas
+ *                   cantidad: 1.5
+ *                   unidad_medida: rodajas
+ *       400:
+ *         description: Falta porciones o el sistema no es válido.
+ *       403:
+ *         description: Receta privada, o premium sin suscripción activa.
+ */
+const validarEscalado = validar({
+  params: { id: campos.id },
+  query: {
+    porciones: { tipo: "entero", requerido: true, min: 1, max: 100 },
+    sistema: { tipo: "texto", valores: SISTEMAS },
+  },
+});
+
+router.get("/escalado", validarEscalado, permisoReceta("contenido"), async (req, res, next) => {
+  const { id } = req.params;
+  const { porciones, sistema = "original" } = req.consulta;
+  try {
+    const [[receta]] = await db.query("SELECT porciones FROM Recetas WHERE id_receta = ?", [id]);
+    const sql = `
+      SELECT ri.id_ingrediente, i.nombre, ri.cantidad, i.unidad_medida
+      FROM Receta_Ingrediente ri
+      JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+      WHERE ri.id_receta = ?
+      ORDER BY i.nombre;
+    `;
+    const [results] = await db.query(sql, [id]);
+
+    const factor = porciones / receta.porciones;
+    const ingredientes = results.map(({ id_ingrediente, nombre, cantidad, unidad_medida }) => ({
+      id_ingrediente,
+      nombre,
+      cantidad_original: Number(cantidad),
+      unidad_original: unidad_medida,
+      ...escalarCantidad(cantidad, unidad_medida, factor, sistema),
+    }));
+    res.json({
+      id_receta: Number(id),
+      porciones_base: receta.porciones,
+      porciones,
+      factor: Number(factor.toFixed(4)),
+      sistema,
+      ingredientes,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🧂 AÑADIR UN INGREDIENTE A LA RECETA
+/**
+ * @swagger
+ * /recetas/{id}/ingredientes:
+ *   post:
+ *     summary: Añade un ingrediente a la receta.
+ *     tags: [IngredientesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecetaIngrediente'
+ *     responses:
+ *       201:
+ *         description: Ingrediente añadido a la receta.
+ *       400:
+ *         description: Datos de entrada inválidos.
+ *       404:
+ *         description: Ingrediente no encontrado.
+ *       409:
+ *         description: El ingrediente ya está en la receta.
+ */
+router.post("/", validar({ params: { id: campos.id }, body: lineaIngrediente }), permisoReceta("modificar"), async (req, res, next) => {
+  const { id } = req.params;
+  const { id_ingrediente, cantidad } = req.body;
+  try {
+    const [ingredientes] = await db.query("SELECT id_ingrediente FROM Ingredientes WHERE id_ingrediente = ?", [id_ingrediente]);
+    if (ingredientes.length === 0) return next(new ErrorHttp(404, "Ingrediente no encontrado", "INGREDIENTE_NO_ENCONTRADO"));
+
+    const [existentes] = await db.query(
+      "SELECT 1 FROM Receta_Ingrediente WHERE id_receta = ? AND id_ingrediente = ?",
+      [id, id_ingrediente]
+    );
+    if (existentes.length > 0) {
+      return next(new ErrorHttp(409, "El ingrediente ya está en la receta; usa PUT para cambiar la cantidad", "INGREDIENTE_REPETIDO"));
+    }
+
+    await conRevision(id, req.user.id_usuario, "Ingrediente añadido", async (conn) => {
+      const sql = "INSERT INTO Receta_Ingrediente (id_receta, id_ingrediente, cantidad) VALUES (?, ?, ?)";
+      await conn.query(sql, [id, id_ingrediente, cantidad]);
+      await recalcularCostos(conn, { recetas: [id] });
+    });
+    res.status(201).json({ id_receta: Number(id), id_ingrediente, cantidad });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🧂 REEMPLAZAR TODA LA LISTA DE INGREDIENTES
+/**
+ * @swagger
+ * /recetas/{id}/ingredientes:
+ *   put:
+ *     summary: Reemplaza toda la lista de ingredientes de la receta en una sola transacción.
+ *     tags: [IngredientesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ingredientes
+ *             properties:
+ *               ingredientes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/RecetaIngrediente'
+ *     responses:
+ *       200:
+ *         description: Lista de ingredientes reemplazada.
+ *       400:
+ *         description: Datos de entrada inválidos.
+ *       404:
+ *         description: Algún ingrediente no existe.
+ */
+const validarReemplazo = validar({
+  params: { id: campos.id },
+  body: {
+    ingredientes: { tipo: "lista", requerido: true, elementos: { tipo: "objeto", campos: lineaIngrediente } },
+  },
+});
+
+router.put("/", validarReemplazo, permisoReceta("modificar"), async (req, res, next) => {
+  const { id } = req.params;
+  const { ingredientes } = req.body;
+  const ids = ingredientes.map((i) => i.id_ingrediente);
+  if (new Set(ids).size !== ids.length) {
+    return next(new ErrorHttp(400, "Hay ingredientes repetidos en la lista", "INGREDIENTES_REPETIDOS"));
+  }
+
+  try {
+    if (ids.length > 0) {
+      const [encontrados] = await db.query("SELECT id_ingrediente FROM Ingredientes WHERE id_ingrediente IN (?)", [ids]);
+      if (encontrados.length !== ids.length) {
+        const existentes = new Set(encontrados.map((i) => i.id_ingrediente));
+        throw new ErrorHttp(404, "Ingrediente no encontrado", "INGREDIENTE_NO_ENCONTRADO", [
+          { ids_no_encontrados: ids.filter((i) => !existentes.has(i)) },
+        ]);
+      }
+    }
+
+    await conRevision(id, req.user.id_usuario, "Lista de ingredientes reemplazada", async (conn) => {
+      if (ids.length === 0) {
+        await conn.query("DELETE FROM Receta_Ingrediente WHERE id_receta = ?", [id]);
+      } else {
+        // Las líneas que siguen en la receta se actualizan en lugar de recrearse, para que su
+        // versión no vuelva a empezar y coincida con una ETag antigua
+        await conn.query("DELETE FROM Receta_Ingrediente WHERE id_receta = ? AND id_ingrediente NOT IN (?)", [id, ids]);
+        const filas = ingredientes.map((i) => [id, i.id_ingrediente, i.cantidad]);
+        await conn.query(
+          `INSERT INTO Receta_Ingrediente (id_receta, id_ingrediente, cantidad) VALUES ?
+           ON DUPLICATE KEY UPDATE version = version + (cantidad <> VALUES(cantidad)), cantidad = VALUES(cantidad)`,
+          [filas]
+        );
+      }
+      await recalcularCostos(conn, { recetas: [id] });
+    });
+    res.json({ mensaje: "Ingredientes de la receta actualizados", total: ingredientes.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🧂 CAMBIAR LA CANTIDAD DE UN INGREDIENTE
+/**
+ * @swagger
+ * /recetas/{id}/ingredientes/{id_ingrediente}:
+ *   put:
+ *     summary: Cambia la cantidad de un ingrediente de la receta.
+ *     tags: [IngredientesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id_ingrediente
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cantidad
+ *             properties:
+ *               cantidad:
+ *                 type: number
+ *                 format: float
+ *     responses:
+ *       200:
+ *         description: Cantidad actualizada correctamente; la ETag es la versión nueva de la línea.
+ *       400:
+ *         description: Cantidad inválida.
+ *       404:
+ *         description: El ingrediente no está en la receta.
+ *       412:
+ *         description: La línea ha cambiado desde que se obtuvo la ETag de If-Match.
+ */
+router.put("/:id_ingrediente", validarLinea, permisoReceta("modificar"), async (req, res, next) => {
+  const { id, id_ingrediente } = req.params;
+  const { cantidad } = req.body;
+  try {
+    const version = await conRevision(id, req.user.id_usuario, "Cantidad de un ingrediente cambiada", async (conn) => {
+      const [[linea]] = await conn.query(
+        "SELECT version FROM Receta_Ingrediente WHERE id_receta = ? AND id_ingrediente = ? FOR UPDATE",
+        [id, id_ingrediente]
+      );
+      if (!linea) return null;
+      comprobarVersion(req, linea.version);
+      const sql = "UPDATE Receta_Ingrediente SET cantidad = ?, version = version + 1 WHERE id_receta = ? AND id_ingrediente = ?";
+      await conn.query(sql, [cantidad, id, id_ingrediente]);
+      await recalcularCostos(conn, { recetas: [id] });
+      return linea.version + 1;
+    });
+    if (version === null) return next(new ErrorHttp(404, "El ingrediente no está en la receta", "INGREDIENTE_NO_ENCONTRADO"));
+    enviarVersion(res, version);
+    res.json({ mensaje: "Cantidad actualizada correctamente", version });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🧂 QUITAR UN INGREDIENTE DE LA RECETA
+/**
+ * @swagger
+ * /recetas/{id}/ingredientes/{id_ingrediente}:
+ *   delete:
+ *     summary: Quita un ingrediente de la receta.
+ *     tags: [IngredientesReceta]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id_ingrediente
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ingrediente quitado de la receta.
+ *       404:
+ *         description: El ingrediente no está en la receta.
+ */
+router.delete("/:id_ingrediente", validar({ params: { id: campos.id, id_ingrediente: campos.id } }), permisoReceta("modificar"), async (req, res, next) => {
+  const { id, id_ingrediente } = req.params;
+  try {
+    const encontrado = await conRevision(id, req.user.id_usuario, "Ingrediente quitado", async (conn) => {
+      const sql = "DELETE FROM Receta_Ingrediente WHERE id_receta = ? AND id_ingrediente = ?";
+      const [result] = await conn.query(sql, [id, id_ingrediente]);
+      if (result.affectedRows === 0) return false;
+      await recalcularCostos(conn, { recetas: [id] });
+      return true;
+    });
+    if (!encontrado) return next(new ErrorHttp(404, "El ingrediente no está en la receta", "INGREDIENTE_NO_ENCONTRADO"));
+    res.json({ mensaje: "Ingrediente quitado de la receta" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,8 +1,107 @@
 import express from "express";
-import db from "../db.js";
+import db, { transaccion } from "../db.js";
+import { permisoReceta, condicionVisible, condicionContenido } from "../middleware/permisos.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos, parcial } from "../middleware/validacion.js";
+import { enviarVersion, comprobarVersion } from "../middleware/concurrencia.js";
+import { paginacion, crearFiltros, respuestaPaginada } from "../middleware/paginacion.js";
+import { extraerTerminos, consultaBooleana, resaltar, normalizarTexto } from "../services/busqueda.js";
+import { SUBCONSULTA_NUTRICION, nutricionReceta } from "../services/nutricion.js";
+import { ALERGENOS, DIETAS, restricciones, condicionCompatible, etiquetasReceta, restriccionesUsuario } from "../services/dietas.js";
+import { recalcularCostos, desgloseCosto } from "../services/costos.js";
+import { columnasImagen, extraerImagen, galeriaReceta, imagenesDeReceta, eliminarImagenes } from "../services/imagenes.js";
+import { registrarRevision, conRevision } from "../services/revisiones.js";
+import { agregarIngredientesPasos } from "../services/pasos.js";
+import { COLUMNAS_RESUMEN_VALORACIONES } from "../services/valoraciones.js";
 
 const router = express.Router();
 
+// Número de valoraciones recientes que se incluyen al expandir
+const VALORACIONES_RECIENTES = 5;
+
+// Porciones que se asumen si la receta no indica otras
+const PORCIONES_POR_DEFECTO = 4;
+
+// Relaciones que forman el contenido de pago de una receta premium
+const CONTENIDO_PREMIUM = ["ingredientes", "pasos"];
+
+// ✅ Campos editables de una receta
+const camposReceta = {
+  titulo: { tipo: "texto", requerido: true, max: 150 },
+  descripcion: { tipo: "texto" },
+  tiempo_preparacion: { tipo: "entero", min: 0 },
+  porciones: { tipo: "entero", min: 1, max: 100 },
+  // Costo indicado por el autor: sustituye al calculado con los precios (null para usar el calculado)
+  costo: { tipo: "numero", min: 0, max: 9999.99 },
+  es_publica: { tipo: "booleano" },
+  es_premium: { tipo: "booleano" },
+  categoria_id: { tipo: "entero", requerido: true, min: 1 },
+};
+// Columna de Recetas en la que se guarda cada campo editable
+const COLUMNAS_RECETA = { ...Object.fromEntries(Object.keys(camposReceta).map((c) => [c, c])), costo: "costo_manual" };
+// Campos que se pueden dejar vacíos (null) con PATCH
+const CAMPOS_OPCIONALES = ["descripcion", "tiempo_preparacion", "costo"];
+
+// 🔎 Consultas para cada relación que se puede incluir con ?expand=
+const EXPANSIONES = {
+  ingredientes: async (id) => {
+    const sql = `
+      SELECT ri.id_ingrediente, i.nombre, ri.cantidad, i.unidad_medida, ri.version
+      FROM Receta_Ingrediente ri
+      JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+      WHERE ri.id_receta = ?
+      ORDER BY i.nombre;
+    `;
+    const [results] = await db.query(sql, [id]);
+    return results;
+  },
+  pasos: async (id) => {
+    const sql = `
+      SELECT p.id_paso, p.numero_paso, p.descripcion, p.duracion_segundos, p.temperatura, p.unidad_temperatura, p.version,
+        ${columnasImagen("im", "imagen")}
+      FROM Pasos p
+      LEFT JOIN Imagenes im ON p.id_imagen = im.id_imagen
+      WHERE p.id_receta = ?
+      ORDER BY p.numero_paso;
+    `;
+    const [results] = await db.query(sql, [id]);
+    return agregarIngredientesPasos(results.map((paso) => extraerImagen(paso, "imagen")));
+  },
+  valoraciones: async (id) => {
+    const [[resumen]] = await db.query(
+      `SELECT ${COLUMNAS_RESUMEN_VALORACIONES} FROM Recetas r WHERE r.id_receta = ?`,
+      [id]
+    );
+    const sql = `
+      SELECT v.id_valoracion, v.id_usuario, u.nombre AS nombre_usuario, v.puntuacion, v.comentario, v.fecha_valoracion,
+        v.respuesta, v.fecha_respuesta
+      FROM Valoraciones v
+      JOIN Usuarios u ON v.id_usuario = u.id_usuario
+      WHERE v.id_receta = ? AND v.estado = 'publicada'
+      ORDER BY v.fecha_valoracion DESC
+      LIMIT ?;
+    `;
+    const [recientes] = await db.query(sql, [id, VALORACIONES_RECIENTES]);
+    return {
+      promedio: resumen.valoracion_promedio === null ? null : Number(resumen.valoracion_promedio),
+      total: resumen.total_valoraciones,
+      histograma: resumen.histograma_valoraciones,
+      recientes,
+    };
+  },
+  autores: async (id) => {
+    const sql = `
+      SELECT ar.id_usuario, u.nombre, ar.rol, ar.permiso_modificar
+      FROM Autores_Receta ar
+      JOIN Usuarios u ON ar.id_usuario = u.id_usuario
+      WHERE ar.id_receta = ? AND ar.estado = 'aceptada'
+      ORDER BY ar.fecha_respuesta;
+    `;
+    const [results] = await db.query(sql, [id]);
+    return results;
+  },
+};
+
 /**
  * @swagger
  * components:
@@ -12,7 +111,6 @@ const router = express.Router();
  *       required:
  *         - titulo
  *         - categoria_id
- *         - autor_id
  *       properties:
  *         id_receta:
  *           type: integer
@@ -26,10 +124,30 @@ const router = express.Router();
  *         tiempo_preparacion:
  *           type: integer
  *           description: Tiempo en minutos para preparar la receta
+ *         porciones:
+ *           type: integer
+ *           default: 4
+ *           description: Número de porciones para las que están pensadas las cantidades de los ingredientes
  *         costo:
  *           type: number
  *           format: float
- *           description: Costo estimado de la receta
+ *           description: >
+ *             Costo estimado de la receta. Al escribir, fija un costo manual que sustituye al calculado
+ *             (null para volver al calculado); al leer, es el manual si lo hay o el calculado.
+ *         costo_porcion:
+ *           type: number
+ *           readOnly: true
+ *           description: Costo por porción
+ *         costo_calculado:
+ *           type: number
+ *           readOnly: true
+ *           description: >
+ *             (Detalle) Costo calculado con los precios de referencia vigentes de los ingredientes,
+ *             o null si falta el precio de alguno
+ *         costo_es_manual:
+ *           type: boolean
+ *           readOnly: true
+ *           description: (Detalle) Indica si el costo lo ha fijado el autor
  *         es_publica:
  *           type: boolean
  *           description: Indica si la receta es pública
@@ -41,7 +159,7 @@ const router = express.Router();
  *           description: ID de la categoría a la que pertenece la receta
  *         autor_id:
  *           type: integer
- *           description: ID del usuario autor de la receta
+ *           description: ID del usuario autor de la receta (al crear, se toma de la sesión)
  *         fecha_creacion:
  *           type: string
  *           format: date-time
@@ -50,11 +168,48 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           description: Última fecha de modificación de la receta
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *           description: (Detalle) Versión de los datos de la receta; es también la ETag para If-Match
+ *         valoracion_promedio:
+ *           type: number
+ *           readOnly: true
+ *           description: Media de las valoraciones (null si no tiene ninguna)
+ *         total_valoraciones:
+ *           type: integer
+ *           readOnly: true
+ *         histograma_valoraciones:
+ *           type: object
+ *           readOnly: true
+ *           description: Número de valoraciones de cada puntuación
+ *           example: { "1": 0, "2": 0, "3": 1, "4": 3, "5": 8 }
+ *         kcal_porcion:
+ *           type: number
+ *           description: >
+ *             (Listados) Calorías por porción, o null si algún ingrediente no tiene información nutricional
+ *         nutricion:
+ *           $ref: '#/components/schemas/NutricionReceta'
+ *         etiquetas:
+ *           $ref: '#/components/schemas/EtiquetasReceta'
+ *         portada:
+ *           readOnly: true
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/Imagen'
+ *           description: Foto del plato terminado (se sube con PUT /recetas/{id}/imagenes/portada)
+ *         galeria:
+ *           type: array
+ *           readOnly: true
+ *           description: (Detalle) Fotos de la galería, en orden
+ *           items:
+ *             $ref: '#/components/schemas/Imagen'
  *       example:
  *         id_receta: 1
  *         titulo: Tacos al Pastor
  *         descripcion: Receta tradicional con piña y carne marinada
  *         tiempo_preparacion: 30
+ *         porciones: 4
  *         costo: 0.00
  *         es_publica: true
  *         es_premium: false
@@ -64,6 +219,85 @@ const router = express.Router();
  *         fecha_modificacion: "2023-10-26T10:00:00Z"
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Nutrientes:
+ *       type: object
+ *       properties:
+ *         kcal:
+ *           type: number
+ *         proteinas:
+ *           type: number
+ *           description: Gramos
+ *         carbohidratos:
+ *           type: number
+ *           description: Gramos
+ *         grasas:
+ *           type: number
+ *           description: Gramos
+ *         fibra:
+ *           type: number
+ *           description: Gramos
+ *         sodio:
+ *           type: number
+ *           description: Miligramos
+ *     NutricionReceta:
+ *       type: object
+ *       description: >
+ *         (Detalle) Información nutricional calculada a partir de los ingredientes. Los totales
+ *         solo suman los ingredientes con datos; completa indica si los tienen todos.
+ *       properties:
+ *         completa:
+ *           type: boolean
+ *         total:
+ *           $ref: '#/components/schemas/Nutrientes'
+ *         por_porcion:
+ *           $ref: '#/components/schemas/Nutrientes'
+ *         ingredientes_sin_datos:
+ *           type: array
+ *           description: No se incluye si el contenido de la receta está bloqueado.
+ *           items:
+ *             type: object
+ *             properties:
+ *               id_ingrediente:
+ *                 type: integer
+ *               nombre:
+ *                 type: string
+ *     EtiquetasReceta:
+ *       type: object
+ *       description: >
+ *         (Detalle) Alérgenos y dietas deducidos de los ingredientes. Si algún ingrediente no
+ *         tiene sus etiquetas revisadas, la receta no se considera apta para ninguna dieta.
+ *       properties:
+ *         alergenos:
+ *           type: array
+ *           items:
+ *             type: string
+ *         dietas:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [vegetariana, vegana, sin_gluten, sin_lactosa]
+ *         revisada:
+ *           type: boolean
+ *         ingredientes_sin_revisar:
+ *           type: array
+ *           description: No se incluye si el contenido de la receta está bloqueado.
+ *           items:
+ *             type: object
+ *             properties:
+ *               id_ingrediente:
+ *                 type: integer
+ *               nombre:
+ *                 type: string
+ *       example:
+ *         alergenos: [gluten, huevo, lactosa]
+ *         dietas: []
+ *         revisada: true
+ */
+
 /**
  * @swagger
  * tags:
@@ -71,38 +305,408 @@ const router = express.Router();
  *   description: API para la gestión de recetas
  */
 
+// 📄 Órdenes y filtros comunes del listado y la búsqueda de recetas
+const ORDENES_RECETA = {
+  recientes: { columna: "r.fecha_creacion", direccion: "desc" },
+  valoracion: { columna: "r.valoracion_promedio", direccion: "desc" },
+  tiempo: { columna: "r.tiempo_preparacion" },
+  costo: { columna: "r.costo" },
+};
+const FILTROS_RECETA = {
+  categoria_id: { tipo: "entero", min: 1 },
+  autor_id: { tipo: "entero", min: 1 },
+  es_premium: { tipo: "booleano" },
+  tiempo_max: { tipo: "entero", min: 0 },
+  costo_min: { tipo: "numero", min: 0 },
+  costo_max: { tipo: "numero", min: 0 },
+  costo_porcion_max: { tipo: "numero", min: 0 },
+  valoracion_min: { tipo: "numero", min: 1, max: 5 },
+  kcal_min: { tipo: "numero", min: 0 },
+  kcal_max: { tipo: "numero", min: 0 },
+  proteinas_min: { tipo: "numero", min: 0 },
+  dieta: { tipo: "lista", elementos: { tipo: "texto", valores: Object.keys(DIETAS) } },
+  sin_alergenos: { tipo: "lista", elementos: { tipo: "texto", valores: ALERGENOS } },
+  compatible: { tipo: "booleano" },
+};
+
+const listadoRecetas = paginacion({
+  ordenes: ORDENES_RECETA,
+  porDefecto: "recientes",
+  desempate: "r.id_receta",
+  filtros: FILTROS_RECETA,
+});
+
+// Columnas y tablas del listado, con el resumen de valoraciones de cada receta
+// y su nutrición para poder filtrar y ordenar por ellas.
+// Las calorías por porción solo se dan si todos los ingredientes tienen datos.
+const COLUMNAS_LISTADO = `
+  r.id_receta, r.titulo, r.descripcion, r.tiempo_preparacion, r.porciones, r.costo, ROUND(r.costo / r.porciones, 2) AS costo_porcion,
+  r.es_publica, r.es_premium, r.categoria_id, c.nombre AS categoria, r.autor_id, u.nombre AS autor,
+  r.fecha_creacion, ${COLUMNAS_RESUMEN_VALORACIONES},
+  CASE WHEN nut.completa THEN ROUND(nut.kcal / r.porciones, 1) END AS kcal_porcion,
+  ${columnasImagen("por", "portada")}
+`;
+const TABLAS_LISTADO = `
+  FROM Recetas r
+  JOIN Categorias c ON r.categoria_id = c.id_categoria
+  JOIN Usuarios u ON r.autor_id = u.id_usuario
+  LEFT JOIN (${SUBCONSULTA_NUTRICION}) nut ON nut.id_receta = r.id_receta
+  LEFT JOIN Imagenes por ON r.id_portada = por.id_imagen
+`;
+
+// Añade los filtros de FILTROS_RECETA que vengan en la query validada
+function agregarFiltrosReceta(filtros, consulta) {
+  const { categoria_id, autor_id, es_premium, tiempo_max, costo_min, costo_max, costo_porcion_max, valoracion_min } = consulta;
+  const { kcal_min, kcal_max, proteinas_min, dieta = [], sin_alergenos = [] } = consulta;
+  filtros.agregar(categoria_id, "r.categoria_id = ?");
+  filtros.agregar(autor_id, "r.autor_id = ?");
+  filtros.agregar(es_premium, "r.es_premium = ?");
+  filtros.agregar(tiempo_max, "r.tiempo_preparacion <= ?");
+  filtros.agregar(costo_min, "r.costo >= ?");
+  filtros.agregar(costo_max, "r.costo <= ?");
+  filtros.agregar(costo_porcion_max, "r.costo / r.porciones <= ?");
+  filtros.agregar(valoracion_min, "r.valoracion_promedio >= ?");
+  // Las calorías solo se comparan en recetas con datos de todos sus ingredientes;
+  // las proteínas conocidas ya son un mínimo
+  filtros.agregar(kcal_min, "nut.completa AND nut.kcal / r.porciones >= ?");
+  filtros.agregar(kcal_max, "nut.completa AND nut.kcal / r.porciones <= ?");
+  filtros.agregar(proteinas_min, "nut.proteinas / r.porciones >= ?");
+
+  const compatible = condicionCompatible(restricciones({ dietas: dieta, alergias: sin_alergenos }));
+  if (compatible) filtros.agregar(compatible.params, compatible.sql, ...compatible.params);
+}
+
+// 👤 Con ?compatible=true suma a los filtros dieta y sin_alergenos las restricciones
+// alimentarias guardadas en el perfil del usuario de la sesión
+async function aplicarPerfilAlimentario(req, res, next) {
+  if (!req.consulta.compatible) return next();
+  if (!req.user) return next(new ErrorHttp(401, "Se requiere iniciar sesión para filtrar según tu perfil", "SESION_REQUERIDA"));
+  try {
+    const perfil = await restriccionesUsuario(req.user.id_usuario);
+    req.consulta.dieta = [...new Set([...(req.consulta.dieta ?? []), ...perfil.dietas])];
+    req.consulta.sin_alergenos = [...new Set([...(req.consulta.sin_alergenos ?? []), ...perfil.alergias])];
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * @swagger
  * /recetas:
  *   get:
- *     summary: Obtener todas las recetas
+ *     summary: Obtener las recetas visibles, paginadas
+ *     description: Incluye las públicas y las privadas en las que el usuario es autor o colaborador.
  *     tags: [Recetas]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pagina'
+ *       - $ref: '#/components/parameters/limite'
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [recientes, valoracion, tiempo, costo]
+ *           default: recientes
+ *         description: >
+ *           recientes y valoracion ordenan de forma descendente por defecto; tiempo y costo, ascendente.
+ *       - $ref: '#/components/parameters/direccion'
+ *       - in: query
+ *         name: categoria_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: autor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: es_premium
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: tiempo_max
+ *         schema:
+ *           type: integer
+ *         description: Tiempo de preparación máximo, en minutos.
+ *       - in: query
+ *         name: costo_min
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: costo_max
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: costo_porcion_max
+ *         schema:
+ *           type: number
+ *         description: Presupuesto máximo por porción. Excluye las recetas sin costo conocido.
+ *       - in: query
+ *         name: valoracion_min
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         description: Valoración media mínima. Excluye las recetas sin valoraciones.
+ *       - in: query
+ *         name: kcal_min
+ *         schema:
+ *           type: number
+ *         description: Calorías mínimas por porción.
+ *       - in: query
+ *         name: kcal_max
+ *         schema:
+ *           type: number
+ *         description: >
+ *           Calorías máximas por porción. Los filtros de calorías excluyen las recetas con
+ *           ingredientes sin información nutricional.
+ *       - in: query
+ *         name: proteinas_min
+ *         schema:
+ *           type: number
+ *         description: Gramos de proteína mínimos por porción.
+ *       - in: query
+ *         name: dieta
+ *         schema:
+ *           type: string
+ *           example: vegetariana,sin_gluten
+ *         description: >
+ *           Dietas que debe cumplir la receta, separadas por comas: vegetariana, vegana,
+ *           sin_gluten, sin_lactosa.
+ *       - in: query
+ *         name: sin_alergenos
+ *         schema:
+ *           type: string
+ *           example: frutos_secos,huevo
+ *         description: >
+ *           Alérgenos que no debe contener, separados por comas: gluten, lactosa, huevo,
+ *           frutos_secos, cacahuete, soja, pescado, marisco, sesamo, mostaza, apio, sulfitos.
+ *           Los filtros de dieta y alérgenos excluyen las recetas con ingredientes sin revisar.
+ *       - in: query
+ *         name: compatible
+ *         schema:
+ *           type: boolean
+ *         description: Aplica además las dietas y alergias del perfil del usuario (requiere sesión).
  *     responses:
  *       200:
- *         description: Lista de todas las recetas
+ *         description: Una página de recetas
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Receta'
+ *               type: object
+ *               properties:
+ *                 datos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Receta'
+ *                 paginacion:
+ *                   $ref: '#/components/schemas/Paginacion'
+ *       400:
+ *         description: Parámetros de paginación o filtros inválidos
  *       500:
  *         description: Error del servidor
  */
-router.get("/", async (req, res) => {
+router.get("/", listadoRecetas, aplicarPerfilAlimentario, async (req, res, next) => {
+  const filtros = crearFiltros(condicionVisible(req.user));
+  agregarFiltrosReceta(filtros, req.consulta);
+
+  const desde = `${TABLAS_LISTADO} ${filtros.sql}`;
   try {
     const sql = `
-      SELECT 
-        r.id_receta, r.titulo, r.descripcion, r.tiempo_preparacion, r.costo, 
-        r.es_publica, r.es_premium, c.nombre AS categoria, u.nombre AS autor
-      FROM Recetas r
-      JOIN Categorias c ON r.categoria_id = c.id_categoria
-      JOIN Usuarios u ON r.autor_id = u.id_usuario;
+      SELECT ${COLUMNAS_LISTADO}
+      ${desde}
+      ${req.paginacion.sql};
+    `;
+    const [results] = await db.query(sql, [...filtros.params, ...req.paginacion.params]);
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total ${desde}`, filtros.params);
+    res.json(respuestaPaginada(req, results.map((r) => extraerImagen(r, "portada")), total));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🥕 ¿QUÉ PUEDO COCINAR? Recetas según los ingredientes disponibles
+const listadoQueCocinar = paginacion({
+  ordenes: {
+    // Primero las que se pueden preparar ya; a igualdad, las que aprovechan más ingredientes
+    cobertura: { columna: "faltantes", despues: "cobertura DESC" },
+    ...ORDENES_RECETA,
+  },
+  porDefecto: "cobertura",
+  desempate: "r.id_receta",
+  filtros: {
+    tengo: { tipo: "lista", requerido: true, max: 50, elementos: { tipo: "texto", max: 100 } },
+    excluir: { tipo: "lista", max: 50, elementos: { tipo: "texto", max: 100 } },
+    faltantes_max: { tipo: "entero", min: 0, max: 10 },
+    ignorar_basicos: { tipo: "booleano" },
+    ...FILTROS_RECETA,
+  },
+});
+
+// Convierte una lista de ids o nombres en ids del catálogo.
+// Los nombres se comparan con la colación de la tabla (sin mayúsculas ni acentos).
+async function resolverIngredientes(valores) {
+  const ids = valores.filter((v) => /^\d+$/.test(v)).map(Number);
+  const nombres = valores.filter((v) => !/^\d+$/.test(v));
+  if (ids.length === 0 && nombres.length === 0) return { ids: [], noReconocidos: [] };
+
+  const [encontrados] = await db.query(
+    "SELECT id_ingrediente, nombre FROM Ingredientes WHERE id_ingrediente IN (?) OR nombre IN (?)",
+    [ids.length > 0 ? ids : [null], nombres.length > 0 ? nombres : [null]]
+  );
+  const noReconocidos = [
+    ...ids.filter((id) => !encontrados.some((i) => i.id_ingrediente === id)).map(String),
+    ...nombres.filter((n) => !encontrados.some((i) => normalizarTexto(i.nombre) === normalizarTexto(n))),
+  ];
+  return { ids: [...new Set(encontrados.map((i) => i.id_ingrediente))], noReconocidos };
+}
+
+/**
+ * @swagger
+ * /recetas/que-cocinar:
+ *   get:
+ *     summary: Buscar recetas que se pueden preparar con los ingredientes disponibles
+ *     description: >
+ *       Devuelve primero las recetas que se pueden preparar con lo que hay, y después las que
+ *       tienen hasta faltantes_max ingredientes sin cubrir, indicando cuáles faltan. Admite
+ *       los mismos filtros y paginación que GET /recetas.
+ *     tags: [Recetas]
+ *     parameters:
+ *       - in: query
+ *         name: tengo
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: huevo,panceta,22
+ *         description: Ingredientes disponibles (ids o nombres), separados por comas.
+ *       - in: query
+ *         name: excluir
+ *         schema:
+ *           type: string
+ *           example: cacahuate
+ *         description: Ingredientes que no debe llevar la receta (por ejemplo, alergias).
+ *       - in: query
+ *         name: faltantes_max
+ *         schema:
+ *           type: integer
+ *           default: 2
+ *           maximum: 10
+ *         description: Número máximo de ingredientes que pueden faltar.
+ *       - in: query
+ *         name: ignorar_basicos
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: No tiene en cuenta los ingredientes básicos de despensa (sal, agua, aceite...).
+ *       - $ref: '#/components/parameters/pagina'
+ *       - $ref: '#/components/parameters/limite'
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [cobertura, recientes, valoracion, tiempo, costo]
+ *           default: cobertura
+ *       - $ref: '#/components/parameters/direccion'
+ *     responses:
+ *       200:
+ *         description: >
+ *           Una página de recetas con el número de ingredientes, los disponibles, los que faltan y
+ *           su lista (salvo en recetas premium sin acceso al contenido). no_reconocidos contiene
+ *           los valores de tengo y excluir que no corresponden a ningún ingrediente.
+ *         content:
+ *           application/json:
+ *             example:
+ *               datos:
+ *                 - id_receta: 8
+ *                   titulo: Pasta Carbonara
+ *                   total_ingredientes: 4
+ *                   disponibles: 3
+ *                   faltantes: 1
+ *                   cobertura: 0.75
+ *                   ingredientes_faltantes:
+ *                     - id_ingrediente: 9
+ *                       nombre: Queso Parmesano
+ *               paginacion: { pagina: 1, limite: 20, total: 1, total_paginas: 1 }
+ *               no_reconocidos: []
+ *       400:
+ *         description: Falta tengo o algún parámetro es inválido
+ */
+router.get("/que-cocinar", listadoQueCocinar, aplicarPerfilAlimentario, async (req, res, next) => {
+  const { tengo, excluir = [], faltantes_max = 2, ignorar_basicos = true } = req.consulta;
+  try {
+    const disponibles = await resolverIngredientes(tengo);
+    const excluidos = await resolverIngredientes(excluir);
+    const no_reconocidos = [...disponibles.noReconocidos, ...excluidos.noReconocidos];
+    if (disponibles.ids.length === 0) {
+      return res.json({ ...respuestaPaginada(req, [], 0), no_reconocidos });
+    }
+
+    const filtros = crearFiltros(condicionVisible(req.user));
+    filtros.agregar(faltantes_max, "cob.total_ingredientes - cob.disponibles <= ?");
+    if (excluidos.ids.length > 0) {
+      filtros.agregar(
+        excluidos.ids,
+        "NOT EXISTS (SELECT 1 FROM Receta_Ingrediente rx WHERE rx.id_receta = r.id_receta AND rx.id_ingrediente IN (?))"
+      );
+    }
+    agregarFiltrosReceta(filtros, req.consulta);
+
+    // Ingredientes de cada receta y cuántos de ellos hay disponibles
+    const condicionBasicos = ignorar_basicos ? "WHERE i.es_basico = FALSE" : "";
+    const desde = `
+      ${TABLAS_LISTADO}
+      JOIN (
+        SELECT ri.id_receta, COUNT(*) AS total_ingredientes, SUM(ri.id_ingrediente IN (?)) AS disponibles
+        FROM Receta_Ingrediente ri
+        JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+        ${condicionBasicos}
+        GROUP BY ri.id_receta
+        HAVING disponibles > 0
+      ) cob ON cob.id_receta = r.id_receta
+      ${filtros.sql}
+    `;
+    const paramsDesde = [disponibles.ids, ...filtros.params];
+    const contenido = condicionContenido(req.user);
+
+    const sql = `
+      SELECT ${COLUMNAS_LISTADO},
+        cob.total_ingredientes, CAST(cob.disponibles AS UNSIGNED) AS disponibles,
+        cob.total_ingredientes - cob.disponibles AS faltantes,
+        ROUND(cob.disponibles / cob.total_ingredientes, 2) AS cobertura,
+        ${contenido.sql} AS contenido_visible
+      ${desde}
+      ${req.paginacion.sql};
     `;
-    const [results] = await db.query(sql);
-    res.json(results);
+    const [results] = await db.query(sql, [...contenido.params, ...paramsDesde, ...req.paginacion.params]);
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total ${desde}`, paramsDesde);
+
+    // Qué ingredientes faltan en cada receta cuyo contenido puede ver el usuario
+    const idsContenido = results.filter((r) => r.contenido_visible).map((r) => r.id_receta);
+    let faltantes = [];
+    if (idsContenido.length > 0) {
+      [faltantes] = await db.query(
+        `SELECT ri.id_receta, i.id_ingrediente, i.nombre
+         FROM Receta_Ingrediente ri
+         JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+         WHERE ri.id_receta IN (?) AND ri.id_ingrediente NOT IN (?) ${ignorar_basicos ? "AND i.es_basico = FALSE" : ""}
+         ORDER BY i.nombre`,
+        [idsContenido, disponibles.ids]
+      );
+    }
+
+    const datos = results.map(({ contenido_visible, ...receta }) => {
+      const resultado = { ...extraerImagen(receta, "portada"), faltantes: Number(receta.faltantes), cobertura: Number(receta.cobertura) };
+      if (contenido_visible) {
+        resultado.ingredientes_faltantes = faltantes
+          .filter((f) => f.id_receta === receta.id_receta)
+          .map(({ id_ingrediente, nombre }) => ({ id_ingrediente, nombre }));
+      } else {
+        resultado.contenido_bloqueado = true;
+      }
+      return resultado;
+    });
+    res.json({ ...respuestaPaginada(req, datos, total), no_reconocidos });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -119,43 +723,194 @@ router.get("/", async (req, res) => {
  *           type: integer
  *         required: true
  *         description: ID de la receta a obtener
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           example: ingredientes,pasos,valoraciones,autores
+ *         required: false
+ *         description: >
+ *           Relaciones a incluir, separadas por comas: ingredientes, pasos (ordenados),
+ *           valoraciones (promedio, total, histograma y las más recientes) y autores (colaboradores aceptados).
  *     responses:
  *       200:
- *         description: Información de la receta
+ *         description: >
+ *           Información de la receta, con las relaciones pedidas en expand. Si la receta es premium y el
+ *           usuario no tiene suscripción activa se devuelve un avance: sin ingredientes ni pasos,
+ *           con contenido_bloqueado = true y el número de ingredientes y pasos.
+ *         headers:
+ *           ETag:
+ *             description: Versión de los datos de la receta, para enviarla en If-Match al modificarla.
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Receta'
+ *       400:
+ *         description: Valor de expand no reconocido
+ *       403:
+ *         description: La receta es privada y el usuario no es autor ni colaborador
  *       404:
  *         description: Receta no encontrada
  *       500:
  *         description: Error del servidor
  */
-router.get("/:id", async (req, res) => {
+const validarDetalle = validar({
+  params: { id: campos.id },
+  query: { expand: { tipo: "lista", elementos: { tipo: "texto", valores: Object.keys(EXPANSIONES) } } },
+});
+
+router.get("/:id", validarDetalle, permisoReceta("ver"), async (req, res, next) => {
   const { id } = req.params;
+  const expand = [...new Set(req.consulta.expand ?? [])];
   try {
     const sql = `
       SELECT 
-        r.id_receta, r.titulo, r.descripcion, r.tiempo_preparacion, r.costo, 
-        r.es_publica, r.es_premium, c.nombre AS categoria, u.nombre AS autor
+        r.id_receta, r.titulo, r.descripcion, r.tiempo_preparacion, r.porciones, r.costo, 
+        ROUND(r.costo / r.porciones, 2) AS costo_porcion, r.costo_calculado, r.costo_manual IS NOT NULL AS costo_es_manual,
+        r.es_publica, r.es_premium, r.version, c.nombre AS categoria, u.nombre AS autor, ${COLUMNAS_RESUMEN_VALORACIONES},
+        ${columnasImagen("por", "portada")}
       FROM Recetas r
       JOIN Categorias c ON r.categoria_id = c.id_categoria
       JOIN Usuarios u ON r.autor_id = u.id_usuario
+      LEFT JOIN Imagenes por ON r.id_portada = por.id_imagen
       WHERE r.id_receta = ?;
     `;
     const [results] = await db.query(sql, [id]);
-    if (results.length === 0) return res.status(404).json({ mensaje: "Receta no encontrada" });
-    res.json(results[0]);
+    if (results.length === 0) return next(new ErrorHttp(404, "Receta no encontrada", "RECETA_NO_ENCONTRADA"));
+
+    // La portada y la galería se ven también en el avance de las recetas premium
+    const receta = extraerImagen(results[0], "portada");
+    receta.galeria = await galeriaReceta(id);
+    const bloqueado = !req.permisos.puedeVerContenido;
+    const incluidas = bloqueado ? expand.filter((e) => !CONTENIDO_PREMIUM.includes(e)) : expand;
+    const relaciones = await Promise.all(incluidas.map((e) => EXPANSIONES[e](id)));
+    incluidas.forEach((e, i) => {
+      receta[e] = relaciones[i];
+    });
+
+    // La nutrición y los alérgenos forman parte del avance; los nombres de los ingredientes, no
+    const { ingredientes_sin_datos, ...nutricion } = await nutricionReceta(id, receta.porciones);
+    receta.nutricion = bloqueado ? nutricion : { ...nutricion, ingredientes_sin_datos };
+    const { ingredientes_sin_revisar, ...etiquetas } = await etiquetasReceta(id);
+    receta.etiquetas = bloqueado ? etiquetas : { ...etiquetas, ingredientes_sin_revisar };
+
+    if (bloqueado) {
+      // Avance de la receta premium: solo cuántos ingredientes y pasos tiene
+      const [[totales]] = await db.query(
+        `SELECT
+          (SELECT COUNT(*) FROM Receta_Ingrediente WHERE id_receta = ?) AS total_ingredientes,
+          (SELECT COUNT(*) FROM Pasos WHERE id_receta = ?) AS total_pasos`,
+        [id, id]
+      );
+      Object.assign(receta, totales, { contenido_bloqueado: true });
+    }
+    enviarVersion(res, receta.version);
+    res.json(receta);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+// 💰 DESGLOSE DEL COSTO
+/**
+ * @swagger
+ * /recetas/{id}/costo:
+ *   get:
+ *     summary: Desglose del costo de la receta con los precios vigentes de los ingredientes.
+ *     description: >
+ *       Con region se usan los precios de esa región y, para los ingredientes que no tienen, los de
+ *       referencia. El total solo suma los ingredientes con precio (completo indica si lo tienen todos).
+ *     tags: [Recetas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Costo total y por porción, costo de cada ingrediente y costo efectivo de la receta.
+ *         content:
+ *           application/json:
+ *             example:
+ *               id_receta: 1
+ *               porciones: 4
+ *               region: null
+ *               total: 6.15
+ *               por_porcion: 1.54
+ *               completo: true
+ *               costo: 6.15
+ *               costo_es_manual: false
+ *               ingredientes:
+ *                 - id_ingrediente: 1
+ *                   nombre: Carne de cerdo
+ *                   cantidad: 500
+ *                   unidad_medida: g
+ *                   costo: 4.25
+ *                   precio_regional: false
+ *       403:
+ *         description: Receta privada, o premium sin suscripción activa.
+ *       404:
+ *         description: Receta no encontrada.
+ */
+const validarCosto = validar({
+  params: { id: campos.id },
+  query: { region: { tipo: "texto", max: 50 } },
+});
+
+router.get("/:id/costo", validarCosto, permisoReceta("contenido"), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const [[receta]] = await db.query(
+      "SELECT porciones, costo, costo_manual IS NOT NULL AS costo_es_manual FROM Recetas WHERE id_receta = ?",
+      [id]
+    );
+    const desglose = await desgloseCosto(id, req.consulta.region ?? null);
+    res.json({
+      id_receta: id,
+      porciones: receta.porciones,
+      region: desglose.region,
+      total: desglose.total,
+      por_porcion: Math.round((desglose.total / receta.porciones) * 100) / 100,
+      completo: desglose.completo,
+      costo: receta.costo === null ? null : Number(receta.costo),
+      costo_es_manual: !!receta.costo_es_manual,
+      ingredientes: desglose.ingredientes,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔎 BÚSQUEDA DE TEXTO
+// Peso de cada campo en la relevancia de un resultado
+const PESOS_BUSQUEDA = { titulo: 4, ingredientes: 2, descripcion: 1, pasos: 1 };
+
+const validarBusqueda = validar({ params: { termino: { tipo: "texto", requerido: true, max: 100 } } });
+const busquedaRecetas = paginacion({
+  ordenes: { relevancia: { columna: "relevancia", direccion: "desc" }, ...ORDENES_RECETA },
+  porDefecto: "relevancia",
+  desempate: "r.id_receta",
+  filtros: FILTROS_RECETA,
+});
+
 /**
  * @swagger
  * /recetas/buscar/{termino}:
  *   get:
- *     summary: Buscar recetas por título o ingredientes
+ *     summary: Buscar recetas por texto, ordenadas por relevancia
+ *     description: >
+ *       Busca cada palabra del término (de 3 letras o más, también como prefijo) en el título,
+ *       la descripción, los pasos y los nombres de los ingredientes, sin distinguir mayúsculas
+ *       ni acentos ("pina" encuentra "Piña"). Las coincidencias en el título pesan más que en los
+ *       ingredientes, y estas más que en la descripción y los pasos. Admite los mismos filtros,
+ *       órdenes y paginación que GET /recetas.
  *     tags: [Recetas]
  *     parameters:
  *       - in: path
@@ -163,45 +918,167 @@ router.get("/:id", async (req, res) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: Término de búsqueda para título o ingredientes
+ *         description: Palabras a buscar
+ *       - $ref: '#/components/parameters/pagina'
+ *       - $ref: '#/components/parameters/limite'
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [relevancia, recientes, valoracion, tiempo, costo]
+ *           default: relevancia
+ *       - $ref: '#/components/parameters/direccion'
  *     responses:
  *       200:
- *         description: Lista de recetas que coinciden con el término de búsqueda
+ *         description: >
+ *           Una página de recetas con su relevancia y los fragmentos que coinciden, con las palabras
+ *           encontradas entre <mark> y </mark>. En las recetas premium sin acceso al contenido no se
+ *           incluyen fragmentos de ingredientes ni pasos.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Receta'
+ *               type: object
+ *               properties:
+ *                 datos:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Receta'
+ *                       - type: object
+ *                         properties:
+ *                           relevancia:
+ *                             type: number
+ *                           resaltado:
+ *                             type: object
+ *                             properties:
+ *                               titulo:
+ *                                 type: string
+ *                               descripcion:
+ *                                 type: string
+ *                               ingredientes:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                               pasos:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     numero_paso:
+ *                                       type: integer
+ *                                     fragmento:
+ *                                       type: string
+ *                 paginacion:
+ *                   $ref: '#/components/schemas/Paginacion'
+ *             example:
+ *               datos:
+ *                 - id_receta: 1
+ *                   titulo: Tacos al Pastor
+ *                   relevancia: 5.2713
+ *                   resaltado:
+ *                     titulo: Tacos al Pastor
+ *                     descripcion: Receta tradicional con <mark>piña</mark> y carne marinada
+ *                     ingredientes: [<mark>Piña</mark>]
+ *                     pasos: []
+ *               paginacion: { pagina: 1, limite: 20, total: 1, total_paginas: 1 }
+ *       400:
+ *         description: El término no tiene ninguna palabra de 3 letras o más, o algún filtro es inválido
  *       500:
  *         description: Error del servidor
  */
-router.get("/buscar/:termino", async (req, res) => {
-  const { termino } = req.params;
+router.get("/buscar/:termino", validarBusqueda, busquedaRecetas, aplicarPerfilAlimentario, async (req, res, next) => {
+  const terminos = extraerTerminos(req.params.termino);
+  if (terminos.length === 0) {
+    return next(new ErrorHttp(400, "El término de búsqueda debe tener alguna palabra de 3 letras o más", "TERMINO_DEMASIADO_CORTO"));
+  }
+  const consulta = consultaBooleana(terminos);
+  const contenido = condicionContenido(req.user);
+
+  const filtros = crearFiltros(condicionVisible(req.user));
+  filtros.agregar(
+    consulta,
+    `(MATCH(r.titulo) AGAINST (? IN BOOLEAN MODE) OR MATCH(r.descripcion) AGAINST (? IN BOOLEAN MODE)
+      OR ing.id_receta IS NOT NULL OR pas.id_receta IS NOT NULL)`,
+    consulta,
+    consulta
+  );
+  agregarFiltrosReceta(filtros, req.consulta);
+
+  // Relevancia de los ingredientes y pasos que coinciden, sumada por receta
+  const desde = `
+    ${TABLAS_LISTADO}
+    LEFT JOIN (
+      SELECT ri.id_receta, SUM(MATCH(i.nombre) AGAINST (? IN BOOLEAN MODE)) AS relevancia
+      FROM Receta_Ingrediente ri
+      JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+      WHERE MATCH(i.nombre) AGAINST (? IN BOOLEAN MODE)
+      GROUP BY ri.id_receta
+    ) ing ON ing.id_receta = r.id_receta
+    LEFT JOIN (
+      SELECT id_receta, SUM(MATCH(descripcion) AGAINST (? IN BOOLEAN MODE)) AS relevancia
+      FROM Pasos
+      WHERE MATCH(descripcion) AGAINST (? IN BOOLEAN MODE)
+      GROUP BY id_receta
+    ) pas ON pas.id_receta = r.id_receta
+    ${filtros.sql}
+  `;
+  const paramsDesde = [consulta, consulta, consulta, consulta, ...filtros.params];
+
   try {
     const sql = `
-      SELECT DISTINCT
-        r.id_receta,
-        r.titulo,
-        r.descripcion,
-        r.tiempo_preparacion,
-        r.costo,
-        r.es_publica,
-        r.es_premium,
-        c.nombre AS categoria,
-        u.nombre AS autor
-      FROM Recetas r
-      JOIN Categorias c ON r.categoria_id = c.id_categoria
-      JOIN Usuarios u ON r.autor_id = u.id_usuario
-      LEFT JOIN Receta_Ingrediente ri ON r.id_receta = ri.id_receta
-      LEFT JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
-      WHERE r.titulo LIKE ? OR i.nombre LIKE ?;
+      SELECT ${COLUMNAS_LISTADO},
+        ${PESOS_BUSQUEDA.titulo} * MATCH(r.titulo) AGAINST (? IN BOOLEAN MODE)
+          + ${PESOS_BUSQUEDA.descripcion} * MATCH(r.descripcion) AGAINST (? IN BOOLEAN MODE)
+          + ${PESOS_BUSQUEDA.ingredientes} * COALESCE(ing.relevancia, 0)
+          + ${PESOS_BUSQUEDA.pasos} * COALESCE(pas.relevancia, 0) AS relevancia,
+        ${contenido.sql} AS contenido_visible
+      ${desde}
+      ${req.paginacion.sql};
     `;
-    const searchTerm = `%${termino}%`;
-    const [results] = await db.query(sql, [searchTerm, searchTerm]);
-    res.json(results);
+    const [results] = await db.query(sql, [consulta, consulta, ...contenido.params, ...paramsDesde, ...req.paginacion.params]);
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total ${desde}`, paramsDesde);
+
+    // Ingredientes y pasos que coinciden, solo de las recetas cuyo contenido puede ver el usuario
+    const idsContenido = results.filter((r) => r.contenido_visible).map((r) => r.id_receta);
+    let ingredientes = [];
+    let pasos = [];
+    if (idsContenido.length > 0) {
+      [ingredientes] = await db.query(
+        `SELECT ri.id_receta, i.nombre
+         FROM Receta_Ingrediente ri
+         JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+         WHERE ri.id_receta IN (?) AND MATCH(i.nombre) AGAINST (? IN BOOLEAN MODE)
+         ORDER BY i.nombre`,
+        [idsContenido, consulta]
+      );
+      [pasos] = await db.query(
+        `SELECT id_receta, numero_paso, descripcion FROM Pasos
+         WHERE id_receta IN (?) AND MATCH(descripcion) AGAINST (? IN BOOLEAN MODE)
+         ORDER BY numero_paso`,
+        [idsContenido, consulta]
+      );
+    }
+
+    const datos = results.map(({ contenido_visible, relevancia, ...receta }) => {
+      const resaltado = {
+        titulo: resaltar(receta.titulo, terminos),
+        descripcion: resaltar(receta.descripcion, terminos),
+      };
+      if (contenido_visible) {
+        resaltado.ingredientes = ingredientes
+          .filter((i) => i.id_receta === receta.id_receta)
+          .map((i) => resaltar(i.nombre, terminos))
+          .filter(Boolean);
+        resaltado.pasos = pasos
+          .filter((p) => p.id_receta === receta.id_receta)
+          .map((p) => ({ numero_paso: p.numero_paso, fragmento: resaltar(p.descripcion, terminos) }))
+          .filter((p) => p.fragmento);
+      }
+      return { ...extraerImagen(receta, "portada"), relevancia: Number(Number(relevancia).toFixed(4)), resaltado };
+    });
+    res.json(respuestaPaginada(req, datos, total));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -227,22 +1104,199 @@ router.get("/buscar/:termino", async (req, res) => {
  *       500:
  *         description: Error del servidor
  */
-router.post("/", async (req, res) => {
-  const { titulo, descripcion, tiempo_preparacion, costo, es_publica, es_premium, categoria_id, autor_id } = req.body;
+router.post("/", validar({ body: camposReceta }), async (req, res, next) => {
+  const { titulo, descripcion, tiempo_preparacion, porciones = PORCIONES_POR_DEFECTO, costo, es_publica, es_premium, categoria_id } = req.body;
+  // El autor primario siempre es el usuario de la sesión
+  const autor_id = req.user.id_usuario;
+  try {
+    const id_receta = await transaccion(async (conn) => {
+      const sql = "INSERT INTO Recetas (titulo, descripcion, tiempo_preparacion, porciones, costo_manual, es_publica, es_premium, categoria_id, autor_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)";
+      const [result] = await conn.query(sql, [titulo, descripcion, tiempo_preparacion, porciones, costo, es_publica, es_premium, categoria_id, autor_id]);
+      await registrarRevision(conn, result.insertId, autor_id, "Receta creada");
+      return result.insertId;
+    });
+    res.status(201).json({ id_receta, ...req.body, porciones, autor_id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Busca un ingrediente por nombre (la colación ignora mayúsculas y acentos) o lo crea
+async function obtenerOCrearIngrediente(conn, nombre, unidad_medida) {
+  const [encontrados] = await conn.query("SELECT id_ingrediente FROM Ingredientes WHERE nombre = ? LIMIT 1", [nombre]);
+  if (encontrados.length > 0) return { id_ingrediente: encontrados[0].id_ingrediente, creado: false };
+  const [result] = await conn.query("INSERT INTO Ingredientes (nombre, unidad_medida) VALUES (?, ?)", [nombre, unidad_medida ?? null]);
+  return { id_ingrediente: result.insertId, creado: true };
+}
+
+/**
+ * @swagger
+ * /recetas/completa:
+ *   post:
+ *     summary: Crear una receta con sus ingredientes y pasos en una sola transacción
+ *     description: >
+ *       Si algo falla no se guarda nada. Los ingredientes pueden indicarse por id_ingrediente
+ *       o por nombre; los nombres que no existan se crean en el catálogo. Los pasos se numeran
+ *       según su orden en la lista.
+ *     tags: [Recetas]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Receta'
+ *               - type: object
+ *                 properties:
+ *                   ingredientes:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       required:
+ *                         - cantidad
+ *                       properties:
+ *                         id_ingrediente:
+ *                           type: integer
+ *                         nombre:
+ *                           type: string
+ *                         unidad_medida:
+ *                           type: string
+ *                           description: Solo se usa si el ingrediente se crea
+ *                         cantidad:
+ *                           type: number
+ *                   pasos:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       required:
+ *                         - descripcion
+ *                       properties:
+ *                         descripcion:
+ *                           type: string
+ *           example:
+ *             titulo: Quesadillas
+ *             categoria_id: 3
+ *             tiempo_preparacion: 15
+ *             ingredientes:
+ *               - id_ingrediente: 3
+ *                 cantidad: 4
+ *               - nombre: Queso Oaxaca
+ *                 unidad_medida: g
+ *                 cantidad: 200
+ *             pasos:
+ *               - descripcion: Calentar las tortillas.
+ *               - descripcion: Rellenar con queso y doblar.
+ *     responses:
+ *       201:
+ *         description: Receta creada con sus ingredientes y pasos
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       422:
+ *         description: Algún id_ingrediente o la categoría no existe (no se guardó nada)
+ *       500:
+ *         description: Error del servidor (no se guardó nada)
+ */
+const validarRecetaCompleta = validar({
+  body: {
+    ...camposReceta,
+    ingredientes: {
+      tipo: "lista",
+      elementos: {
+        tipo: "objeto",
+        campos: {
+          id_ingrediente: { tipo: "entero", min: 1 },
+          nombre: { tipo: "texto", max: 100 },
+          unidad_medida: { tipo: "texto", max: 20 },
+          cantidad: { tipo: "numero", requerido: true, min: 0.01, max: 9999.99 },
+        },
+      },
+    },
+    pasos: {
+      tipo: "lista",
+      elementos: { tipo: "objeto", campos: { descripcion: { tipo: "texto", requerido: true } } },
+    },
+  },
+});
+
+router.post("/completa", validarRecetaCompleta, async (req, res, next) => {
+  const { titulo, descripcion, tiempo_preparacion, porciones = PORCIONES_POR_DEFECTO, costo, es_publica, es_premium, categoria_id } = req.body;
+  const { ingredientes = [], pasos = [] } = req.body;
+  const autor_id = req.user.id_usuario;
+
+  if (ingredientes.some((i) => !i.id_ingrediente && !i.nombre)) {
+    return next(new ErrorHttp(400, "Cada ingrediente requiere id_ingrediente o nombre", "INGREDIENTE_REQUERIDO"));
+  }
+
   try {
-    const sql = "INSERT INTO Recetas (titulo, descripcion, tiempo_preparacion, costo, es_publica, es_premium, categoria_id, autor_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)";
-    const [result] = await db.query(sql, [titulo, descripcion, tiempo_preparacion, costo, es_publica, es_premium, categoria_id, autor_id]);
-    res.status(201).json({ id_receta: result.insertId, ...req.body });
+    const receta = await transaccion(async (conn) => {
+      const sql = "INSERT INTO Recetas (titulo, descripcion, tiempo_preparacion, porciones, costo_manual, es_publica, es_premium, categoria_id, autor_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)";
+      const [result] = await conn.query(sql, [titulo, descripcion, tiempo_preparacion, porciones, costo, es_publica, es_premium, categoria_id, autor_id]);
+      const id_receta = result.insertId;
+
+      // Resolvemos cada ingrediente a un id, sumando cantidades si se repite
+      const lineas = new Map();
+      const creados = [];
+      for (const ingrediente of ingredientes) {
+        let id_ingrediente = Number(ingrediente.id_ingrediente);
+        if (!id_ingrediente) {
+          const resuelto = await obtenerOCrearIngrediente(conn, ingrediente.nombre, ingrediente.unidad_medida);
+          id_ingrediente = resuelto.id_ingrediente;
+          if (resuelto.creado) creados.push({ id_ingrediente, nombre: ingrediente.nombre });
+        }
+        lineas.set(id_ingrediente, (lineas.get(id_ingrediente) || 0) + ingrediente.cantidad);
+      }
+      if (lineas.size > 0) {
+        const filas = [...lineas].map(([id_ingrediente, cantidad]) => [id_receta, id_ingrediente, cantidad]);
+        await conn.query("INSERT INTO Receta_Ingrediente (id_receta, id_ingrediente, cantidad) VALUES ?", [filas]);
+        await recalcularCostos(conn, { recetas: [id_receta] });
+      }
+
+      if (pasos.length > 0) {
+        const filas = pasos.map((p, i) => [id_receta, i + 1, p.descripcion]);
+        await conn.query("INSERT INTO Pasos (id_receta, numero_paso, descripcion) VALUES ?", [filas]);
+      }
+      await registrarRevision(conn, id_receta, autor_id, "Receta creada");
+
+      return { id_receta, total_ingredientes: lineas.size, ingredientes_creados: creados };
+    });
+
+    res.status(201).json({
+      ...receta,
+      titulo,
+      autor_id,
+      total_pasos: pasos.length,
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+// ✏️ Actualiza las columnas de `cambios` de la receta si su versión coincide con If-Match
+// y devuelve la versión nueva
+async function actualizarReceta(req, cambios) {
+  const { id } = req.params;
+  return conRevision(id, req.user.id_usuario, "Datos de la receta actualizados", async (conn) => {
+    const [[{ version }]] = await conn.query("SELECT version FROM Recetas WHERE id_receta = ? FOR UPDATE", [id]);
+    comprobarVersion(req, version);
+    const columnas = Object.keys(cambios).map((c) => `${c} = ?`);
+    await conn.query(`UPDATE Recetas SET ${columnas.join(", ")}, version = version + 1 WHERE id_receta = ?`, [
+      ...Object.values(cambios),
+      id,
+    ]);
+    return version + 1;
+  });
+}
+
 /**
  * @swagger
  * /recetas/{id}:
  *   put:
  *     summary: Actualizar una receta existente
+ *     description: >
+ *       Solo el autor principal o un colaborador con permiso_modificar. Sustituye todos los datos de la
+ *       receta: los campos que no se envían quedan vacíos (para cambiar solo algunos, ver PATCH). El
+ *       autor_id no se modifica aquí (ver PUT /recetas/{id}/autor). El cambio queda en el historial
+ *       (ver GET /recetas/{id}/revisiones).
  *     tags: [Recetas]
  *     parameters:
  *       - in: path
@@ -251,6 +1305,7 @@ router.post("/", async (req, res) => {
  *           type: integer
  *         required: true
  *         description: ID de la receta a actualizar
+ *       - $ref: '#/components/parameters/ifMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -259,19 +1314,90 @@ router.post("/", async (req, res) => {
  *             $ref: '#/components/schemas/Receta'
  *     responses:
  *       200:
- *         description: Receta actualizada correctamente
+ *         description: Receta actualizada correctamente; la ETag es la versión nueva.
+ *       403:
+ *         description: Sin permiso para modificar la receta
+ *       412:
+ *         description: La receta ha cambiado desde que se obtuvo la ETag de If-Match
  *       500:
  *         description: Error del servidor
  */
-router.put("/:id", async (req, res) => {
-  const { id } = req.params;
-  const { titulo, descripcion, tiempo_preparacion, costo, es_publica, es_premium, categoria_id, autor_id } = req.body;
+router.put("/:id", validar({ params: { id: campos.id }, body: camposReceta }), permisoReceta("modificar"), async (req, res, next) => {
+  const { titulo, descripcion, tiempo_preparacion, porciones = PORCIONES_POR_DEFECTO, costo, es_publica, es_premium, categoria_id } = req.body;
+  try {
+    const version = await actualizarReceta(req, {
+      titulo,
+      descripcion,
+      tiempo_preparacion,
+      porciones,
+      costo_manual: costo,
+      es_publica,
+      es_premium,
+      categoria_id,
+    });
+    enviarVersion(res, version);
+    res.json({ mensaje: "Receta actualizada correctamente", version });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /recetas/{id}:
+ *   patch:
+ *     summary: Actualizar solo algunos datos de una receta
+ *     description: >
+ *       Cambia únicamente los campos enviados; el resto se conserva. Con null se vacían descripcion,
+ *       tiempo_preparacion y costo (que vuelve a ser el calculado); los demás campos no se pueden vaciar.
+ *       Mismos permisos e historial que PUT.
+ *     tags: [Recetas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Cualquier subconjunto de los campos editables de Receta.
+ *           example:
+ *             tiempo_preparacion: 45
+ *             costo: null
+ *     responses:
+ *       200:
+ *         description: Receta actualizada correctamente; la ETag es la versión nueva.
+ *       400:
+ *         description: Ningún campo que modificar, datos inválidos o un campo obligatorio vacío.
+ *       403:
+ *         description: Sin permiso para modificar la receta
+ *       412:
+ *         description: La receta ha cambiado desde que se obtuvo la ETag de If-Match
+ */
+const validarEdicionParcial = validar({ params: { id: campos.id }, body: parcial(camposReceta) });
+
+router.patch("/:id", validarEdicionParcial, permisoReceta("modificar"), async (req, res, next) => {
+  const enviados = Object.keys(camposReceta).filter((c) => c in req.body);
+  if (enviados.length === 0) {
+    return next(new ErrorHttp(400, `Indica algún campo que modificar: ${Object.keys(camposReceta).join(", ")}`, "SIN_CAMBIOS"));
+  }
+  const vacios = enviados.filter((c) => (req.body[c] === null || req.body[c] === "") && !CAMPOS_OPCIONALES.includes(c));
+  if (vacios.length > 0) {
+    return next(new ErrorHttp(400, `Estos campos no se pueden dejar vacíos: ${vacios.join(", ")}`, "CAMPOS_VACIOS"));
+  }
+
   try {
-    const sql = "UPDATE Recetas SET titulo=?, descripcion=?, tiempo_preparacion=?, costo=?, es_publica=?, es_premium=?, categoria_id=?, autor_id=? WHERE id_receta=?";
-    await db.query(sql, [titulo, descripcion, tiempo_preparacion, costo, es_publica, es_premium, categoria_id, autor_id, id]);
-    res.json({ mensaje: "Receta actualizada correctamente" });
+    const cambios = Object.fromEntries(enviados.map((c) => [COLUMNAS_RECETA[c], req.body[c] === "" ? null : req.body[c]]));
+    const version = await actualizarReceta(req, cambios);
+    enviarVersion(res, version);
+    res.json({ mensaje: "Receta actualizada correctamente", version });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -279,7 +1405,7 @@ router.put("/:id", async (req, res) => {
  * @swagger
  * /recetas/{id}:
  *   delete:
- *     summary: Eliminar una receta
+ *     summary: Eliminar una receta (solo el autor principal)
  *     tags: [Recetas]
  *     parameters:
  *       - in: path
@@ -291,16 +1417,95 @@ router.put("/:id", async (req, res) => {
  *     responses:
  *       200:
  *         description: Receta eliminada correctamente
+ *       403:
+ *         description: Solo el autor principal puede eliminar la receta
  *       500:
  *         description: Error del servidor
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", validar({ params: { id: campos.id } }), permisoReceta("autor"), async (req, res, next) => {
   const { id } = req.params;
   try {
+    // Las fotos de la receta y de sus pasos se borran con ella
+    const imagenes = await imagenesDeReceta(id);
     await db.query("DELETE FROM Recetas WHERE id_receta=?", [id]);
+    await eliminarImagenes(imagenes);
     res.json({ mensaje: "Receta eliminada correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /recetas/{id}/autor:
+ *   put:
+ *     summary: Transferir la autoría de una receta a otro usuario (solo el autor principal)
+ *     tags: [Recetas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la receta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - autor_id
+ *             properties:
+ *               autor_id:
+ *                 type: integer
+ *                 description: ID del nuevo autor principal
+ *               conservar_acceso:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Si el autor anterior queda como colaborador con permiso de modificar
+ *     responses:
+ *       200:
+ *         description: Autoría transferida correctamente
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       403:
+ *         description: Solo el autor principal puede transferir la receta
+ *       404:
+ *         description: Receta o usuario no encontrado
+ */
+const validarTransferencia = validar({
+  params: { id: campos.id },
+  body: { autor_id: campos.id, conservar_acceso: { tipo: "booleano" } },
+});
+
+router.put("/:id/autor", validarTransferencia, permisoReceta("autor"), async (req, res, next) => {
+  const { id } = req.params;
+  const { autor_id, conservar_acceso = true } = req.body;
+  if (autor_id === req.user.id_usuario) {
+    return next(new ErrorHttp(400, "Ya eres el autor principal de esta receta", "YA_ES_AUTOR"));
+  }
+
+  try {
+    const [usuarios] = await db.query("SELECT id_usuario FROM Usuarios WHERE id_usuario = ?", [autor_id]);
+    if (usuarios.length === 0) return next(new ErrorHttp(404, "Usuario no encontrado", "USUARIO_NO_ENCONTRADO"));
+
+    await transaccion(async (conn) => {
+      await conn.query("UPDATE Recetas SET autor_id=? WHERE id_receta=?", [autor_id, id]);
+      // El nuevo autor deja de figurar como colaborador
+      await conn.query("DELETE FROM Autores_Receta WHERE id_receta=? AND id_usuario=?", [id, autor_id]);
+      if (conservar_acceso) {
+        const sql = `
+          INSERT INTO Autores_Receta (id_receta, id_usuario, rol, permiso_modificar, estado, fecha_respuesta)
+          VALUES (?, ?, 'colaborador', TRUE, 'aceptada', NOW())
+          ON DUPLICATE KEY UPDATE rol = 'colaborador', permiso_modificar = TRUE, estado = 'aceptada', fecha_respuesta = NOW();
+        `;
+        await conn.query(sql, [id, req.user.id_usuario]);
+      }
+    });
+    res.json({ mensaje: "Autoría transferida correctamente", autor_id: Number(autor_id) });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -0,0 +1,285 @@
+import express from "express";
+import db from "../db.js";
+import { permisoReceta } from "../middleware/permisos.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { paginacion, respuestaPaginada } from "../middleware/paginacion.js";
+import { diferencias, restaurarRevision } from "../services/revisiones.js";
+
+// mergeParams para leer el :id de la receta definido en server.js
+const router = express.Router({ mergeParams: true });
+
+const campoNumero = { tipo: "entero", requerido: true, min: 1 };
+
+const COLUMNAS_REVISION = "rv.numero, rv.resumen, rv.fecha, rv.id_usuario, u.nombre AS usuario";
+const TABLAS_REVISION = `
+  FROM Revisiones_Receta rv
+  LEFT JOIN Usuarios u ON rv.id_usuario = u.id_usuario
+`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Revision:
+ *       type: object
+ *       properties:
+ *         numero:
+ *           type: integer
+ *           description: Número de la revisión dentro de la receta (1 es la más antigua).
+ *         resumen:
+ *           type: string
+ *         fecha:
+ *           type: string
+ *           format: date-time
+ *         id_usuario:
+ *           type: integer
+ *           description: Quién hizo el cambio (null en el estado anterior al historial).
+ *         usuario:
+ *           type: string
+ *       example:
+ *         numero: 3
+ *         resumen: Paso 2 modificado
+ *         fecha: "2024-05-02T18:30:00Z"
+ *         id_usuario: 2
+ *         usuario: Fátima
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Revisiones
+ *   description: >
+ *     Historial de cambios de una receta. Cada cambio en sus datos, ingredientes o pasos guarda
+ *     una revisión con el contenido completo, quién lo hizo y cuándo.
+ */
+
+// 🕘 LISTAR LAS REVISIONES DE UNA RECETA
+/**
+ * @swagger
+ * /recetas/{id}/revisiones:
+ *   get:
+ *     summary: Lista las revisiones de la receta, de la más reciente a la más antigua.
+ *     tags: [Revisiones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/pagina'
+ *       - $ref: '#/components/parameters/limite'
+ *       - $ref: '#/components/parameters/direccion'
+ *     responses:
+ *       200:
+ *         description: Una página de revisiones.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 datos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Revision'
+ *                 paginacion:
+ *                   $ref: '#/components/schemas/Paginacion'
+ *       403:
+ *         description: Receta privada, o premium sin suscripción activa.
+ */
+const listadoRevisiones = paginacion({
+  ordenes: { numero: { columna: "rv.numero", direccion: "desc" } },
+  porDefecto: "numero",
+  desempate: "rv.id_revision",
+});
+
+router.get("/", validar({ params: { id: campos.id } }), listadoRevisiones, permisoReceta("contenido"), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const [results] = await db.query(
+      `SELECT ${COLUMNAS_REVISION} ${TABLAS_REVISION} WHERE rv.id_receta = ? ${req.paginacion.sql}`,
+      [id, ...req.paginacion.params]
+    );
+    const [[{ total }]] = await db.query("SELECT COUNT(*) AS total FROM Revisiones_Receta WHERE id_receta = ?", [id]);
+    res.json(respuestaPaginada(req, results, total));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔍 COMPARAR DOS REVISIONES
+/**
+ * @swagger
+ * /recetas/{id}/revisiones/comparar:
+ *   get:
+ *     summary: Diferencias campo a campo entre dos revisiones de la receta.
+ *     description: >
+ *       Sin parámetros compara la última revisión con la anterior; con solo hasta, esa revisión
+ *       con la anterior. Los ingredientes se identifican por id_ingrediente y los pasos por id_paso.
+ *     tags: [Revisiones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cambios para pasar de la revisión desde a la revisión hasta.
+ *         content:
+ *           application/json:
+ *             example:
+ *               desde: { numero: 2, resumen: Receta creada, fecha: "2024-05-01T10:00:00Z", id_usuario: 1, usuario: Melani }
+ *               hasta: { numero: 3, resumen: Paso 2 modificado, fecha: "2024-05-02T18:30:00Z", id_usuario: 2, usuario: Fátima }
+ *               receta:
+ *                 - campo: tiempo_preparacion
+ *                   antes: 30
+ *                   despues: 40
+ *               ingredientes:
+ *                 agregados: []
+ *                 eliminados: []
+ *                 modificados:
+ *                   - id_ingrediente: 1
+ *                     nombre: Carne de cerdo
+ *                     cambios: [{ campo: cantidad, antes: 500, despues: 600 }]
+ *               pasos:
+ *                 agregados: []
+ *                 eliminados: []
+ *                 modificados:
+ *                   - id_paso: 2
+ *                     numero_paso: 2
+ *                     cambios: [{ campo: descripcion, antes: Marinar con achiote., despues: Marinar con achiote y jugo de piña. }]
+ *       404:
+ *         description: Alguna de las revisiones no existe.
+ */
+const validarComparacion = validar({
+  params: { id: campos.id },
+  query: { desde: { tipo: "entero", min: 1 }, hasta: { tipo: "entero", min: 1 } },
+});
+
+router.get("/comparar", validarComparacion, permisoReceta("contenido"), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    let { desde, hasta } = req.consulta;
+    if (hasta === undefined) {
+      const [[{ ultima }]] = await db.query("SELECT MAX(numero) AS ultima FROM Revisiones_Receta WHERE id_receta = ?", [id]);
+      hasta = ultima ?? 1;
+    }
+    if (desde === undefined) desde = Math.max(hasta - 1, 1);
+
+    const [revisiones] = await db.query(
+      `SELECT ${COLUMNAS_REVISION}, rv.contenido ${TABLAS_REVISION} WHERE rv.id_receta = ? AND rv.numero IN (?, ?)`,
+      [id, desde, hasta]
+    );
+    const porNumero = new Map(revisiones.map((r) => [r.numero, r]));
+    if (!porNumero.has(desde) || !porNumero.has(hasta)) {
+      return next(new ErrorHttp(404, "Revisión no encontrada", "REVISION_NO_ENCONTRADA"));
+    }
+    const { contenido: antes, ...revisionDesde } = porNumero.get(desde);
+    const { contenido: despues, ...revisionHasta } = porNumero.get(hasta);
+    res.json({ desde: revisionDesde, hasta: revisionHasta, ...diferencias(antes, despues) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🕘 VER UNA REVISIÓN
+/**
+ * @swagger
+ * /recetas/{id}/revisiones/{numero}:
+ *   get:
+ *     summary: Obtiene una revisión con el contenido completo de la receta en ese momento.
+ *     tags: [Revisiones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: numero
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: >
+ *           La revisión, con contenido = { receta, ingredientes, pasos } tal como quedaron tras el cambio.
+ *       404:
+ *         description: Revisión no encontrada.
+ */
+const validarRevision = validar({ params: { id: campos.id, numero: campoNumero } });
+
+router.get("/:numero", validarRevision, permisoReceta("contenido"), async (req, res, next) => {
+  const { id, numero } = req.params;
+  try {
+    const [results] = await db.query(
+      `SELECT ${COLUMNAS_REVISION}, rv.contenido ${TABLAS_REVISION} WHERE rv.id_receta = ? AND rv.numero = ?`,
+      [id, numero]
+    );
+    if (results.length === 0) return next(new ErrorHttp(404, "Revisión no encontrada", "REVISION_NO_ENCONTRADA"));
+    res.json(results[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ⏪ RESTAURAR UNA REVISIÓN
+/**
+ * @swagger
+ * /recetas/{id}/revisiones/{numero}/restaurar:
+ *   post:
+ *     summary: Devuelve la receta al contenido de una revisión anterior.
+ *     description: >
+ *       La restauración se guarda como una revisión nueva, así que también se puede deshacer.
+ *       Los ingredientes que ya no existen en el catálogo no se pueden restaurar y se indican en
+ *       ingredientes_omitidos. Las fotos no forman parte del historial. El costo calculado se
+ *       actualiza con los precios vigentes.
+ *     tags: [Revisiones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: numero
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: >
+ *           Receta restaurada. revision es el número de la revisión nueva, o null si el contenido
+ *           ya era igual al de la revisión restaurada.
+ *         content:
+ *           application/json:
+ *             example:
+ *               mensaje: Revisión 2 restaurada
+ *               revision: 5
+ *               ingredientes_omitidos: []
+ *       403:
+ *         description: Sin permiso para modificar la receta.
+ *       404:
+ *         description: Revisión no encontrada.
+ */
+router.post("/:numero/restaurar", validarRevision, permisoReceta("modificar"), async (req, res, next) => {
+  const { id, numero } = req.params;
+  try {
+    const restaurada = await restaurarRevision(id, numero, req.user.id_usuario);
+    if (!restaurada) return next(new ErrorHttp(404, "Revisión no encontrada", "REVISION_NO_ENCONTRADA"));
+    res.json({ mensaje: `Revisión ${numero} restaurada`, ...restaurada });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
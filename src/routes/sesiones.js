@@ -1,6 +1,9 @@
 import express from "express";
 import db from "../db.js";
 import bcrypt from "bcrypt";
+import { generarToken, DURACION_SESION_HORAS } from "../middleware/auth.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar } from "../middleware/validacion.js";
 
 const router = express.Router();
 
@@ -38,6 +41,15 @@ const router = express.Router();
  *           type: integer
  *         id_usuario:
  *           type: integer
+ *         token:
+ *           type: string
+ *           description: Token bearer que debe enviarse en la cabecera Authorization.
+ *         tipo_token:
+ *           type: string
+ *           example: Bearer
+ *         fecha_expiracion:
+ *           type: string
+ *           format: date-time
  *         mensaje:
  *           type: string
  */
@@ -69,71 +81,73 @@ const router = express.Router();
  *       500:
  *         description: Error del servidor.
  */
-router.post("/login", async (req, res) => {
+const validarLogin = validar({
+  body: {
+    email: { tipo: "email", requerido: true },
+    contrasena: { tipo: "texto", requerido: true },
+  },
+});
+
+router.post("/login", validarLogin, async (req, res, next) => {
   const { email, contrasena } = req.body;
-  if (!email || !contrasena) {
-    return res.status(400).json({ error: "El email y la contraseña son requeridos" });
-  }
 
   try {
     // 1. Buscar al usuario por email
     const [users] = await db.query("SELECT * FROM Usuarios WHERE email = ?", [email]);
     if (users.length === 0) {
-      return res.status(401).json({ error: "Credenciales inválidas" });
+      return next(new ErrorHttp(401, "Credenciales inválidas", "CREDENCIALES_INVALIDAS"));
     }
     const user = users[0];
 
     // 2. Comparar la contraseña enviada con el hash guardado
     const match = await bcrypt.compare(contrasena, user.contrasena);
     if (!match) {
-      return res.status(401).json({ error: "Credenciales inválidas" });
+      return next(new ErrorHttp(401, "Credenciales inválidas", "CREDENCIALES_INVALIDAS"));
     }
 
-    // 3. Crear la sesión
-    const sql = "INSERT INTO Sesiones (id_usuario) VALUES (?)";
-    const [result] = await db.query(sql, [user.id_usuario]);
-    res.status(201).json({ id_sesion: result.insertId, id_usuario: user.id_usuario, mensaje: "Sesión iniciada" });
+    // 3. Crear la sesión con un token aleatorio (solo guardamos su hash)
+    const { token, tokenHash } = generarToken();
+    const fecha_expiracion = new Date(Date.now() + DURACION_SESION_HORAS * 60 * 60 * 1000);
+    const sql = "INSERT INTO Sesiones (id_usuario, token_hash, fecha_expiracion) VALUES (?, ?, ?)";
+    const [result] = await db.query(sql, [user.id_usuario, tokenHash, fecha_expiracion]);
+    res.status(201).json({
+      id_sesion: result.insertId,
+      id_usuario: user.id_usuario,
+      token,
+      tipo_token: "Bearer",
+      fecha_expiracion,
+      mensaje: "Sesión iniciada",
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// 🕓 CERRAR SESIÓN (actualizar fecha_cierre)
+// 🕓 CERRAR SESIÓN (revoca el token actual)
 /**
  * @swagger
  * /sesiones/logout:
  *   post:
- *     summary: Cierra una sesión activa.
+ *     summary: Cierra la sesión del token enviado en la cabecera Authorization.
  *     tags: [Sesiones]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               id_sesion:
- *                 type: integer
  *     responses:
  *       200:
  *         description: Sesión cerrada correctamente.
+ *       401:
+ *         description: Token ausente, inválido, cerrado o expirado.
  *       404:
  *         description: La sesión no existe o ya estaba cerrada.
  */
-router.post("/logout", async (req, res) => {
-  const { id_sesion } = req.body;
-  if (!id_sesion) {
-    return res.status(400).json({ error: "El id_sesion es requerido" });
-  }
+router.post("/logout", async (req, res, next) => {
   try {
     const sql = "UPDATE Sesiones SET fecha_cierre = NOW() WHERE id_sesion = ? AND fecha_cierre IS NULL";
-    const [result] = await db.query(sql, [id_sesion]);
+    const [result] = await db.query(sql, [req.sesion.id_sesion]);
     if (result.affectedRows === 0) {
-      return res.status(404).json({ mensaje: "La sesión no existe o ya estaba cerrada" });
+      return next(new ErrorHttp(404, "La sesión no existe o ya estaba cerrada", "SESION_NO_ENCONTRADA"));
     }
     res.json({ mensaje: "Sesión cerrada correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -1,7 +1,30 @@
 import express from "express";
 import db from "../db.js";
+import { cancelar, sincronizarTipoUsuario } from "../services/suscripciones.js";
+import { iniciarCheckout } from "../services/pagos/index.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
 
 const router = express.Router();
+
+// ✅ Esquemas de validación
+const validarIdSuscripcion = validar({ params: { id_suscripcion: campos.id } });
+const campoMeses = { meses: { tipo: "entero", min: 1, max: 24 } };
+
+// 💳 Carga en req.suscripcion una suscripción del usuario de la sesión
+async function cargarSuscripcionPropia(req, res, next) {
+  try {
+    const [results] = await db.query(
+      "SELECT * FROM Suscripciones WHERE id_suscripcion = ? AND id_usuario = ?",
+      [req.params.id_suscripcion, req.user.id_usuario]
+    );
+    if (results.length === 0) return next(new ErrorHttp(404, "Suscripción no encontrada", "SUSCRIPCION_NO_ENCONTRADA"));
+    req.suscripcion = results[0];
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
 /**
  * @swagger
  * components:
@@ -9,9 +32,7 @@ const router = express.Router();
  *     Suscripcion:
  *       type: object
  *       required:
- *         - id_usuario
- *         - fecha_fin
- *         - monto
+ *         - meses
  *       properties:
  *         id_suscripcion:
  *           type: integer
@@ -31,12 +52,23 @@ const router = express.Router();
  *           type: number
  *           format: float
  *           description: El costo de la suscripción.
+ *         estado:
+ *           type: string
+ *           enum: [activa, cancelada, expirada]
+ *         cancelar_al_final:
+ *           type: boolean
+ *           description: Si es true, la suscripción no continuará después de fecha_fin.
+ *         fecha_cancelacion:
+ *           type: string
+ *           format: date-time
  *       example:
  *         id_suscripcion: 1
  *         id_usuario: 2
  *         fecha_inicio: "2023-10-27T10:00:00Z"
  *         fecha_fin: "2023-11-27T10:00:00Z"
  *         monto: 99.99
+ *         estado: "activa"
+ *         cancelar_al_final: false
  */
 
 /**
@@ -64,12 +96,12 @@ const router = express.Router();
  *       500:
  *         description: Error del servidor.
  */
-router.get("/", async (req, res) => {
+router.get("/", async (req, res, next) => {
   try {
     const [results] = await db.query("SELECT * FROM Suscripciones");
     res.json(results);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -97,13 +129,13 @@ router.get("/", async (req, res) => {
  *               items:
  *                 $ref: '#/components/schemas/Suscripcion'
  */
-router.get("/usuario/:id_usuario", async (req, res) => {
+router.get("/usuario/:id_usuario", validar({ params: { id_usuario: campos.id } }), async (req, res, next) => {
   const { id_usuario } = req.params;
   try {
     const [results] = await db.query("SELECT * FROM Suscripciones WHERE id_usuario = ?", [id_usuario]);
     res.json(results);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -131,14 +163,14 @@ router.get("/usuario/:id_usuario", async (req, res) => {
  *       404:
  *         description: Suscripción no encontrada.
  */
-router.get("/:id_suscripcion", async (req, res) => {
+router.get("/:id_suscripcion", validarIdSuscripcion, async (req, res, next) => {
   const { id_suscripcion } = req.params;
   try {
     const [results] = await db.query("SELECT * FROM Suscripciones WHERE id_suscripcion = ?", [id_suscripcion]);
-    if (results.length === 0) return res.status(404).json({ mensaje: "Suscripción no encontrada" });
+    if (results.length === 0) return next(new ErrorHttp(404, "Suscripción no encontrada", "SUSCRIPCION_NO_ENCONTRADA"));
     res.json(results[0]);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -147,40 +179,52 @@ router.get("/:id_suscripcion", async (req, res) => {
  * @swagger
  * /suscripciones:
  *   post:
- *     summary: Crea una nueva suscripción
+ *     summary: Inicia el pago de una suscripción para el usuario de la sesión
+ *     description: >
+ *       El monto lo calcula el servidor según los meses. Se devuelve un pago pendiente; la
+ *       suscripción se crea cuando el proveedor confirma el cobro por webhook. Si el usuario ya
+ *       tiene una suscripción activa, el nuevo periodo empieza cuando termina el último.
  *     tags: [Suscripciones]
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Suscripcion'
+ *             type: object
+ *             properties:
+ *               meses:
+ *                 type: integer
+ *                 default: 1
+ *           example:
+ *             meses: 1
  *     responses:
- *       201:
- *         description: Suscripción creada exitosamente.
+ *       202:
+ *         description: Pago pendiente creado en el proveedor.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Pago'
  *       400:
  *         description: Datos de entrada inválidos.
+ *       503:
+ *         description: No hay un proveedor de pagos configurado (PAGOS_PROVEEDOR).
  */
-router.post("/", async (req, res) => {
-  const { id_usuario, fecha_fin, monto } = req.body;
-  if (!id_usuario || !fecha_fin || !monto) {
-    return res.status(400).json({ error: "id_usuario, fecha_fin y monto son requeridos" });
-  }
+router.post("/", validar({ body: campoMeses }), async (req, res, next) => {
+  const { meses = 1 } = req.body;
   try {
-    const sql = "INSERT INTO Suscripciones (id_usuario, fecha_fin, monto) VALUES (?, ?, ?)";
-    const [result] = await db.query(sql, [id_usuario, fecha_fin, monto]);
-    res.status(201).json({ id: result.insertId, ...req.body });
+    const pago = await iniciarCheckout({ id_usuario: req.user.id_usuario, meses });
+    res.status(202).json(pago);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// 💳 ACTUALIZAR UNA SUSCRIPCIÓN (ej. extender fecha)
+// 💳 RENOVAR / EXTENDER UNA SUSCRIPCIÓN
 /**
  * @swagger
- * /suscripciones/{id_suscripcion}:
- *   put:
- *     summary: Actualiza una suscripción existente
+ * /suscripciones/{id_suscripcion}/renovar:
+ *   post:
+ *     summary: Inicia el pago para extender una suscripción activa
+ *     description: Al confirmarse el pago se extiende la suscripción y se anula su cancelación programada.
  *     tags: [Suscripciones]
  *     parameters:
  *       - in: path
@@ -188,31 +232,89 @@ router.post("/", async (req, res) => {
  *         schema:
  *           type: integer
  *         required: true
- *         description: El ID de la suscripción a actualizar.
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Suscripcion'
+ *             type: object
+ *             properties:
+ *               meses:
+ *                 type: integer
+ *                 default: 1
  *     responses:
- *       200:
- *         description: Suscripción actualizada correctamente.
+ *       202:
+ *         description: Pago pendiente creado en el proveedor.
  *       400:
  *         description: Datos de entrada inválidos.
+ *       404:
+ *         description: Suscripción no encontrada.
+ *       409:
+ *         description: La suscripción ya no está activa.
+ *       503:
+ *         description: No hay un proveedor de pagos configurado (PAGOS_PROVEEDOR).
  */
-router.put("/:id_suscripcion", async (req, res) => {
-  const { id_suscripcion } = req.params;
-  const { fecha_fin, monto } = req.body;
-  if (!fecha_fin || !monto) {
-    return res.status(400).json({ error: "fecha_fin y monto son requeridos" });
+const validarRenovacion = validar({ params: { id_suscripcion: campos.id }, body: campoMeses });
+
+router.post("/:id_suscripcion/renovar", validarRenovacion, cargarSuscripcionPropia, async (req, res, next) => {
+  const { meses = 1 } = req.body;
+  if (req.suscripcion.estado !== "activa") {
+    return next(new ErrorHttp(409, "Solo se pueden renovar suscripciones activas; crea una nueva", "SUSCRIPCION_NO_ACTIVA"));
   }
   try {
-    const sql = "UPDATE Suscripciones SET fecha_fin=?, monto=? WHERE id_suscripcion=?";
-    await db.query(sql, [fecha_fin, monto, id_suscripcion]);
-    res.json({ mensaje: "Suscripción actualizada correctamente" });
+    const pago = await iniciarCheckout({
+      id_usuario: req.user.id_usuario,
+      meses,
+      id_suscripcion: req.suscripcion.id_suscripcion,
+    });
+    res.status(202).json(pago);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// 💳 CANCELAR UNA SUSCRIPCIÓN
+/**
+ * @swagger
+ * /suscripciones/{id_suscripcion}/cancelar:
+ *   post:
+ *     summary: Cancela una suscripción al final del periodo o de inmediato
+ *     tags: [Suscripciones]
+ *     parameters:
+ *       - in: path
+ *         name: id_suscripcion
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               inmediata:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Si es true el acceso premium termina ahora.
+ *     responses:
+ *       200:
+ *         description: Suscripción cancelada (o programada para cancelarse).
+ *       404:
+ *         description: Suscripción no encontrada.
+ *       409:
+ *         description: La suscripción ya no está activa.
+ */
+const validarCancelacion = validar({ params: { id_suscripcion: campos.id }, body: { inmediata: { tipo: "booleano" } } });
+
+router.post("/:id_suscripcion/cancelar", validarCancelacion, cargarSuscripcionPropia, async (req, res, next) => {
+  const { inmediata = false } = req.body;
+  if (req.suscripcion.estado !== "activa") {
+    return next(new ErrorHttp(409, "La suscripción ya no está activa", "SUSCRIPCION_NO_ACTIVA"));
+  }
+  try {
+    const suscripcion = await cancelar(req.suscripcion, !!inmediata);
+    res.json(suscripcion);
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -221,7 +323,7 @@ router.put("/:id_suscripcion", async (req, res) => {
  * @swagger
  * /suscripciones/{id_suscripcion}:
  *   delete:
- *     summary: Elimina una suscripción
+ *     summary: Elimina una suscripción propia
  *     tags: [Suscripciones]
  *     parameters:
  *       - in: path
@@ -233,15 +335,18 @@ router.put("/:id_suscripcion", async (req, res) => {
  *     responses:
  *       200:
  *         description: Suscripción eliminada correctamente.
+ *       404:
+ *         description: Suscripción no encontrada.
  */
-router.delete("/:id_suscripcion", async (req, res) => {
+router.delete("/:id_suscripcion", validarIdSuscripcion, cargarSuscripcionPropia, async (req, res, next) => {
   const { id_suscripcion } = req.params;
   try {
     await db.query("DELETE FROM Suscripciones WHERE id_suscripcion=?", [id_suscripcion]);
+    await sincronizarTipoUsuario(db, req.user.id_usuario);
     res.json({ mensaje: "Suscripción eliminada correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
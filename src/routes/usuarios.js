@@ -1,9 +1,24 @@
 import express from "express";
-import db from "../db.js";
+import db, { transaccion } from "../db.js";
 import bcrypt from "bcrypt";
+import { ErrorHttp } from "../middleware/errores.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { paginacion, crearFiltros, respuestaPaginada } from "../middleware/paginacion.js";
+import { requerirSesion } from "../middleware/auth.js";
+import { ALERGENOS, DIETAS, restriccionesUsuario } from "../services/dietas.js";
+import { subirImagenes } from "../middleware/subidas.js";
+import { columnasImagen, extraerImagen, guardarImagen, eliminarImagenes } from "../services/imagenes.js";
+import { recalcularValoraciones } from "../services/valoraciones.js";
 
 const router = express.Router();
 const saltRounds = 10; // Factor de coste para el hasheo
+
+// ✅ Campos de un usuario (la contraseña solo es obligatoria al registrarse)
+const camposUsuario = {
+  nombre: { tipo: "texto", requerido: true, max: 100 },
+  email: { tipo: "email", requerido: true, max: 100 },
+  contrasena: { tipo: "texto", min: 8, max: 72 }, // bcrypt solo usa los primeros 72 bytes
+};
 /**
  * @swagger
  * components:
@@ -33,7 +48,14 @@ const saltRounds = 10; // Factor de coste para el hasheo
  *           type: string
  *           enum: [publico, premium]
  *           default: publico
- *           description: El tipo de cuenta del usuario.
+ *           readOnly: true
+ *           description: El tipo de cuenta del usuario. Se calcula a partir de sus suscripciones.
+ *         avatar:
+ *           readOnly: true
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/Imagen'
+ *           description: Foto de perfil (se sube con PUT /usuarios/{id}/avatar).
  *       example:
  *         id_usuario: 1
  *         nombre: "Melani"
@@ -48,24 +70,81 @@ const saltRounds = 10; // Factor de coste para el hasheo
  *   description: API para la gestión de usuarios.
  */
 // ✅ Obtener todos los usuarios
+const listadoUsuarios = paginacion({
+  ordenes: {
+    nombre: { columna: "nombre" },
+    recientes: { columna: "fecha_registro", direccion: "desc" },
+  },
+  porDefecto: "nombre",
+  desempate: "id_usuario",
+  filtros: {
+    tipo_usuario: { tipo: "texto", valores: ["publico", "premium"] },
+    nombre: { tipo: "texto", max: 100 },
+  },
+});
+
 /**
  * @swagger
  * /usuarios:
  *   get:
- *     summary: Obtiene una lista de todos los usuarios.
+ *     summary: Obtiene una lista paginada de usuarios.
  *     tags: [Usuarios]
+ *     parameters:
+ *       - $ref: '#/components/parameters/pagina'
+ *       - $ref: '#/components/parameters/limite'
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [nombre, recientes]
+ *           default: nombre
+ *       - $ref: '#/components/parameters/direccion'
+ *       - in: query
+ *         name: tipo_usuario
+ *         schema:
+ *           type: string
+ *           enum: [publico, premium]
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Parte del nombre del usuario.
  *     responses:
  *       200:
- *         description: Una lista de usuarios (sin la contraseña).
+ *         description: Una página de usuarios (sin la contraseña).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 datos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Usuario'
+ *                 paginacion:
+ *                   $ref: '#/components/schemas/Paginacion'
+ *       400:
+ *         description: Parámetros de paginación o filtros inválidos.
  */
-router.get("/", async (req, res) => {
+router.get("/", listadoUsuarios, async (req, res, next) => {
+  const { tipo_usuario, nombre } = req.consulta;
+  const filtros = crearFiltros();
+  filtros.agregar(tipo_usuario, "tipo_usuario = ?");
+  filtros.agregar(nombre, "nombre LIKE ?", `%${nombre}%`);
   // Excluimos la contraseña de la respuesta por seguridad
-  const sql = "SELECT id_usuario, nombre, email, tipo_usuario, fecha_registro FROM Usuarios";
+  const sql = `
+    SELECT id_usuario, nombre, email, tipo_usuario, fecha_registro, ${columnasImagen("im", "avatar")}
+    FROM Usuarios
+    LEFT JOIN Imagenes im ON id_avatar = im.id_imagen
+    ${filtros.sql}
+    ${req.paginacion.sql}
+  `;
   try {
-    const [results] = await db.query(sql);
-    res.json(results);
+    const [results] = await db.query(sql, [...filtros.params, ...req.paginacion.params]);
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM Usuarios ${filtros.sql}`, filtros.params);
+    res.json(respuestaPaginada(req, results.map((u) => extraerImagen(u, "avatar")), total));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -86,8 +165,10 @@ router.get("/", async (req, res) => {
  *       201:
  *         description: Usuario creado exitosamente.
  */
-router.post("/", async (req, res) => {
-  const { nombre, email, contrasena, tipo_usuario } = req.body;
+router.post("/", validar({ body: { ...camposUsuario, contrasena: { ...camposUsuario.contrasena, requerido: true } } }), async (req, res, next) => {
+  const { nombre, email, contrasena } = req.body;
+  // tipo_usuario lo gestionan las suscripciones: todo usuario nuevo es público
+  const tipo_usuario = "publico";
   try {
     // Hashear la contraseña antes de guardarla
     const hash = await bcrypt.hash(contrasena, saltRounds);
@@ -96,7 +177,7 @@ router.post("/", async (req, res) => {
     // No devolvemos el hash en la respuesta
     res.status(201).json({ id: result.insertId, nombre, email, tipo_usuario });
   } catch (err) {
-    if (err) return res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -122,26 +203,231 @@ router.post("/", async (req, res) => {
  *     responses:
  *       200:
  *         description: Usuario actualizado correctamente.
+ *       403:
+ *         description: No se puede modificar la cuenta de otro usuario.
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", validar({ params: { id: campos.id }, body: camposUsuario }), async (req, res, next) => {
   const { id } = req.params;
-  const { nombre, email, tipo_usuario, contrasena } = req.body;
+  const { nombre, email, contrasena } = req.body;
+  if (id !== req.user.id_usuario) {
+    return next(new ErrorHttp(403, "Solo puedes modificar tu propia cuenta", "SOLO_CUENTA_PROPIA"));
+  }
 
   try {
     // Si se proporciona una nueva contraseña, la hasheamos.
     if (contrasena) {
       const hash = await bcrypt.hash(contrasena, saltRounds);
-      const sql = "UPDATE Usuarios SET nombre = ?, email = ?, tipo_usuario = ?, contrasena = ? WHERE id_usuario = ?";
-      await db.query(sql, [nombre, email, tipo_usuario, hash, id]);
+      const sql = "UPDATE Usuarios SET nombre = ?, email = ?, contrasena = ? WHERE id_usuario = ?";
+      await db.query(sql, [nombre, email, hash, id]);
     } else {
       // Si no se proporciona contraseña, actualizamos los otros campos.
-      const sql = "UPDATE Usuarios SET nombre = ?, email = ?, tipo_usuario = ? WHERE id_usuario = ?";
-      await db.query(sql, [nombre, email, tipo_usuario, id]);
+      const sql = "UPDATE Usuarios SET nombre = ?, email = ? WHERE id_usuario = ?";
+      await db.query(sql, [nombre, email, id]);
     }
 
     res.json({ message: "Usuario actualizado correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// 🌱 Restricciones alimentarias del perfil
+/**
+ * @swagger
+ * /usuarios/{id}/restricciones:
+ *   get:
+ *     summary: Obtiene las dietas y alergias del perfil (solo la propia cuenta).
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dietas y alergias del usuario.
+ *         content:
+ *           application/json:
+ *             example:
+ *               dietas: [vegetariana]
+ *               alergias: [frutos_secos]
+ *       403:
+ *         description: No se pueden consultar las restricciones de otro usuario.
+ */
+router.get("/:id/restricciones", requerirSesion, validar({ params: { id: campos.id } }), async (req, res, next) => {
+  const { id } = req.params;
+  if (id !== req.user.id_usuario) {
+    return next(new ErrorHttp(403, "Solo puedes consultar tus propias restricciones", "SOLO_CUENTA_PROPIA"));
+  }
+  try {
+    const perfil = await restriccionesUsuario(id);
+    if (!perfil) return next(new ErrorHttp(404, "Usuario no encontrado", "USUARIO_NO_ENCONTRADO"));
+    res.json(perfil);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /usuarios/{id}/restricciones:
+ *   put:
+ *     summary: Guarda las dietas y alergias del perfil (solo la propia cuenta).
+ *     description: >
+ *       Se aplican en los listados y búsquedas de recetas con ?compatible=true.
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dietas
+ *               - alergias
+ *             properties:
+ *               dietas:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [vegetariana, vegana, sin_gluten, sin_lactosa]
+ *               alergias:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [gluten, lactosa, huevo, frutos_secos, cacahuete, soja, pescado, marisco, sesamo, mostaza, apio, sulfitos]
+ *           example:
+ *             dietas: [vegetariana]
+ *             alergias: [frutos_secos]
+ *     responses:
+ *       200:
+ *         description: Restricciones actualizadas.
+ *       403:
+ *         description: No se pueden modificar las restricciones de otro usuario.
+ */
+const validarRestricciones = validar({
+  params: { id: campos.id },
+  body: {
+    dietas: { tipo: "lista", requerido: true, elementos: { tipo: "texto", valores: Object.keys(DIETAS) } },
+    alergias: { tipo: "lista", requerido: true, elementos: { tipo: "texto", valores: ALERGENOS } },
+  },
+});
+
+router.put("/:id/restricciones", validarRestricciones, async (req, res, next) => {
+  const { id } = req.params;
+  if (id !== req.user.id_usuario) {
+    return next(new ErrorHttp(403, "Solo puedes modificar tus propias restricciones", "SOLO_CUENTA_PROPIA"));
+  }
+  const dietas = [...new Set(req.body.dietas)];
+  const alergias = [...new Set(req.body.alergias)];
+  try {
+    await db.query("UPDATE Usuarios SET dietas = ?, alergias = ? WHERE id_usuario = ?", [dietas.join(","), alergias.join(","), id]);
+    res.json({ dietas, alergias });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🖼️ Foto de perfil
+/**
+ * @swagger
+ * /usuarios/{id}/avatar:
+ *   put:
+ *     summary: Sube o sustituye la foto de perfil (solo la propia cuenta).
+ *     description: >
+ *       Admite JPEG, PNG y WebP hasta el tamaño máximo configurado (5 MB por defecto). Se guardan
+ *       el original y miniaturas en WebP; la foto anterior, si la había, se elimina.
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imagen
+ *             properties:
+ *               imagen:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Foto de perfil guardada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Imagen'
+ *       403:
+ *         description: No se puede cambiar la foto de otro usuario.
+ *       413:
+ *         description: La imagen supera el tamaño máximo.
+ *       415:
+ *         description: El archivo no es una imagen JPEG, PNG o WebP.
+ */
+// La comprobación de la cuenta va antes de leer el archivo
+function soloPropiaCuenta(req, res, next) {
+  if (req.params.id !== req.user.id_usuario) {
+    return next(new ErrorHttp(403, "Solo puedes cambiar tu propia foto de perfil", "SOLO_CUENTA_PROPIA"));
+  }
+  next();
+}
+
+router.put("/:id/avatar", validar({ params: { id: campos.id } }), soloPropiaCuenta, subirImagenes("imagen"), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const imagen = await guardarImagen(req.imagenes[0], `usuarios/${id}`, async (conn, id_imagen) => {
+      const [[usuario]] = await conn.query("SELECT id_avatar FROM Usuarios WHERE id_usuario = ? FOR UPDATE", [id]);
+      await conn.query("UPDATE Usuarios SET id_avatar = ? WHERE id_usuario = ?", [id_imagen, id]);
+      return [usuario.id_avatar];
+    });
+    res.json(imagen);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /usuarios/{id}/avatar:
+ *   delete:
+ *     summary: Elimina la foto de perfil (solo la propia cuenta).
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Foto de perfil eliminada.
+ *       403:
+ *         description: No se puede cambiar la foto de otro usuario.
+ *       404:
+ *         description: El usuario no tiene foto de perfil.
+ */
+router.delete("/:id/avatar", validar({ params: { id: campos.id } }), soloPropiaCuenta, async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const [[{ id_avatar }]] = await db.query("SELECT id_avatar FROM Usuarios WHERE id_usuario = ?", [id]);
+    if (!id_avatar) return next(new ErrorHttp(404, "No tienes foto de perfil", "AVATAR_NO_ENCONTRADO"));
+    await eliminarImagenes([id_avatar]);
+    res.json({ mensaje: "Foto de perfil eliminada correctamente" });
+  } catch (err) {
+    next(err);
   }
 });
 
@@ -161,14 +447,26 @@ router.put("/:id", async (req, res) => {
  *     responses:
  *       200:
  *         description: Usuario eliminado correctamente.
+ *       403:
+ *         description: No se puede eliminar la cuenta de otro usuario.
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", validar({ params: { id: campos.id } }), async (req, res, next) => {
   const { id } = req.params;
+  if (id !== req.user.id_usuario) {
+    return next(new ErrorHttp(403, "Solo puedes eliminar tu propia cuenta", "SOLO_CUENTA_PROPIA"));
+  }
   try {
-    await db.query("DELETE FROM Usuarios WHERE id_usuario = ?", [id]);
+    const [[usuario]] = await db.query("SELECT id_avatar FROM Usuarios WHERE id_usuario = ?", [id]);
+    await transaccion(async (conn) => {
+      // Sus valoraciones se borran en cascada: hay que actualizar el resumen de esas recetas
+      const [valoradas] = await conn.query("SELECT id_receta FROM Valoraciones WHERE id_usuario = ?", [id]);
+      await conn.query("DELETE FROM Usuarios WHERE id_usuario = ?", [id]);
+      await recalcularValoraciones(conn, valoradas.map((v) => v.id_receta));
+    });
+    await eliminarImagenes([usuario?.id_avatar]);
     res.json({ message: "Usuario eliminado correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -1,7 +1,24 @@
 import express from "express";
-import db from "../db.js";
+import db, { transaccion } from "../db.js";
+import { permisoReceta } from "../middleware/permisos.js";
+import { validar, campos } from "../middleware/validacion.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { paginacion, crearFiltros, respuestaPaginada } from "../middleware/paginacion.js";
+import {
+  COLUMNAS_VALORACION,
+  MOTIVOS_DENUNCIA,
+  condicionValoracionVisible,
+  recalcularValoraciones,
+} from "../services/valoraciones.js";
 
 const router = express.Router();
+
+// ✅ Esquemas de validación
+const validarIdValoracion = validar({ params: { id_valoracion: campos.id } });
+const camposValoracion = {
+  puntuacion: { tipo: "entero", requerido: true, min: 1, max: 5 },
+  comentario: { tipo: "texto", max: 2000 },
+};
 /**
  * @swagger
  * components:
@@ -10,7 +27,6 @@ const router = express.Router();
  *       type: object
  *       required:
  *         - id_receta
- *         - id_usuario
  *         - puntuacion
  *       properties:
  *         id_valoracion:
@@ -21,7 +37,7 @@ const router = express.Router();
  *           description: El ID de la receta que se está valorando.
  *         id_usuario:
  *           type: integer
- *           description: El ID del usuario que realiza la valoración.
+ *           description: El ID del usuario que realiza la valoración (se toma de la sesión).
  *         puntuacion:
  *           type: integer
  *           description: Puntuación de 1 a 5.
@@ -32,6 +48,29 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           description: La fecha en que se realizó la valoración.
+ *         estado:
+ *           type: string
+ *           enum: [publicada, oculta]
+ *           readOnly: true
+ *           description: Las ocultas por moderación solo las ven su autor y los moderadores.
+ *         votos_utiles:
+ *           type: integer
+ *           readOnly: true
+ *           description: Cuántos usuarios la han marcado como útil.
+ *         util:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Si el usuario de la sesión la ha marcado como útil.
+ *         respuesta:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: Respuesta del autor de la receta (se envía con PUT /valoraciones/{id_valoracion}/respuesta).
+ *         fecha_respuesta:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
  *       example:
  *         id_valoracion: 1
  *         id_receta: 1
@@ -44,14 +83,66 @@ const router = express.Router();
  * @swagger
  * tags:
  *   name: Valoraciones
- *   description: API para la gestión de valoraciones de recetas.
+ *   description: >
+ *     API para la gestión de valoraciones de recetas. Cada usuario tiene como máximo una valoración
+ *     por receta y ni el autor ni sus colaboradores pueden valorar sus recetas (los invitados sí). La media, el total y el histograma de cada
+ *     receta se devuelven con ella (ver Receta).
+ *
+ *     Cualquier usuario puede marcar como útiles las valoraciones de otros y denunciarlas. El autor
+ *     de la receta puede responder a cada valoración una vez (y editar o borrar su respuesta). Los
+ *     moderadores (Usuarios.es_moderador) revisan las denuncias en /valoraciones/moderacion; las
+ *     valoraciones que ocultan solo las ven su autor y los moderadores y no cuentan en el resumen.
  */
+
+// 🔎 Carga en req.valoracion la valoración de la ruta. Responde 404 si no existe o si está oculta
+// y el usuario no es su autor ni moderador. Va antes de permisoReceta sobre su receta.
+async function cargarValoracion(req, res, next) {
+  try {
+    const [[valoracion]] = await db.query(
+      "SELECT id_valoracion, id_receta, id_usuario, estado FROM Valoraciones WHERE id_valoracion = ?",
+      [req.params.id_valoracion]
+    );
+    const propia = !!req.user && valoracion?.id_usuario === req.user.id_usuario;
+    if (!valoracion || (valoracion.estado === "oculta" && !propia && !req.user?.es_moderador)) {
+      return next(new ErrorHttp(404, "Valoración no encontrada", "VALORACION_NO_ENCONTRADA"));
+    }
+    req.valoracion = { ...valoracion, propia };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+const recetaDeValoracion = (req) => req.valoracion.id_receta;
+
+// Columna util (alias v): si el usuario de la sesión ha marcado la valoración como útil
+function columnaUtil(usuario) {
+  return {
+    sql: "EXISTS (SELECT 1 FROM Votos_Valoracion vu WHERE vu.id_valoracion = v.id_valoracion AND vu.id_usuario = ?) AS util",
+    params: [usuario ? usuario.id_usuario : null],
+  };
+}
+const conUtil = (valoracion) => ({ ...valoracion, util: !!valoracion.util });
+
 // ⭐ OBTENER LAS VALORACIONES DE UNA RECETA
+const listadoValoraciones = paginacion({
+  ordenes: {
+    recientes: { columna: "v.fecha_valoracion", direccion: "desc" },
+    puntuacion: { columna: "v.puntuacion", direccion: "desc" },
+    utiles: { columna: "votos_utiles", direccion: "desc", despues: "v.fecha_valoracion DESC" },
+  },
+  porDefecto: "recientes",
+  desempate: "v.id_valoracion",
+  filtros: {
+    puntuacion_min: { tipo: "entero", min: 1, max: 5 },
+    puntuacion_max: { tipo: "entero", min: 1, max: 5 },
+  },
+});
+
 /**
  * @swagger
  * /valoraciones/receta/{id_receta}:
  *   get:
- *     summary: Obtiene todas las valoraciones de una receta específica.
+ *     summary: Obtiene las valoraciones de una receta específica, paginadas.
  *     tags: [Valoraciones]
  *     parameters:
  *       - in: path
@@ -59,24 +150,63 @@ const router = express.Router();
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/pagina'
+ *       - $ref: '#/components/parameters/limite'
+ *       - in: query
+ *         name: orden
+ *         schema:
+ *           type: string
+ *           enum: [recientes, puntuacion, utiles]
+ *           default: recientes
+ *         description: utiles ordena por número de votos de "útil" (y después por las más recientes).
+ *       - $ref: '#/components/parameters/direccion'
+ *       - in: query
+ *         name: puntuacion_min
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: puntuacion_max
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Una lista de valoraciones para la receta.
+ *         description: Una página de valoraciones para la receta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 datos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Valoracion'
+ *                 paginacion:
+ *                   $ref: '#/components/schemas/Paginacion'
+ *       400:
+ *         description: Parámetros de paginación o filtros inválidos.
  */
-router.get("/receta/:id_receta", async (req, res) => {
+router.get("/receta/:id_receta", validar({ params: { id_receta: campos.id } }), listadoValoraciones, permisoReceta("ver", (req) => req.params.id_receta), async (req, res, next) => {
   const { id_receta } = req.params;
+  const { puntuacion_min, puntuacion_max } = req.consulta;
+  // Las ocultas por moderación solo las ven su autor y los moderadores
+  const visible = condicionValoracionVisible(req.user);
+  const filtros = crearFiltros({ sql: `v.id_receta = ? AND ${visible.sql}`, params: [id_receta, ...visible.params] });
+  filtros.agregar(puntuacion_min, "v.puntuacion >= ?");
+  filtros.agregar(puntuacion_max, "v.puntuacion <= ?");
+  const util = columnaUtil(req.user);
   try {
     const sql = `
-      SELECT v.*, u.nombre as nombre_usuario
+      SELECT ${COLUMNAS_VALORACION}, ${util.sql}
       FROM Valoraciones v
       JOIN Usuarios u ON v.id_usuario = u.id_usuario
-      WHERE v.id_receta = ?
-      ORDER BY v.fecha_valoracion DESC;
+      ${filtros.sql}
+      ${req.paginacion.sql};
     `;
-    const [results] = await db.query(sql, [id_receta]);
-    res.json(results);
+    const [results] = await db.query(sql, [...util.params, ...filtros.params, ...req.paginacion.params]);
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM Valoraciones v ${filtros.sql}`, filtros.params);
+    res.json(respuestaPaginada(req, results.map(conUtil), total));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -96,24 +226,37 @@ router.get("/receta/:id_receta", async (req, res) => {
  *     responses:
  *       200:
  *         description: La información de la valoración.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Valoracion'
+ *       404:
+ *         description: Valoración no encontrada (u oculta por moderación).
  */
-router.get("/:id_valoracion", async (req, res) => {
+router.get("/:id_valoracion", validarIdValoracion, cargarValoracion, permisoReceta("ver", recetaDeValoracion), async (req, res, next) => {
   const { id_valoracion } = req.params;
+  const util = columnaUtil(req.user);
   try {
-    const [results] = await db.query("SELECT * FROM Valoraciones WHERE id_valoracion = ?", [id_valoracion]);
-    if (results.length === 0) return res.status(404).json({ mensaje: "Valoración no encontrada" });
-    res.json(results[0]);
+    const sql = `
+      SELECT ${COLUMNAS_VALORACION}, ${util.sql}
+      FROM Valoraciones v
+      JOIN Usuarios u ON v.id_usuario = u.id_usuario
+      WHERE v.id_valoracion = ?;
+    `;
+    const [[valoracion]] = await db.query(sql, [...util.params, id_valoracion]);
+    if (!valoracion) return next(new ErrorHttp(404, "Valoración no encontrada", "VALORACION_NO_ENCONTRADA"));
+    res.json(conUtil(valoracion));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// ⭐ CREAR UNA NUEVA VALORACIÓN
+// ⭐ CREAR O ACTUALIZAR LA VALORACIÓN PROPIA
 /**
  * @swagger
  * /valoraciones:
  *   post:
- *     summary: Crea una nueva valoración para una receta.
+ *     summary: Valora una receta, o actualiza la valoración si el usuario ya la había valorado.
  *     tags: [Valoraciones]
  *     requestBody:
  *       required: true
@@ -124,21 +267,65 @@ router.get("/:id_valoracion", async (req, res) => {
  *     responses:
  *       201:
  *         description: Valoración creada exitosamente.
+ *       200:
+ *         description: El usuario ya había valorado la receta y su valoración se ha actualizado.
+ *       403:
+ *         description: El usuario es autor o colaborador de la receta, o no tiene acceso a ella.
+ *       404:
+ *         description: Receta no encontrada.
  */
-router.post("/", async (req, res) => {
-  const { id_receta, id_usuario, puntuacion, comentario } = req.body;
-  if (!id_receta || !id_usuario || !puntuacion) {
-    return res.status(400).json({ error: "id_receta, id_usuario y puntuacion son requeridos" });
+router.post("/", validar({ body: { id_receta: campos.id, ...camposValoracion } }), permisoReceta("ver", (req) => req.body.id_receta), async (req, res, next) => {
+  const { id_receta, puntuacion, comentario } = req.body;
+  const id_usuario = req.user.id_usuario;
+  // Ni el autor principal ni sus colaboradores; los invitados (solo lectura) sí pueden valorar
+  if (req.permisos.esAutor || req.permisos.rol === "colaborador") {
+    return next(new ErrorHttp(403, "No puedes valorar recetas de las que eres autor o colaborador", "AUTOVALORACION"));
   }
+
   try {
-    const sql = "INSERT INTO Valoraciones (id_receta, id_usuario, puntuacion, comentario) VALUES (?, ?, ?, ?)";
-    const [result] = await db.query(sql, [id_receta, id_usuario, puntuacion, comentario]);
-    res.status(201).json({ id: result.insertId, ...req.body });
+    const { id_valoracion, actualizada } = await transaccion(async (conn) => {
+      // Bloquea la receta para que dos peticiones a la vez no creen dos valoraciones
+      await conn.query("SELECT id_receta FROM Recetas WHERE id_receta = ? FOR UPDATE", [id_receta]);
+      const [[previa]] = await conn.query(
+        "SELECT id_valoracion FROM Valoraciones WHERE id_receta = ? AND id_usuario = ?",
+        [id_receta, id_usuario]
+      );
+      let id;
+      if (previa) {
+        id = previa.id_valoracion;
+        const sql = "UPDATE Valoraciones SET puntuacion = ?, comentario = ?, fecha_valoracion = NOW() WHERE id_valoracion = ?";
+        await conn.query(sql, [puntuacion, comentario, id]);
+      } else {
+        const sql = "INSERT INTO Valoraciones (id_receta, id_usuario, puntuacion, comentario) VALUES (?, ?, ?, ?)";
+        const [result] = await conn.query(sql, [id_receta, id_usuario, puntuacion, comentario]);
+        id = result.insertId;
+      }
+      await recalcularValoraciones(conn, [id_receta]);
+      return { id_valoracion: id, actualizada: !!previa };
+    });
+    res.status(actualizada ? 200 : 201).json({ id: id_valoracion, ...req.body, id_usuario, actualizada });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
+// Cambia o elimina la valoración `id_valoracion` si es del usuario, con `cambio(conn)`, y
+// recalcula el resumen de su receta. Devuelve false si no existe o es de otro usuario.
+async function modificarValoracion(id_valoracion, id_usuario, cambio) {
+  return transaccion(async (conn) => {
+    const [[valoracion]] = await conn.query(
+      "SELECT id_receta FROM Valoraciones WHERE id_valoracion = ? AND id_usuario = ?",
+      [id_valoracion, id_usuario]
+    );
+    if (!valoracion) return false;
+    // Se bloquea la receta, como al crear valoraciones, para que los cambios se apliquen en orden
+    await conn.query("SELECT id_receta FROM Recetas WHERE id_receta = ? FOR UPDATE", [valoracion.id_receta]);
+    await cambio(conn);
+    await recalcularValoraciones(conn, [valoracion.id_receta]);
+    return true;
+  });
+}
+
 // ⭐ ACTUALIZAR UNA VALORACIÓN
 /**
  * @swagger
@@ -162,18 +349,19 @@ router.post("/", async (req, res) => {
  *       200:
  *         description: Valoración actualizada correctamente.
  */
-router.put("/:id_valoracion", async (req, res) => {
+router.put("/:id_valoracion", validar({ params: { id_valoracion: campos.id }, body: camposValoracion }), async (req, res, next) => {
   const { id_valoracion } = req.params;
   const { puntuacion, comentario } = req.body;
-  if (!puntuacion) {
-    return res.status(400).json({ error: "La puntuacion es requerida" });
-  }
   try {
-    const sql = "UPDATE Valoraciones SET puntuacion=?, comentario=? WHERE id_valoracion=?";
-    await db.query(sql, [puntuacion, comentario, id_valoracion]);
+    // Solo el autor de la valoración puede modificarla
+    const encontrada = await modificarValoracion(id_valoracion, req.user.id_usuario, async (conn) => {
+      const sql = "UPDATE Valoraciones SET puntuacion=?, comentario=? WHERE id_valoracion=?";
+      await conn.query(sql, [puntuacion, comentario, id_valoracion]);
+    });
+    if (!encontrada) return next(new ErrorHttp(404, "Valoración no encontrada", "VALORACION_NO_ENCONTRADA"));
     res.json({ mensaje: "Valoración actualizada correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
@@ -194,14 +382,247 @@ router.put("/:id_valoracion", async (req, res) => {
  *       200:
  *         description: Valoración eliminada correctamente.
  */
-router.delete("/:id_valoracion", async (req, res) => {
+router.delete("/:id_valoracion", validarIdValoracion, async (req, res, next) => {
   const { id_valoracion } = req.params;
   try {
-    await db.query("DELETE FROM Valoraciones WHERE id_valoracion=?", [id_valoracion]);
+    const encontrada = await modificarValoracion(id_valoracion, req.user.id_usuario, async (conn) => {
+      await conn.query("DELETE FROM Valoraciones WHERE id_valoracion=?", [id_valoracion]);
+    });
+    if (!encontrada) return next(new ErrorHttp(404, "Valoración no encontrada", "VALORACION_NO_ENCONTRADA"));
     res.json({ mensaje: "Valoración eliminada correctamente" });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+// 👍 MARCAR UNA VALORACIÓN COMO ÚTIL
+/**
+ * @swagger
+ * /valoraciones/{id_valoracion}/util:
+ *   put:
+ *     summary: Marca la valoración como útil para el usuario de la sesión (si ya lo estaba no cambia nada).
+ *     tags: [Valoraciones]
+ *     parameters:
+ *       - in: path
+ *         name: id_valoracion
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Votos de la valoración tras el cambio.
+ *         content:
+ *           application/json:
+ *             example: { id_valoracion: 1, util: true, votos_utiles: 4 }
+ *       403:
+ *         description: La valoración es del propio usuario, o no tiene acceso a la receta.
+ *       404:
+ *         description: Valoración no encontrada.
+ *   delete:
+ *     summary: Quita el voto de "útil" del usuario de la sesión.
+ *     tags: [Valoraciones]
+ *     parameters:
+ *       - in: path
+ *         name: id_valoracion
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Votos de la valoración tras el cambio.
+ *       404:
+ *         description: Valoración no encontrada.
+ */
+async function responderVotos(res, id_valoracion, util) {
+  const [[{ votos_utiles }]] = await db.query(
+    "SELECT COUNT(*) AS votos_utiles FROM Votos_Valoracion WHERE id_valoracion = ?",
+    [id_valoracion]
+  );
+  res.json({ id_valoracion, util, votos_utiles });
+}
+
+router.put("/:id_valoracion/util", validarIdValoracion, cargarValoracion, permisoReceta("ver", recetaDeValoracion), async (req, res, next) => {
+  const { id_valoracion } = req.params;
+  if (req.valoracion.propia) {
+    return next(new ErrorHttp(403, "No puedes votar tus propias valoraciones", "VALORACION_PROPIA"));
+  }
+  try {
+    await db.query("INSERT IGNORE INTO Votos_Valoracion (id_valoracion, id_usuario) VALUES (?, ?)", [
+      id_valoracion,
+      req.user.id_usuario,
+    ]);
+    await responderVotos(res, id_valoracion, true);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id_valoracion/util", validarIdValoracion, cargarValoracion, async (req, res, next) => {
+  const { id_valoracion } = req.params;
+  try {
+    await db.query("DELETE FROM Votos_Valoracion WHERE id_valoracion = ? AND id_usuario = ?", [id_valoracion, req.user.id_usuario]);
+    await responderVotos(res, id_valoracion, false);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🚩 DENUNCIAR UNA VALORACIÓN
+/**
+ * @swagger
+ * /valoraciones/{id_valoracion}/denuncias:
+ *   post:
+ *     summary: Denuncia una valoración para que la revise un moderador.
+ *     description: Cada usuario puede denunciar una vez cada valoración, salvo las suyas.
+ *     tags: [Valoraciones]
+ *     parameters:
+ *       - in: path
+ *         name: id_valoracion
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motivo]
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 enum: [spam, ofensivo, fuera_de_tema, informacion_falsa, otro]
+ *               detalle:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Explicación de la denuncia (obligatoria con el motivo otro).
+ *     responses:
+ *       201:
+ *         description: Denuncia registrada; queda pendiente de moderación.
+ *       400:
+ *         description: Motivo inválido, o motivo otro sin detalle.
+ *       403:
+ *         description: La valoración es del propio usuario, o no tiene acceso a la receta.
+ *       404:
+ *         description: Valoración no encontrada.
+ *       409:
+ *         description: El usuario ya había denunciado la valoración.
+ */
+const validarDenuncia = validar({
+  params: { id_valoracion: campos.id },
+  body: {
+    motivo: { tipo: "texto", requerido: true, valores: MOTIVOS_DENUNCIA },
+    detalle: { tipo: "texto", max: 500 },
+  },
+});
+
+router.post("/:id_valoracion/denuncias", validarDenuncia, cargarValoracion, permisoReceta("ver", recetaDeValoracion), async (req, res, next) => {
+  const { id_valoracion } = req.params;
+  const { motivo, detalle } = req.body;
+  const id_usuario = req.user.id_usuario;
+  if (req.valoracion.propia) {
+    return next(new ErrorHttp(403, "No puedes denunciar tus propias valoraciones", "VALORACION_PROPIA"));
+  }
+  if (motivo === "otro" && !detalle?.trim()) {
+    return next(
+      new ErrorHttp(400, "Datos de entrada inválidos", "VALIDACION", [
+        { campo: "body.detalle", mensaje: "es requerido cuando el motivo es otro" },
+      ])
+    );
+  }
+  try {
+    const [previas] = await db.query(
+      "SELECT id_denuncia FROM Denuncias_Valoracion WHERE id_valoracion = ? AND id_usuario = ?",
+      [id_valoracion, id_usuario]
+    );
+    if (previas.length > 0) return next(new ErrorHttp(409, "Ya has denunciado esta valoración", "DENUNCIA_REPETIDA"));
+
+    const sql = "INSERT INTO Denuncias_Valoracion (id_valoracion, id_usuario, motivo, detalle) VALUES (?, ?, ?, ?)";
+    const [result] = await db.query(sql, [id_valoracion, id_usuario, motivo, detalle ?? null]);
+    res.status(201).json({ id: result.insertId, id_valoracion, motivo, detalle: detalle ?? null, estado: "pendiente" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 💬 RESPONDER A UNA VALORACIÓN (autor de la receta)
+/**
+ * @swagger
+ * /valoraciones/{id_valoracion}/respuesta:
+ *   put:
+ *     summary: Publica o edita la respuesta del autor de la receta a la valoración.
+ *     description: Cada valoración admite una sola respuesta, del autor principal de la receta.
+ *     tags: [Valoraciones]
+ *     parameters:
+ *       - in: path
+ *         name: id_valoracion
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [respuesta]
+ *             properties:
+ *               respuesta:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Respuesta guardada.
+ *       403:
+ *         description: El usuario no es el autor principal de la receta.
+ *       404:
+ *         description: Valoración no encontrada.
+ *   delete:
+ *     summary: Elimina la respuesta del autor de la receta.
+ *     tags: [Valoraciones]
+ *     parameters:
+ *       - in: path
+ *         name: id_valoracion
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Respuesta eliminada.
+ *       403:
+ *         description: El usuario no es el autor principal de la receta.
+ *       404:
+ *         description: Valoración no encontrada o sin respuesta.
+ */
+const validarRespuesta = validar({
+  params: { id_valoracion: campos.id },
+  body: { respuesta: { tipo: "texto", requerido: true, max: 2000 } },
+});
+
+router.put("/:id_valoracion/respuesta", validarRespuesta, cargarValoracion, permisoReceta("autor", recetaDeValoracion), async (req, res, next) => {
+  const { id_valoracion } = req.params;
+  const { respuesta } = req.body;
+  try {
+    await db.query("UPDATE Valoraciones SET respuesta = ?, fecha_respuesta = NOW() WHERE id_valoracion = ?", [respuesta, id_valoracion]);
+    const [[guardada]] = await db.query("SELECT respuesta, fecha_respuesta FROM Valoraciones WHERE id_valoracion = ?", [id_valoracion]);
+    res.json({ mensaje: "Respuesta guardada correctamente", id_valoracion, ...guardada });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/:id_valoracion/respuesta", validarIdValoracion, cargarValoracion, permisoReceta("autor", recetaDeValoracion), async (req, res, next) => {
+  const { id_valoracion } = req.params;
+  try {
+    const [result] = await db.query(
+      "UPDATE Valoraciones SET respuesta = NULL, fecha_respuesta = NULL WHERE id_valoracion = ? AND respuesta IS NOT NULL",
+      [id_valoracion]
+    );
+    if (result.affectedRows === 0) return next(new ErrorHttp(404, "La valoración no tiene respuesta", "RESPUESTA_NO_ENCONTRADA"));
+    res.json({ mensaje: "Respuesta eliminada correctamente" });
+  } catch (err) {
+    next(err);
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -15,17 +15,32 @@ import sesionesRoutes from "./routes/sesiones.js";
 import categoriasRoutes from "./routes/categorias.js";
 import recetasRoutes from "./routes/recetas.js";
 import ingredientesRoutes from "./routes/ingredientes.js";
+import preciosIngredienteRoutes from "./routes/preciosIngrediente.js";
 import pasosRoutes from "./routes/pasos.js";
 import valoracionesRoutes from "./routes/valoraciones.js";
+import moderacionValoracionesRoutes from "./routes/moderacionValoraciones.js";
 import suscripcionesRoutes from "./routes/suscripciones.js";
+import autoresRoutes from "./routes/autores.js";
+import pagosRoutes from "./routes/pagos.js";
+import recetaIngredientesRoutes from "./routes/recetaIngredientes.js";
+import recetaImagenesRoutes from "./routes/recetaImagenes.js";
+import revisionesRoutes from "./routes/revisiones.js";
+import listasCompraRoutes from "./routes/listasCompra.js";
+import planComidasRoutes from "./routes/planComidas.js";
+import { autenticar } from "./middleware/auth.js";
+import { iniciarBarridoPeriodico } from "./services/suscripciones.js";
+import { obtenerAlmacen } from "./services/almacenamiento/index.js";
+import { rutaNoEncontrada, manejarErrores } from "./middleware/errores.js";
 
 // ==============================
 // ⚙️ Configuración base
 // ==============================
 dotenv.config();
 const app = express();
-app.use(cors());
-app.use(express.json());
+// ETag se expone para que los clientes web puedan leer la versión y enviarla en If-Match
+app.use(cors({ exposedHeaders: ["ETag"] }));
+// Guardamos el cuerpo original para poder verificar la firma de los webhooks de pago
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // ==============================
 // 📘 CONFIGURACIÓN DE SWAGGER
@@ -37,7 +52,7 @@ const swaggerOptions = {
       title: "CookShare API",
       version: "1.0.0",
       description:
-        "API para gestionar recetas, usuarios, categorías, ingredientes, pasos, valoraciones y suscripciones.",
+        "API para gestionar recetas, colaboradores, usuarios, categorías, ingredientes, pasos, imágenes, valoraciones y su moderación, suscripciones, listas de la compra y plan semanal de comidas.",
     },
     servers: [
       {
@@ -45,6 +60,66 @@ const swaggerOptions = {
         description: "Servidor de desarrollo local",
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "Token obtenido en POST /sesiones/login",
+        },
+      },
+      // Convención común de los listados paginados (ver src/middleware/paginacion.js)
+      parameters: {
+        pagina: {
+          in: "query",
+          name: "pagina",
+          schema: { type: "integer", minimum: 1, default: 1 },
+        },
+        limite: {
+          in: "query",
+          name: "limite",
+          schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+        },
+        direccion: {
+          in: "query",
+          name: "direccion",
+          schema: { type: "string", enum: ["asc", "desc"] },
+          description: "Sentido del orden; si no se indica se usa el propio de cada orden.",
+        },
+        // Control de concurrencia de las modificaciones (ver src/middleware/concurrencia.js)
+        ifMatch: {
+          in: "header",
+          name: "If-Match",
+          schema: { type: "string", example: '"3"' },
+          description:
+            "ETag obtenida al leer el recurso. Si el recurso ha cambiado desde entonces se responde 412 y no se modifica nada; sin la cabecera no se comprueba.",
+        },
+      },
+      schemas: {
+        Paginacion: {
+          type: "object",
+          properties: {
+            pagina: { type: "integer" },
+            limite: { type: "integer" },
+            total: { type: "integer" },
+            total_paginas: { type: "integer" },
+          },
+          example: { pagina: 1, limite: 20, total: 45, total_paginas: 3 },
+        },
+        // Forma de todas las respuestas de error (ver src/middleware/errores.js)
+        Error: {
+          type: "object",
+          properties: {
+            error: { type: "string", description: "Mensaje legible" },
+            codigo: { type: "string", description: "Código estable para que el cliente distinga el error" },
+            detalles: { type: "array", items: { type: "object" } },
+          },
+          example: { error: "Receta no encontrada", codigo: "RECETA_NO_ENCONTRADA" },
+        },
+      },
+    },
+    // Las rutas de escritura requieren sesión; las de lectura la aceptan opcionalmente
+    security: [{ bearerAuth: [] }],
   },
   // 👇 Aquí Swagger buscará TODAS las rutas dentro de src/routes
   apis: ["./src/routes/*.js"],
@@ -55,23 +130,58 @@ const swaggerDocs = swaggerJsdoc(swaggerOptions);
 // 🟢 Endpoint para la documentación
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
+// ==============================
+// 🖼️ IMÁGENES SUBIDAS
+// ==============================
+// Con el almacenamiento local la propia API sirve los archivos. Cada imagen tiene una clave
+// nueva, así que nunca cambian y se pueden cachear indefinidamente.
+const almacen = obtenerAlmacen();
+if (almacen.nombre === "local") {
+  app.use("/media", express.static(almacen.directorio, { immutable: true, maxAge: "365d" }));
+}
+
+// ==============================
+// 🔐 AUTENTICACIÓN
+// ==============================
+// Resuelve req.user desde el token bearer y rechaza escrituras sin sesión válida
+app.use("/api", autenticar);
+
 // ==============================
 // 🧩 RUTAS PRINCIPALES
 // ==============================
 app.use("/api/categorias", categoriasRoutes);
+app.use("/api/ingredientes/:id/precios", preciosIngredienteRoutes);
 app.use("/api/ingredientes", ingredientesRoutes);
+app.use("/api/listas-compra", listasCompraRoutes);
+app.use("/api/pagos", pagosRoutes);
 app.use("/api/pasos", pasosRoutes);
+app.use("/api/plan-comidas", planComidasRoutes);
+app.use("/api/recetas/:id/autores", autoresRoutes);
+app.use("/api/recetas/:id/imagenes", recetaImagenesRoutes);
+app.use("/api/recetas/:id/ingredientes", recetaIngredientesRoutes);
+app.use("/api/recetas/:id/revisiones", revisionesRoutes);
 app.use("/api/recetas", recetasRoutes);
 app.use("/api/sesiones", sesionesRoutes);
 app.use("/api/suscripciones", suscripcionesRoutes);
 app.use("/api/usuarios", usuariosRoutes);
+app.use("/api/valoraciones/moderacion", moderacionValoracionesRoutes);
 app.use("/api/valoraciones", valoracionesRoutes);
 
+// ==============================
+// ❗ MANEJO DE ERRORES
+// ==============================
+app.use("/api", rutaNoEncontrada);
+app.use(manejarErrores);
+
 // ==============================
 // 🚀 INICIO DEL SERVIDOR
 // ==============================
 const PORT = process.env.PORT || 3000;
+// Cada cuántos minutos se expiran las suscripciones vencidas (0 para desactivarlo)
+const BARRIDO_SUSCRIPCIONES_MINUTOS = Number(process.env.SUSCRIPCIONES_BARRIDO_MINUTOS ?? 60);
+
 app.listen(PORT, () => {
   console.log(`🚀 Servidor ejecutándose en: http://localhost:${PORT}`);
   console.log(`📚 Swagger disponible en: http://localhost:${PORT}/api-docs`);
+  if (BARRIDO_SUSCRIPCIONES_MINUTOS > 0) iniciarBarridoPeriodico(BARRIDO_SUSCRIPCIONES_MINUTOS);
 });
@@ -0,0 +1,25 @@
+import almacenLocal from "./local.js";
+import almacenS3 from "./s3.js";
+
+// ==============================
+// 🗄️ Almacenamiento de archivos subidos
+// ==============================
+// Un almacén es un objeto con:
+//   nombre
+//   guardar(clave, datos, tipoMime) -> guarda el Buffer en la clave (sobrescribe si existe)
+//   eliminar(clave) -> borra el archivo (sin error si ya no existe)
+//   url(clave) -> URL pública del archivo
+// Las claves son rutas relativas generadas por la API (recetas/1/<uuid>/mediana.webp).
+const ALMACENES = {
+  [almacenLocal.nombre]: almacenLocal,
+  [almacenS3.nombre]: almacenS3,
+};
+
+// Lanza un error de configuración si el almacén no existe (ALMACENAMIENTO mal escrito...)
+export function obtenerAlmacen(nombre = process.env.ALMACENAMIENTO || "local") {
+  const almacen = ALMACENES[nombre];
+  if (!almacen) {
+    throw new Error(`Almacenamiento desconocido: "${nombre}". ALMACENAMIENTO debe ser uno de: ${Object.keys(ALMACENES).join(", ")}`);
+  }
+  return almacen;
+}
@@ -0,0 +1,39 @@
+import fs from "fs/promises";
+import path from "path";
+
+// ==============================
+// 💾 Almacenamiento en el disco local (por defecto)
+// ==============================
+// Guarda los archivos bajo ALMACENAMIENTO_LOCAL_DIR; el servidor los publica en /media
+// (ver src/server.js) salvo que ALMACENAMIENTO_URL_PUBLICA apunte a otro sitio (un CDN...).
+
+const DIRECTORIO = path.resolve(process.env.ALMACENAMIENTO_LOCAL_DIR || "uploads");
+const URL_PUBLICA = (process.env.ALMACENAMIENTO_URL_PUBLICA || "/media").replace(/\/$/, "");
+
+// Las claves las genera la API, pero nunca deben salirse del directorio
+function rutaDe(clave) {
+  const ruta = path.resolve(DIRECTORIO, clave);
+  if (!ruta.startsWith(DIRECTORIO + path.sep)) throw new Error(`Clave de almacenamiento inválida: ${clave}`);
+  return ruta;
+}
+
+const almacenLocal = {
+  nombre: "local",
+  directorio: DIRECTORIO,
+
+  async guardar(clave, datos) {
+    const ruta = rutaDe(clave);
+    await fs.mkdir(path.dirname(ruta), { recursive: true });
+    await fs.writeFile(ruta, datos);
+  },
+
+  async eliminar(clave) {
+    await fs.rm(rutaDe(clave), { force: true });
+  },
+
+  url(clave) {
+    return `${URL_PUBLICA}/${clave}`;
+  },
+};
+
+export default almacenLocal;
@@ -0,0 +1,85 @@
+import crypto from "crypto";
+
+// ==============================
+// ☁️ Almacenamiento compatible con S3 (AWS, MinIO, R2...)
+// ==============================
+// Sube y borra objetos con peticiones firmadas (AWS Signature V4) en estilo de ruta:
+// <endpoint>/<bucket>/<clave>. El bucket debe permitir la lectura pública de los objetos
+// o estar detrás de un CDN indicado en ALMACENAMIENTO_URL_PUBLICA.
+
+const ENDPOINT = (process.env.S3_ENDPOINT || "https://s3.amazonaws.com").replace(/\/$/, "");
+const BUCKET = process.env.S3_BUCKET;
+const REGION = process.env.S3_REGION || "us-east-1";
+const ACCESS_KEY = process.env.S3_ACCESS_KEY;
+const SECRET_KEY = process.env.S3_SECRET_KEY;
+const URL_PUBLICA = (process.env.ALMACENAMIENTO_URL_PUBLICA || `${ENDPOINT}/${BUCKET}`).replace(/\/$/, "");
+
+const sha256 = (datos) => crypto.createHash("sha256").update(datos).digest("hex");
+const hmac = (clave, datos) => crypto.createHmac("sha256", clave).update(datos).digest();
+
+// Codificación de la ruta que exige la firma (RFC 3986, respetando las barras)
+const codificarRuta = (ruta) =>
+  ruta
+    .split("/")
+    .map((parte) => encodeURIComponent(parte).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join("/");
+
+// ✍️ Petición firmada al objeto `clave` del bucket
+async function peticion(metodo, clave, cuerpo = Buffer.alloc(0), cabecerasExtra = {}) {
+  if (!BUCKET || !ACCESS_KEY || !SECRET_KEY) {
+    throw new Error("Faltan S3_BUCKET, S3_ACCESS_KEY o S3_SECRET_KEY para usar el almacenamiento S3");
+  }
+  const url = new URL(`${ENDPOINT}/${codificarRuta(`${BUCKET}/${clave}`)}`);
+  const fechaHora = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, ""); // 20240101T120000Z
+  const fecha = fechaHora.slice(0, 8);
+  const hashCuerpo = sha256(cuerpo);
+
+  const firmadas = { host: url.host, "x-amz-content-sha256": hashCuerpo, "x-amz-date": fechaHora };
+  const nombres = Object.keys(firmadas).sort();
+  const peticionCanonica = [
+    metodo,
+    url.pathname,
+    "",
+    ...nombres.map((n) => `${n}:${firmadas[n]}`),
+    "",
+    nombres.join(";"),
+    hashCuerpo,
+  ].join("\n");
+  const ambito = `${fecha}/${REGION}/s3/aws4_request`;
+  const cadena = ["AWS4-HMAC-SHA256", fechaHora, ambito, sha256(peticionCanonica)].join("\n");
+  const claveFirma = ["s3", "aws4_request"].reduce((k, d) => hmac(k, d), hmac(hmac(`AWS4${SECRET_KEY}`, fecha), REGION));
+  const firma = crypto.createHmac("sha256", claveFirma).update(cadena).digest("hex");
+
+  const { host, ...cabeceras } = firmadas;
+  const respuesta = await fetch(url, {
+    method: metodo,
+    headers: {
+      ...cabeceras,
+      ...cabecerasExtra,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${ACCESS_KEY}/${ambito}, SignedHeaders=${nombres.join(";")}, Signature=${firma}`,
+    },
+    body: metodo === "PUT" ? cuerpo : undefined,
+  });
+  if (!respuesta.ok) {
+    throw new Error(`S3 ${metodo} ${clave}: ${respuesta.status} ${await respuesta.text()}`);
+  }
+}
+
+const almacenS3 = {
+  nombre: "s3",
+
+  async guardar(clave, datos, tipo) {
+    await peticion("PUT", clave, datos, { "Content-Type": tipo });
+  },
+
+  // Borrar un objeto que no existe no es un error en S3
+  async eliminar(clave) {
+    await peticion("DELETE", clave);
+  },
+
+  url(clave) {
+    return `${URL_PUBLICA}/${clave}`;
+  },
+};
+
+export default almacenS3;
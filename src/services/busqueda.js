@@ -0,0 +1,79 @@
+// ==============================
+// 🔎 Utilidades de la búsqueda de texto
+// ==============================
+// La búsqueda se apoya en los índices FULLTEXT de MySQL. La colación de la base
+// (utf8mb4_unicode_ci) ya ignora mayúsculas y acentos al comparar; aquí se prepara
+// la consulta y se generan los fragmentos resaltados con la misma normalización.
+
+// Longitud mínima de palabra que indexa InnoDB (innodb_ft_min_token_size)
+const LONGITUD_MINIMA_TERMINO = 3;
+const MAXIMO_TERMINOS = 10;
+
+// Caracteres de contexto que se muestran antes de la primera coincidencia
+const CONTEXTO_FRAGMENTO = 40;
+const LONGITUD_FRAGMENTO = 160;
+
+// "Piña" → "pina"
+export function normalizarTexto(texto) {
+  return texto.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+// 🔤 Separa el texto buscado en términos normalizados, sin repetidos ni operadores
+export function extraerTerminos(texto) {
+  const terminos = normalizarTexto(texto)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length >= LONGITUD_MINIMA_TERMINO);
+  return [...new Set(terminos)].slice(0, MAXIMO_TERMINOS);
+}
+
+// Consulta para MATCH ... AGAINST (? IN BOOLEAN MODE): cada término es opcional
+// y admite prefijos, de modo que las recetas con más coincidencias puntúan más
+export function consultaBooleana(terminos) {
+  return terminos.map((t) => `${t}*`).join(" ");
+}
+
+const escaparHtml = (texto) => texto.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Normaliza el texto carácter a carácter, guardando de qué posición original sale cada uno
+function normalizarConPosiciones(texto) {
+  let normalizado = "";
+  const posiciones = [];
+  for (let i = 0; i < texto.length; i++) {
+    const caracter = normalizarTexto(texto[i]);
+    normalizado += caracter;
+    for (let j = 0; j < caracter.length; j++) posiciones.push(i);
+  }
+  return { normalizado, posiciones };
+}
+
+// ✨ Devuelve un fragmento del texto con las palabras que empiezan por algún término
+// envueltas en <mark>…</mark> (el resto se escapa como HTML), o null si no hay coincidencias
+export function resaltar(texto, terminos) {
+  if (!texto || terminos.length === 0) return null;
+
+  const { normalizado, posiciones } = normalizarConPosiciones(texto);
+  const patron = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terminos.join("|")})[\\p{L}\\p{N}]*`, "gu");
+  const coincidencias = [...normalizado.matchAll(patron)].map((m) => ({
+    inicio: posiciones[m.index],
+    fin: m.index + m[0].length < posiciones.length ? posiciones[m.index + m[0].length] : texto.length,
+  }));
+  if (coincidencias.length === 0) return null;
+
+  // Ventana alrededor de la primera coincidencia, empezando en un límite de palabra
+  let desde = Math.max(0, coincidencias[0].inicio - CONTEXTO_FRAGMENTO);
+  if (desde > 0) {
+    const espacio = texto.indexOf(" ", desde);
+    desde = espacio !== -1 && espacio < coincidencias[0].inicio ? espacio + 1 : desde;
+  }
+  const hasta = Math.min(texto.length, Math.max(desde + LONGITUD_FRAGMENTO, coincidencias[0].fin));
+
+  let fragmento = desde > 0 ? "…" : "";
+  let cursor = desde;
+  for (const { inicio, fin } of coincidencias) {
+    if (inicio < cursor || fin > hasta) continue;
+    fragmento += `${escaparHtml(texto.slice(cursor, inicio))}<mark>${escaparHtml(texto.slice(inicio, fin))}</mark>`;
+    cursor = fin;
+  }
+  fragmento += escaparHtml(texto.slice(cursor, hasta));
+  return hasta < texto.length ? `${fragmento}…` : fragmento;
+}
@@ -0,0 +1,94 @@
+import db from "../db.js";
+
+// ==============================
+// 💰 Precios de ingredientes y costo de las recetas
+// ==============================
+// Cada precio vale para `cantidad` de la unidad_medida del ingrediente (2.50 por 1000 g...),
+// opcionalmente en una región y tienda, y está vigente entre vigente_desde y vigente_hasta
+// (sin incluir ese día; NULL si sigue vigente). Precios sin región = precios de referencia.
+//
+// Recetas.costo_calculado guarda el costo con los precios de referencia (NULL si falta el precio de
+// algún ingrediente) y Recetas.costo es el costo efectivo: el que indica el autor o, si no, el calculado.
+
+export const CONDICION_PRECIO_VIGENTE =
+  "p.vigente_desde <= CURDATE() AND (p.vigente_hasta IS NULL OR p.vigente_hasta > CURDATE())";
+
+// Precio vigente por unidad de cada ingrediente en una región (null: precios de referencia),
+// como media de las tiendas que lo tienen
+function subconsultaPrecios(region) {
+  const sql = `
+    SELECT p.id_ingrediente, AVG(p.precio / p.cantidad) AS precio_unidad
+    FROM Precios_Ingrediente p
+    WHERE ${CONDICION_PRECIO_VIGENTE} AND p.region <=> ?
+    GROUP BY p.id_ingrediente
+  `;
+  return { sql, params: [region] };
+}
+
+// 🔁 Recalcula Recetas.costo_calculado con los precios de referencia vigentes.
+// Sin opciones recalcula todas; con `recetas` o `ingredientes` solo las indicadas o las que
+// usan esos ingredientes. Acepta una conexión para hacerlo dentro de una transacción.
+export async function recalcularCostos(conn = db, { recetas, ingredientes } = {}) {
+  const precios = subconsultaPrecios(null);
+  let condicion = "";
+  const params = [...precios.params];
+  if (recetas) {
+    if (recetas.length === 0) return 0;
+    condicion = "WHERE r.id_receta IN (?)";
+    params.push(recetas);
+  } else if (ingredientes) {
+    if (ingredientes.length === 0) return 0;
+    condicion = "WHERE EXISTS (SELECT 1 FROM Receta_Ingrediente rx WHERE rx.id_receta = r.id_receta AND rx.id_ingrediente IN (?))";
+    params.push(ingredientes);
+  }
+
+  const sql = `
+    UPDATE Recetas r
+    LEFT JOIN (
+      SELECT ri.id_receta, SUM(ri.cantidad * pr.precio_unidad) AS costo, COUNT(*) = COUNT(pr.precio_unidad) AS completo
+      FROM Receta_Ingrediente ri
+      LEFT JOIN (${precios.sql}) pr ON pr.id_ingrediente = ri.id_ingrediente
+      GROUP BY ri.id_receta
+    ) calc ON calc.id_receta = r.id_receta
+    SET r.costo_calculado = CASE WHEN calc.completo THEN ROUND(calc.costo, 2) END
+    ${condicion};
+  `;
+  const [result] = await conn.query(sql, params);
+  return result.affectedRows;
+}
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+// 🧾 Desglose del costo de una receta con los precios vigentes de una región. Los ingredientes
+// sin precio en la región usan el de referencia; los que no tienen ninguno quedan sin_precio.
+export async function desgloseCosto(id_receta, region = null) {
+  const regional = subconsultaPrecios(region);
+  const referencia = subconsultaPrecios(null);
+  const sql = `
+    SELECT ri.id_ingrediente, i.nombre, ri.cantidad, i.unidad_medida,
+      COALESCE(reg.precio_unidad, ref.precio_unidad) AS precio_unidad, reg.precio_unidad IS NOT NULL AS precio_regional
+    FROM Receta_Ingrediente ri
+    JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+    LEFT JOIN (${regional.sql}) reg ON reg.id_ingrediente = ri.id_ingrediente
+    LEFT JOIN (${referencia.sql}) ref ON ref.id_ingrediente = ri.id_ingrediente
+    WHERE ri.id_receta = ?
+    ORDER BY i.nombre;
+  `;
+  const [lineas] = await db.query(sql, [...regional.params, ...referencia.params, id_receta]);
+
+  const ingredientes = lineas.map((l) => ({
+    id_ingrediente: l.id_ingrediente,
+    nombre: l.nombre,
+    cantidad: Number(l.cantidad),
+    unidad_medida: l.unidad_medida,
+    costo: l.precio_unidad === null ? null : redondear(Number(l.cantidad) * Number(l.precio_unidad)),
+    precio_regional: region !== null && !!l.precio_regional,
+  }));
+  const conPrecio = ingredientes.filter((i) => i.costo !== null);
+  return {
+    region,
+    total: redondear(conPrecio.reduce((total, i) => total + i.costo, 0)),
+    completo: conPrecio.length === ingredientes.length,
+    ingredientes,
+  };
+}
@@ -0,0 +1,108 @@
+import db from "../db.js";
+
+// ==============================
+// 🌱 Alérgenos y dietas
+// ==============================
+// Cada ingrediente indica sus alérgenos y las dietas para las que no es apto. Las etiquetas de
+// una receta se deducen de sus ingredientes; mientras alguno esté sin revisar
+// (etiquetas_revisadas = FALSE) la receta no se garantiza apta para ninguna dieta ni alergia.
+
+// Mismos valores que los SET de Ingredientes.alergenos y Usuarios.alergias
+export const ALERGENOS = [
+  "gluten",
+  "lactosa",
+  "huevo",
+  "frutos_secos",
+  "cacahuete",
+  "soja",
+  "pescado",
+  "marisco",
+  "sesamo",
+  "mostaza",
+  "apio",
+  "sulfitos",
+];
+
+// Mismos valores que el SET de Ingredientes.no_apto_para
+export const INCOMPATIBILIDADES = ["vegetariana", "vegana"];
+
+// Qué excluye cada dieta: ingredientes no aptos o con un alérgeno
+export const DIETAS = {
+  vegetariana: { no_apto: "vegetariana" },
+  vegana: { no_apto: "vegana" },
+  sin_gluten: { alergeno: "gluten" },
+  sin_lactosa: { alergeno: "lactosa" },
+};
+
+// Convierte un valor SET de MySQL ("gluten,huevo") en lista
+export const listaSet = (valor) => (valor ? valor.split(",") : []);
+
+// Reúne las dietas y alergias en lo que no puede tener ningún ingrediente
+export function restricciones({ dietas = [], alergias = [] }) {
+  const alergenos = new Set(alergias);
+  const noApto = new Set();
+  for (const dieta of dietas) {
+    const { alergeno, no_apto } = DIETAS[dieta];
+    if (alergeno) alergenos.add(alergeno);
+    if (no_apto) noApto.add(no_apto);
+  }
+  return { alergenos: [...alergenos], noApto: [...noApto] };
+}
+
+// Condición SQL (sobre el alias r) para quedarse con las recetas compatibles con las restricciones:
+// ningún ingrediente sin revisar, con alguno de los alérgenos o no apto para alguna de las dietas.
+// Devuelve null si no hay nada que excluir.
+export function condicionCompatible({ alergenos, noApto }) {
+  if (alergenos.length === 0 && noApto.length === 0) return null;
+  const excluidos = [
+    ...alergenos.map(() => "FIND_IN_SET(?, ix.alergenos)"),
+    ...noApto.map(() => "FIND_IN_SET(?, ix.no_apto_para)"),
+  ];
+  const sql = `NOT EXISTS (
+    SELECT 1 FROM Receta_Ingrediente rx
+    JOIN Ingredientes ix ON rx.id_ingrediente = ix.id_ingrediente
+    WHERE rx.id_receta = r.id_receta AND (NOT ix.etiquetas_revisadas OR ${excluidos.join(" OR ")})
+  )`;
+  return { sql, params: [...alergenos, ...noApto] };
+}
+
+// 🌱 Alérgenos y dietas de una receta, deducidos de sus ingredientes
+export async function etiquetasReceta(id_receta) {
+  const sql = `
+    SELECT i.id_ingrediente, i.nombre, i.alergenos, i.no_apto_para, i.etiquetas_revisadas
+    FROM Receta_Ingrediente ri
+    JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+    WHERE ri.id_receta = ?
+    ORDER BY i.nombre;
+  `;
+  const [ingredientes] = await db.query(sql, [id_receta]);
+
+  const alergenos = new Set();
+  const noApto = new Set();
+  const sinRevisar = [];
+  for (const ingrediente of ingredientes) {
+    if (!ingrediente.etiquetas_revisadas) sinRevisar.push({ id_ingrediente: ingrediente.id_ingrediente, nombre: ingrediente.nombre });
+    listaSet(ingrediente.alergenos).forEach((a) => alergenos.add(a));
+    listaSet(ingrediente.no_apto_para).forEach((d) => noApto.add(d));
+  }
+
+  const revisada = sinRevisar.length === 0;
+  const dietas = revisada
+    ? Object.entries(DIETAS)
+        .filter(([, { alergeno, no_apto }]) => !alergenos.has(alergeno) && !noApto.has(no_apto))
+        .map(([dieta]) => dieta)
+    : [];
+  return {
+    alergenos: ALERGENOS.filter((a) => alergenos.has(a)),
+    dietas,
+    revisada,
+    ingredientes_sin_revisar: sinRevisar,
+  };
+}
+
+// 👤 Dietas y alergias guardadas en el perfil del usuario
+export async function restriccionesUsuario(id_usuario) {
+  const [[usuario]] = await db.query("SELECT dietas, alergias FROM Usuarios WHERE id_usuario = ?", [id_usuario]);
+  if (!usuario) return null;
+  return { dietas: listaSet(usuario.dietas), alergias: listaSet(usuario.alergias) };
+}
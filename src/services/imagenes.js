@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import db, { transaccion } from "../db.js";
+import { ErrorHttp } from "../middleware/errores.js";
+import { obtenerAlmacen } from "./almacenamiento/index.js";
+
+// ==============================
+// 🖼️ Imágenes de recetas, pasos y usuarios
+// ==============================
+// Cada imagen se guarda en el almacén como varios archivos bajo una misma clave:
+//   <clave>/original.<formato>   la imagen subida, orientada y sin metadatos (ubicación GPS...)
+//   <clave>/<miniatura>.webp     una por cada tamaño de MINIATURAS
+// La tabla Imagenes guarda la clave, el formato y el almacén en que está, y las recetas,
+// pasos y usuarios la referencian por id_imagen.
+
+export const FORMATOS = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp" };
+export const TAMANO_MAXIMO_MB = Number(process.env.IMAGENES_TAMANO_MAX_MB) || 5;
+// Límite de resolución para no descomprimir imágenes enormes en memoria
+const PIXELES_MAXIMOS = 40_000_000;
+// Ancho y alto máximos de cada miniatura (las imágenes pequeñas no se amplían)
+export const MINIATURAS = { pequena: 160, mediana: 480, grande: 1200 };
+
+const COLUMNAS_IMAGEN = ["id_imagen", "almacen", "clave", "formato", "ancho", "alto"];
+
+// Claves de todos los archivos de una imagen
+function archivosImagen({ clave, formato }) {
+  return [`${clave}/original.${formato}`, ...Object.keys(MINIATURAS).map((m) => `${clave}/${m}.webp`)];
+}
+
+// 🔗 Imagen tal como se incluye en las respuestas de la API
+export function representarImagen({ id_imagen, almacen, clave, formato, ancho, alto }) {
+  const { url } = obtenerAlmacen(almacen);
+  return {
+    id_imagen,
+    ancho,
+    alto,
+    url: url(`${clave}/original.${formato}`),
+    miniaturas: Object.fromEntries(Object.keys(MINIATURAS).map((m) => [m, url(`${clave}/${m}.webp`)])),
+  };
+}
+
+// Columnas de la imagen con alias `alias`, con el prefijo `nombre`, para incluirla en otra consulta
+export const columnasImagen = (alias, nombre) => COLUMNAS_IMAGEN.map((c) => `${alias}.${c} AS ${nombre}_${c}`).join(", ");
+
+// Sustituye en la fila las columnas de columnasImagen por la imagen representada (o null)
+export function extraerImagen(fila, nombre) {
+  const imagen = {};
+  for (const c of COLUMNAS_IMAGEN) {
+    imagen[c] = fila[`${nombre}_${c}`];
+    delete fila[`${nombre}_${c}`];
+  }
+  fila[nombre] = imagen.id_imagen === null ? null : representarImagen(imagen);
+  return fila;
+}
+
+// 🔍 Comprueba que el archivo es una imagen admitida y genera el original limpio y las miniaturas.
+// Lanza ErrorHttp 415/422 si no lo es. No guarda nada.
+export async function procesarImagen(archivo) {
+  let metadatos;
+  try {
+    metadatos = await sharp(archivo.buffer).metadata();
+  } catch {
+    throw new ErrorHttp(415, `${archivo.originalname} no es una imagen válida`, "IMAGEN_INVALIDA");
+  }
+  if (!FORMATOS[metadatos.format]) {
+    throw new ErrorHttp(
+      415,
+      `Formato de imagen no admitido (${metadatos.format}); se admiten: ${Object.keys(FORMATOS).join(", ")}`,
+      "FORMATO_NO_ADMITIDO"
+    );
+  }
+  if (metadatos.width * metadatos.height > PIXELES_MAXIMOS) {
+    throw new ErrorHttp(422, `La imagen supera los ${PIXELES_MAXIMOS / 1_000_000} megapíxeles`, "IMAGEN_DEMASIADO_GRANDE");
+  }
+
+  const formato = metadatos.format;
+  // rotate() sin argumentos aplica la orientación EXIF; sharp no copia los metadatos al salir
+  const base = sharp(archivo.buffer).rotate();
+  const { data, info } = await base.clone().toFormat(formato).toBuffer({ resolveWithObject: true });
+  const variantes = [{ nombre: "original", formato, datos: data }];
+  for (const [nombre, lado] of Object.entries(MINIATURAS)) {
+    const datos = await base
+      .clone()
+      .resize({ width: lado, height: lado, fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    variantes.push({ nombre, formato: "webp", datos });
+  }
+  return { formato, ancho: info.width, alto: info.height, variantes };
+}
+
+// Borra los archivos de una imagen; los fallos del almacén solo se registran
+async function borrarArchivos(imagen) {
+  const almacen = obtenerAlmacen(imagen.almacen);
+  for (const clave of archivosImagen(imagen)) {
+    try {
+      await almacen.eliminar(clave);
+    } catch (err) {
+      console.error(`❌ No se pudo borrar ${clave} del almacén ${almacen.nombre}:`, err.message);
+    }
+  }
+}
+
+// 💾 Sube una imagen procesada bajo `prefijo` y la registra en Imagenes.
+// vincular(conn, id_imagen) la asocia a su receta, paso o usuario dentro de la misma
+// transacción y devuelve los ids de las imágenes a las que sustituye, que se eliminan.
+// Si algo falla no queda ningún archivo en el almacén.
+export async function guardarImagen(imagen, prefijo, vincular) {
+  const almacen = obtenerAlmacen();
+  const guardada = { almacen: almacen.nombre, clave: `${prefijo}/${crypto.randomUUID()}`, formato: imagen.formato };
+
+  let resultado;
+  try {
+    for (const v of imagen.variantes) {
+      await almacen.guardar(`${guardada.clave}/${v.nombre}.${v.formato}`, v.datos, FORMATOS[v.formato]);
+    }
+    resultado = await transaccion(async (conn) => {
+      const [result] = await conn.query(
+        "INSERT INTO Imagenes (almacen, clave, formato, ancho, alto) VALUES (?, ?, ?, ?, ?)",
+        [guardada.almacen, guardada.clave, guardada.formato, imagen.ancho, imagen.alto]
+      );
+      const sustituidas = (await vincular(conn, result.insertId)) ?? [];
+      return { id_imagen: result.insertId, sustituidas };
+    });
+  } catch (err) {
+    await borrarArchivos(guardada);
+    throw err;
+  }
+
+  await eliminarImagenes(resultado.sustituidas);
+  return representarImagen({ ...guardada, id_imagen: resultado.id_imagen, ancho: imagen.ancho, alto: imagen.alto });
+}
+
+// 🗑️ Elimina imágenes y sus archivos. Las portadas, pasos y avatares que las usaban quedan
+// sin imagen y las entradas de galería se borran (claves foráneas de schema.sql).
+export async function eliminarImagenes(ids) {
+  const pendientes = ids.filter(Boolean);
+  if (pendientes.length === 0) return;
+  const [imagenes] = await db.query("SELECT id_imagen, almacen, clave, formato FROM Imagenes WHERE id_imagen IN (?)", [pendientes]);
+  await db.query("DELETE FROM Imagenes WHERE id_imagen IN (?)", [pendientes]);
+  for (const imagen of imagenes) await borrarArchivos(imagen);
+}
+
+// 🖼️ Galería de una receta, en orden
+export async function galeriaReceta(id_receta) {
+  const [results] = await db.query(
+    `SELECT ${COLUMNAS_IMAGEN.map((c) => `im.${c}`).join(", ")}
+     FROM Receta_Galeria g
+     JOIN Imagenes im ON g.id_imagen = im.id_imagen
+     WHERE g.id_receta = ?
+     ORDER BY g.posicion, g.id_imagen`,
+    [id_receta]
+  );
+  return results.map(representarImagen);
+}
+
+// Ids de todas las imágenes de una receta (portada, galería y pasos), para borrarlas con ella
+export async function imagenesDeReceta(id_receta) {
+  const [results] = await db.query(
+    `SELECT id_portada AS id_imagen FROM Recetas WHERE id_receta = ?
+     UNION SELECT id_imagen FROM Receta_Galeria WHERE id_receta = ?
+     UNION SELECT id_imagen FROM Pasos WHERE id_receta = ?`,
+    [id_receta, id_receta, id_receta]
+  );
+  return results.map((r) => r.id_imagen);
+}
@@ -0,0 +1,181 @@
+import db, { transaccion } from "../db.js";
+import { sumarCantidades } from "./unidades.js";
+
+// ==============================
+// 🛒 Listas de la compra
+// ==============================
+
+// Grupo de los artículos cuyo ingrediente no tiene sección asignada
+export const GRUPO_POR_DEFECTO = "Otros";
+
+// ➕ Añade artículos a la lista. Los que tienen id_ingrediente y cantidad se suman a los
+// artículos del mismo ingrediente con unidad compatible (y vuelven a quedar sin comprar);
+// el resto se añaden tal cual.
+//   articulos: [{ id_ingrediente, nombre, cantidad, unidad_medida, grupo }]
+export async function fusionarArticulos(conn, id_lista, articulos) {
+  const fusionables = articulos.filter((a) => a.id_ingrediente && a.cantidad !== null && a.cantidad !== undefined);
+  const sueltos = articulos.filter((a) => !fusionables.includes(a));
+
+  const porIngrediente = new Map();
+  for (const articulo of fusionables) {
+    if (!porIngrediente.has(articulo.id_ingrediente)) porIngrediente.set(articulo.id_ingrediente, []);
+    porIngrediente.get(articulo.id_ingrediente).push(articulo);
+  }
+
+  const nuevos = sueltos.map((a) => [id_lista, a.id_ingrediente ?? null, a.nombre, a.cantidad ?? null, a.unidad_medida ?? null, a.grupo || GRUPO_POR_DEFECTO]);
+
+  if (porIngrediente.size > 0) {
+    const [existentes] = await conn.query(
+      `SELECT id_articulo, id_ingrediente, cantidad, unidad_medida FROM Listas_Compra_Articulos
+       WHERE id_lista = ? AND id_ingrediente IN (?) AND cantidad IS NOT NULL
+       ORDER BY id_articulo
+       FOR UPDATE`,
+      [id_lista, [...porIngrediente.keys()]]
+    );
+
+    for (const [id_ingrediente, lineas] of porIngrediente) {
+      const previos = existentes.filter((e) => e.id_ingrediente === id_ingrediente);
+      // Los artículos previos van primero, así cada suma compatible reutiliza su fila
+      const sumas = sumarCantidades([...previos, ...lineas]);
+      const { nombre, grupo } = lineas[0];
+
+      for (const [i, suma] of sumas.entries()) {
+        if (i < previos.length) {
+          const sinCambios = Number(previos[i].cantidad) === suma.cantidad && previos[i].unidad_medida === suma.unidad_medida;
+          if (sinCambios) continue;
+          await conn.query(
+            "UPDATE Listas_Compra_Articulos SET cantidad = ?, unidad_medida = ?, comprado = FALSE WHERE id_articulo = ?",
+            [suma.cantidad, suma.unidad_medida, previos[i].id_articulo]
+          );
+        } else {
+          nuevos.push([id_lista, id_ingrediente, nombre, suma.cantidad, suma.unidad_medida, grupo || GRUPO_POR_DEFECTO]);
+        }
+      }
+      // Artículos previos que han quedado sumados en otro
+      const sobrantes = previos.slice(sumas.length).map((p) => p.id_articulo);
+      if (sobrantes.length > 0) await conn.query("DELETE FROM Listas_Compra_Articulos WHERE id_articulo IN (?)", [sobrantes]);
+    }
+  }
+
+  if (nuevos.length > 0) {
+    await conn.query(
+      "INSERT INTO Listas_Compra_Articulos (id_lista, id_ingrediente, nombre, cantidad, unidad_medida, grupo) VALUES ?",
+      [nuevos]
+    );
+  }
+}
+
+// 🍲 Añade a la lista los ingredientes de las recetas, escalados a las porciones pedidas
+// (si no se indican, las de la propia receta)
+//   recetas: [{ id_receta, porciones }]
+export async function agregarRecetas(conn, id_lista, recetas) {
+  const ids = recetas.map((r) => r.id_receta);
+  const [bases] = await conn.query("SELECT id_receta, porciones FROM Recetas WHERE id_receta IN (?)", [ids]);
+  const porcionesBase = new Map(bases.map((r) => [r.id_receta, r.porciones]));
+  const porciones = new Map(recetas.map((r) => [r.id_receta, r.porciones ?? porcionesBase.get(r.id_receta)]));
+
+  await conn.query(
+    `INSERT INTO Listas_Compra_Recetas (id_lista, id_receta, porciones) VALUES ?
+     ON DUPLICATE KEY UPDATE porciones = porciones + VALUES(porciones)`,
+    [ids.map((id) => [id_lista, id, porciones.get(id)])]
+  );
+
+  const sql = `
+    SELECT ri.id_receta, ri.id_ingrediente, i.nombre, i.unidad_medida, i.grupo, ri.cantidad
+    FROM Receta_Ingrediente ri
+    JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+    WHERE ri.id_receta IN (?)
+  `;
+  const [lineas] = await conn.query(sql, [ids]);
+
+  const articulos = lineas.map((l) => ({
+    id_ingrediente: l.id_ingrediente,
+    nombre: l.nombre,
+    cantidad: (Number(l.cantidad) * porciones.get(l.id_receta)) / porcionesBase.get(l.id_receta),
+    unidad_medida: l.unidad_medida,
+    grupo: l.grupo,
+  }));
+  await fusionarArticulos(conn, id_lista, articulos);
+}
+
+// 🆕 Crea una lista del usuario con los ingredientes de las recetas y devuelve su id
+export async function crearLista(id_usuario, nombre, recetas) {
+  return transaccion(async (conn) => {
+    const [result] = await conn.query("INSERT INTO Listas_Compra (id_usuario, nombre) VALUES (?, ?)", [id_usuario, nombre]);
+    if (recetas.length > 0) await agregarRecetas(conn, result.insertId, recetas);
+    return result.insertId;
+  });
+}
+
+// 📋 Lista completa: datos, recetas de origen y artículos agrupados por sección
+export async function obtenerLista(id_lista) {
+  const [[lista]] = await db.query(
+    "SELECT id_lista, id_usuario, nombre, token_compartir, fecha_creacion, fecha_modificacion FROM Listas_Compra WHERE id_lista = ?",
+    [id_lista]
+  );
+  if (!lista) return null;
+
+  const [recetas] = await db.query(
+    `SELECT lr.id_receta, r.titulo, lr.porciones
+     FROM Listas_Compra_Recetas lr
+     JOIN Recetas r ON lr.id_receta = r.id_receta
+     WHERE lr.id_lista = ?
+     ORDER BY r.titulo`,
+    [id_lista]
+  );
+  const [articulos] = await db.query(
+    `SELECT id_articulo, id_ingrediente, nombre, cantidad, unidad_medida, grupo, comprado
+     FROM Listas_Compra_Articulos
+     WHERE id_lista = ?
+     ORDER BY grupo, nombre, id_articulo`,
+    [id_lista]
+  );
+
+  const grupos = [];
+  for (const articulo of articulos) {
+    const fila = { ...articulo, cantidad: articulo.cantidad === null ? null : Number(articulo.cantidad), comprado: !!articulo.comprado };
+    const ultimo = grupos[grupos.length - 1];
+    if (ultimo && ultimo.grupo === articulo.grupo) ultimo.articulos.push(fila);
+    else grupos.push({ grupo: articulo.grupo, articulos: [fila] });
+  }
+
+  return {
+    ...lista,
+    recetas,
+    total_articulos: articulos.length,
+    comprados: articulos.filter((a) => a.comprado).length,
+    grupos,
+  };
+}
+
+const describirCantidad = ({ cantidad, unidad_medida }) =>
+  cantidad === null ? "" : [cantidad, unidad_medida].filter((v) => v !== null && v !== "").join(" ");
+
+// 📝 Texto plano, con una casilla por artículo
+export function exportarTexto(lista) {
+  const lineas = [lista.nombre, ""];
+  for (const { grupo, articulos } of lista.grupos) {
+    lineas.push(`${grupo}:`);
+    for (const articulo of articulos) {
+      const cantidad = describirCantidad(articulo);
+      lineas.push(`  [${articulo.comprado ? "x" : " "}] ${articulo.nombre}${cantidad ? ` — ${cantidad}` : ""}`);
+    }
+    lineas.push("");
+  }
+  return lineas.join("\n");
+}
+
+// Escapa un campo CSV si contiene separadores, comillas o saltos de línea
+const campoCsv = (valor) => {
+  const texto = valor === null || valor === undefined ? "" : String(valor);
+  return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+// 📊 CSV con una fila por artículo
+export function exportarCsv(lista) {
+  const filas = [["grupo", "articulo", "cantidad", "unidad", "comprado"]];
+  for (const { grupo, articulos } of lista.grupos) {
+    for (const a of articulos) filas.push([grupo, a.nombre, a.cantidad, a.unidad_medida, a.comprado ? "si" : "no"]);
+  }
+  return filas.map((fila) => fila.map(campoCsv).join(",")).join("\r\n") + "\r\n";
+}
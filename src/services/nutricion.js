@@ -0,0 +1,155 @@
+import db from "../db.js";
+import { normalizarTexto } from "./busqueda.js";
+import { convertirCantidad } from "./unidades.js";
+
+// ==============================
+// 🥗 Información nutricional
+// ==============================
+// Cada ingrediente guarda sus valores por nutricion_cantidad de su propia unidad_medida
+// (242 kcal por 100 g, 72 kcal por 1 pieza...). Así el aporte de una línea de receta es
+// cantidad / nutricion_cantidad * valor, sin conversiones, y se puede calcular en SQL.
+
+export const NUTRIENTES = ["kcal", "proteinas", "carbohidratos", "grasas", "fibra", "sodio"];
+
+// Nutrición total de cada receta (para unir con el alias nut). Solo se suman los ingredientes
+// con datos; la receta está completa si todos sus ingredientes tienen calorías.
+export const SUBCONSULTA_NUTRICION = `
+  SELECT ri.id_receta,
+    SUM(ri.cantidad * i.kcal / i.nutricion_cantidad) AS kcal,
+    SUM(ri.cantidad * i.proteinas / i.nutricion_cantidad) AS proteinas,
+    COUNT(*) = COUNT(i.kcal / i.nutricion_cantidad) AS completa
+  FROM Receta_Ingrediente ri
+  JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+  GROUP BY ri.id_receta
+`;
+
+const redondearValores = (valores, divisor = 1) =>
+  Object.fromEntries(Object.entries(valores).map(([n, v]) => [n, Math.round((v / divisor) * 10) / 10]));
+
+// 🥗 Nutrición de una receta, total y por porción, y los ingredientes que no tienen datos
+export async function nutricionReceta(id_receta, porciones) {
+  const sql = `
+    SELECT ri.id_ingrediente, i.nombre, ri.cantidad, i.nutricion_cantidad, ${NUTRIENTES.map((n) => `i.${n}`).join(", ")}
+    FROM Receta_Ingrediente ri
+    JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+    WHERE ri.id_receta = ?
+    ORDER BY i.nombre;
+  `;
+  const [lineas] = await db.query(sql, [id_receta]);
+
+  const total = Object.fromEntries(NUTRIENTES.map((n) => [n, 0]));
+  const sinDatos = [];
+  for (const linea of lineas) {
+    if (linea.nutricion_cantidad === null || linea.kcal === null) {
+      sinDatos.push({ id_ingrediente: linea.id_ingrediente, nombre: linea.nombre });
+      continue;
+    }
+    const proporcion = Number(linea.cantidad) / Number(linea.nutricion_cantidad);
+    for (const n of NUTRIENTES) {
+      if (linea[n] !== null) total[n] += Number(linea[n]) * proporcion;
+    }
+  }
+
+  return {
+    completa: lineas.length > 0 && sinDatos.length === 0,
+    total: redondearValores(total),
+    por_porcion: redondearValores(total, porciones),
+    ingredientes_sin_datos: sinDatos,
+  };
+}
+
+// Separa una línea CSV en campos, respetando las comillas dobles ("" es una comilla)
+function camposCsv(linea) {
+  const resultado = [];
+  let actual = "";
+  let entreComillas = false;
+  for (let i = 0; i < linea.length; i++) {
+    const caracter = linea[i];
+    if (entreComillas) {
+      if (caracter === '"' && linea[i + 1] === '"') {
+        actual += '"';
+        i++;
+      } else if (caracter === '"') entreComillas = false;
+      else actual += caracter;
+    } else if (caracter === '"') entreComillas = true;
+    else if (caracter === ",") {
+      resultado.push(actual.trim());
+      actual = "";
+    } else actual += caracter;
+  }
+  resultado.push(actual.trim());
+  return resultado;
+}
+
+// 📂 Lee un dataset en CSV (con cabecera) o JSON (lista de objetos) con las columnas
+// nombre, cantidad, unidad y las de NUTRIENTES. Devuelve una lista de objetos.
+export function leerDataset(texto, formato) {
+  if (formato === "json") {
+    const datos = JSON.parse(texto);
+    if (!Array.isArray(datos)) throw new Error("El dataset JSON debe ser una lista de objetos");
+    return datos;
+  }
+  const [cabecera, ...lineas] = texto.replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim() !== "");
+  if (!cabecera) return [];
+  const columnas = camposCsv(cabecera).map((c) => c.toLowerCase());
+  return lineas.map((linea) => {
+    const valores = camposCsv(linea);
+    return Object.fromEntries(columnas.map((c, i) => [c, valores[i] ?? ""]));
+  });
+}
+
+const numero = (valor) => (valor === null || valor === undefined || valor === "" ? null : Number(valor));
+
+// Convierte una fila del dataset, o devuelve null si no es válida
+// (hacen falta nombre, una cantidad positiva y las calorías; el resto de nutrientes es opcional)
+function normalizarFila(fila) {
+  const datos = { nombre: String(fila.nombre ?? "").trim(), cantidad: numero(fila.cantidad), unidad: fila.unidad || null };
+  for (const n of NUTRIENTES) datos[n] = numero(fila[n]);
+
+  const valores = [datos.cantidad, ...NUTRIENTES.map((n) => datos[n])].filter((v) => v !== null);
+  const validos = valores.every((v) => Number.isFinite(v) && v >= 0);
+  if (!datos.nombre || !validos || !datos.cantidad || datos.kcal === null) return null;
+  return datos;
+}
+
+// 📥 Carga los valores del dataset en los ingredientes del catálogo con el mismo nombre
+// (sin distinguir mayúsculas ni acentos). La cantidad de referencia del dataset se convierte
+// a la unidad del ingrediente (100 g → 0.1 kg); si no son compatibles, la fila se descarta.
+// Devuelve un resumen con lo actualizado y lo que no se ha podido cargar.
+export async function importarNutricion(filas) {
+  const [ingredientes] = await db.query("SELECT id_ingrediente, nombre, unidad_medida FROM Ingredientes");
+  const porNombre = new Map();
+  for (const ingrediente of ingredientes) {
+    const clave = normalizarTexto(ingrediente.nombre).trim();
+    if (!porNombre.has(clave)) porNombre.set(clave, []);
+    porNombre.get(clave).push(ingrediente);
+  }
+
+  const resumen = { actualizados: 0, no_encontrados: [], incompatibles: [], invalidos: [] };
+  for (const [i, fila] of filas.entries()) {
+    const datos = normalizarFila(fila);
+    if (!datos) {
+      resumen.invalidos.push({ fila: i + 1, nombre: fila.nombre ?? null });
+      continue;
+    }
+    const coincidencias = porNombre.get(normalizarTexto(datos.nombre).trim());
+    if (!coincidencias) {
+      resumen.no_encontrados.push(datos.nombre);
+      continue;
+    }
+
+    for (const ingrediente of coincidencias) {
+      const referencia = convertirCantidad(datos.cantidad, datos.unidad, ingrediente.unidad_medida);
+      if (referencia === null) {
+        resumen.incompatibles.push({ nombre: ingrediente.nombre, unidad: datos.unidad, unidad_medida: ingrediente.unidad_medida });
+        continue;
+      }
+      await db.query(
+        `UPDATE Ingredientes SET nutricion_cantidad = ?, ${NUTRIENTES.map((n) => `${n} = ?`).join(", ")} WHERE id_ingrediente = ?`,
+        [referencia, ...NUTRIENTES.map((n) => datos[n]), ingrediente.id_ingrediente]
+      );
+      resumen.actualizados++;
+    }
+  }
+  return resumen;
+}
@@ -0,0 +1,146 @@
+import db, { transaccion } from "../../db.js";
+import { suscribir, renovar, recortar } from "../suscripciones.js";
+import { ErrorHttp } from "../../middleware/errores.js";
+import proveedorMock from "./mock.js";
+
+// ==============================
+// 🧾 Pagos de suscripciones
+// ==============================
+// Un proveedor es un objeto con:
+//   nombre
+//   crearIntento({ id_pago, monto, meses, id_usuario }) -> { referencia, url_pago, ... }
+//   verificarWebhook(cuerpoCrudo, cabeceras) -> evento { tipo, referencia, motivo } o null
+//   reembolsar({ referencia, monto }) -> { ok, motivo }
+//   disponible() -> false si falta su configuración (opcional)
+const PROVEEDORES = {
+  [proveedorMock.nombre]: proveedorMock,
+};
+
+// Precio de un mes de suscripción: lo decide el servidor, nunca el cliente
+export const PRECIO_MENSUAL = Number(process.env.SUSCRIPCION_PRECIO_MENSUAL) || 99.99;
+
+// Proveedor por nombre (por defecto el de PAGOS_PROVEEDOR, que no tiene valor por defecto).
+// Devuelve null si no existe o no está disponible.
+export function obtenerProveedor(nombre = process.env.PAGOS_PROVEEDOR) {
+  const proveedor = PROVEEDORES[nombre];
+  if (!proveedor || (proveedor.disponible && !proveedor.disponible())) return null;
+  return proveedor;
+}
+
+// 🧾 Registra un pago pendiente y crea el intento de cobro en el proveedor.
+// Con id_suscripcion el pago renovará esa suscripción al confirmarse.
+export async function iniciarCheckout({ id_usuario, meses, id_suscripcion = null }) {
+  const proveedor = obtenerProveedor();
+  if (!proveedor) {
+    throw new ErrorHttp(503, "Los pagos no están disponibles: el proveedor de pagos no está configurado", "PAGOS_NO_CONFIGURADOS");
+  }
+  const monto = Math.round(PRECIO_MENSUAL * meses * 100) / 100;
+  const tipo = id_suscripcion ? "renovacion" : "alta";
+
+  const [result] = await db.query(
+    "INSERT INTO Pagos (id_usuario, id_suscripcion, tipo, meses, monto, proveedor) VALUES (?, ?, ?, ?, ?, ?)",
+    [id_usuario, id_suscripcion, tipo, meses, monto, proveedor.nombre]
+  );
+  const id_pago = result.insertId;
+
+  let intento;
+  try {
+    intento = await proveedor.crearIntento({ id_pago, monto, meses, id_usuario });
+  } catch (err) {
+    // Sin referencia ningún webhook lo cerraría: no puede quedar pendiente
+    await db.query(
+      "UPDATE Pagos SET estado = 'rechazado', motivo = ? WHERE id_pago = ?",
+      ["No se pudo crear el cobro en el proveedor", id_pago]
+    );
+    throw err;
+  }
+  await db.query("UPDATE Pagos SET referencia = ? WHERE id_pago = ?", [intento.referencia, id_pago]);
+
+  return { id_pago, tipo, meses, monto, estado: "pendiente", proveedor: proveedor.nombre, ...intento };
+}
+
+// 🧾 Aplica un evento verificado del proveedor. Es idempotente: un pago que ya no está
+// pendiente no se vuelve a procesar. Devuelve null si la referencia no existe.
+export async function procesarEvento(nombreProveedor, evento) {
+  const [pagos] = await db.query(
+    "SELECT id_pago FROM Pagos WHERE proveedor = ? AND referencia = ?",
+    [nombreProveedor, evento.referencia]
+  );
+  if (pagos.length === 0) return null;
+
+  return transaccion(async (conn) => {
+    const [[pago]] = await conn.query("SELECT * FROM Pagos WHERE id_pago = ? FOR UPDATE", [pagos[0].id_pago]);
+    if (pago.estado !== "pendiente") return { pago, procesado: false };
+
+    if (evento.tipo === "pago.confirmado") {
+      let suscripcion = null;
+      if (pago.tipo === "renovacion" && pago.id_suscripcion) {
+        const [filas] = await conn.query("SELECT * FROM Suscripciones WHERE id_suscripcion = ?", [pago.id_suscripcion]);
+        if (filas.length > 0 && filas[0].estado === "activa") suscripcion = await renovar(filas[0], pago.meses, conn);
+      }
+      // Alta normal, o renovación de una suscripción que venció mientras se pagaba
+      if (!suscripcion) suscripcion = await suscribir(pago.id_usuario, pago.meses, pago.monto, conn);
+
+      await conn.query(
+        "UPDATE Pagos SET estado = 'confirmado', id_suscripcion = ? WHERE id_pago = ?",
+        [suscripcion.id_suscripcion, pago.id_pago]
+      );
+      return { pago: { ...pago, estado: "confirmado", id_suscripcion: suscripcion.id_suscripcion }, suscripcion, procesado: true };
+    }
+
+    if (evento.tipo === "pago.rechazado") {
+      const motivo = evento.motivo || "Pago rechazado";
+      await conn.query("UPDATE Pagos SET estado = 'rechazado', motivo = ? WHERE id_pago = ?", [motivo, pago.id_pago]);
+      return { pago: { ...pago, estado: "rechazado", motivo }, procesado: true };
+    }
+
+    // Tipos de evento que no nos interesan
+    return { pago, procesado: false };
+  });
+}
+
+// 🧾 Devuelve el dinero de un pago confirmado y quita a la suscripción asociada los meses que
+// pagaba (si no le queda tiempo, se cancela en el acto).
+// El pago pasa antes a 'reembolsando' con la fila bloqueada, para que dos peticiones a la vez no
+// lo reembolsen dos veces en el proveedor; si el proveedor lo rechaza vuelve a 'confirmado'.
+// Lanza ErrorHttp 409 si el pago no está confirmado y devuelve { ok: false, motivo } si el
+// proveedor rechaza el reembolso.
+export async function reembolsarPago(id_pago) {
+  const pago = await transaccion(async (conn) => {
+    const [[fila]] = await conn.query("SELECT * FROM Pagos WHERE id_pago = ? FOR UPDATE", [id_pago]);
+    if (fila.estado !== "confirmado") {
+      throw new ErrorHttp(409, "Solo se pueden reembolsar pagos confirmados", "PAGO_NO_REEMBOLSABLE", [
+        { estado_actual: fila.estado },
+      ]);
+    }
+    await conn.query("UPDATE Pagos SET estado = 'reembolsando' WHERE id_pago = ?", [id_pago]);
+    return fila;
+  });
+
+  const deshacer = () => db.query("UPDATE Pagos SET estado = 'confirmado' WHERE id_pago = ? AND estado = 'reembolsando'", [id_pago]);
+  let resultado;
+  try {
+    const proveedor = obtenerProveedor(pago.proveedor);
+    if (!proveedor) {
+      throw new ErrorHttp(503, `El proveedor de pagos ${pago.proveedor} no está disponible`, "PAGOS_NO_CONFIGURADOS");
+    }
+    resultado = await proveedor.reembolsar({ referencia: pago.referencia, monto: pago.monto });
+  } catch (err) {
+    await deshacer();
+    throw err;
+  }
+  if (!resultado.ok) {
+    await deshacer();
+    return { ok: false, motivo: resultado.motivo };
+  }
+
+  return transaccion(async (conn) => {
+    await conn.query("UPDATE Pagos SET estado = 'reembolsado' WHERE id_pago = ?", [id_pago]);
+    let suscripcion = null;
+    if (pago.id_suscripcion) {
+      const [filas] = await conn.query("SELECT * FROM Suscripciones WHERE id_suscripcion = ?", [pago.id_suscripcion]);
+      if (filas.length > 0 && filas[0].estado === "activa") suscripcion = await recortar(filas[0], pago.meses, conn);
+    }
+    return { ok: true, pago: { ...pago, estado: "reembolsado" }, suscripcion };
+  });
+}
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+
+// ==============================
+// 🧪 Proveedor de pagos simulado para desarrollo local
+// ==============================
+// No cobra nada: crea intentos con una referencia aleatoria y, cuando se le pide,
+// envía al webhook de la propia API un evento firmado igual que lo haría un procesador real.
+// Con él cualquier usuario puede confirmar sus propios pagos, así que solo está disponible
+// fuera de producción y con un secreto de firma configurado (PAGOS_MOCK_SECRETO).
+
+const secreto = () => process.env.PAGOS_MOCK_SECRETO;
+const TOLERANCIA_FIRMA_MS = 5 * 60 * 1000;
+const CABECERA_FIRMA = "x-mock-firma";
+
+const urlWebhook = () =>
+  process.env.PAGOS_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/pagos/webhook/mock`;
+
+function firmar(marcaTiempo, cuerpo) {
+  return crypto.createHmac("sha256", secreto()).update(`${marcaTiempo}.${cuerpo}`).digest("hex");
+}
+
+// Envía un evento firmado al webhook (la cabecera tiene el formato t=<ms>,v1=<hmac>)
+async function enviarWebhook(evento) {
+  const cuerpo = JSON.stringify(evento);
+  const t = Date.now();
+  const respuesta = await fetch(urlWebhook(), {
+    method: "POST",
+    headers: { "Content-Type": "application/json", [CABECERA_FIRMA]: `t=${t},v1=${firmar(t, cuerpo)}` },
+    body: cuerpo,
+  });
+  if (!respuesta.ok) {
+    console.error(`❌ Webhook simulado rechazado (${respuesta.status}) para ${evento.referencia}`);
+  }
+}
+
+const proveedorMock = {
+  nombre: "mock",
+
+  disponible() {
+    return process.env.NODE_ENV !== "production" && !!secreto();
+  },
+
+  async crearIntento({ id_pago, monto }) {
+    const referencia = `mock_${crypto.randomBytes(12).toString("hex")}`;
+    return {
+      referencia,
+      // Un proveedor real devolvería la URL de su página de pago
+      url_pago: null,
+      instrucciones: `Simula el resultado con POST /api/pagos/mock/${referencia}/simular`,
+      id_pago,
+      monto,
+    };
+  },
+
+  // Devuelve el evento si la firma es válida y reciente; null en caso contrario
+  verificarWebhook(cuerpoCrudo, cabeceras) {
+    const firma = cabeceras[CABECERA_FIRMA];
+    if (!firma || !cuerpoCrudo) return null;
+    const partes = Object.fromEntries(firma.split(",").map((p) => p.split("=")));
+    const t = Number(partes.t);
+    if (!t || !partes.v1 || Math.abs(Date.now() - t) > TOLERANCIA_FIRMA_MS) return null;
+
+    const esperada = Buffer.from(firmar(t, cuerpoCrudo.toString("utf8")));
+    const recibida = Buffer.from(partes.v1);
+    if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) return null;
+
+    try {
+      return JSON.parse(cuerpoCrudo.toString("utf8"));
+    } catch {
+      return null;
+    }
+  },
+
+  async reembolsar({ referencia }) {
+    return { ok: true, referencia_reembolso: `mock_re_${referencia}` };
+  },
+
+  // 🧪 Programa el webhook de un intento: resultado "exito" o "rechazo", opcionalmente con retraso
+  simular(referencia, { resultado = "exito", retraso_ms = 0, motivo } = {}) {
+    const evento =
+      resultado === "exito"
+        ? { tipo: "pago.confirmado", referencia }
+        : { tipo: "pago.rechazado", referencia, motivo: motivo || "Tarjeta rechazada (simulado)" };
+    setTimeout(() => {
+      enviarWebhook(evento).catch((err) => console.error("❌ Error enviando webhook simulado:", err.message));
+    }, retraso_ms);
+    return evento;
+  },
+};
+
+export default proveedorMock;
@@ -0,0 +1,86 @@
+import db from "../db.js";
+import { ErrorHttp } from "../middleware/errores.js";
+
+// ==============================
+// 🪜 Orden e ingredientes de los pasos de una receta
+// ==============================
+// Los pasos de cada receta se numeran siempre 1, 2, 3... sin huecos ni repetidos
+// (UNIQUE (id_receta, numero_paso) en schema.sql): insertar, mover, eliminar o reordenar un
+// paso renumera los demás. Las funciones que modifican se llaman dentro de la transacción del
+// cambio, con la receta bloqueada (conRevision lo hace).
+
+// Ids de los pasos de la receta en su orden actual
+export async function ordenPasos(conn, id_receta) {
+  const [pasos] = await conn.query("SELECT id_paso FROM Pasos WHERE id_receta = ? ORDER BY numero_paso, id_paso", [id_receta]);
+  return pasos.map((p) => p.id_paso);
+}
+
+// 🔢 Numera los pasos 1..n en el orden de `ids`, que debe contener todos los pasos de la receta.
+// La versión de los pasos que cambian de número aumenta, como en cualquier otro cambio.
+export async function numerarPasos(conn, id_receta, ids) {
+  const [actuales] = await conn.query("SELECT id_paso, numero_paso FROM Pasos WHERE id_receta = ?", [id_receta]);
+  const movidos = actuales.filter((p) => p.numero_paso !== ids.indexOf(p.id_paso) + 1).map((p) => p.id_paso);
+  if (movidos.length === 0) return;
+  // Los que se mueven pasan antes a números negativos (únicos) para no chocar entre ellos
+  await conn.query("UPDATE Pasos SET numero_paso = -id_paso WHERE id_paso IN (?)", [movidos]);
+  await conn.query("UPDATE Pasos SET numero_paso = FIELD(id_paso, ?), version = version + 1 WHERE id_paso IN (?)", [ids, movidos]);
+}
+
+// ↕️ Mueve el paso a la posición indicada (al final si es mayor que el número de pasos)
+// y devuelve la posición en que queda
+export async function moverPaso(conn, id_receta, id_paso, posicion) {
+  const ids = (await ordenPasos(conn, id_receta)).filter((id) => id !== id_paso);
+  const indice = Math.min(posicion, ids.length + 1) - 1;
+  ids.splice(indice, 0, id_paso);
+  await numerarPasos(conn, id_receta, ids);
+  return indice + 1;
+}
+
+// Número libre para añadir un paso al final de la receta
+export async function siguienteNumero(conn, id_receta) {
+  const [[{ maximo }]] = await conn.query("SELECT COALESCE(MAX(numero_paso), 0) AS maximo FROM Pasos WHERE id_receta = ?", [id_receta]);
+  return maximo + 1;
+}
+
+// 🧂 Sustituye los ingredientes de la receta que se usan en el paso.
+// Lanza ErrorHttp 422 si alguno no está en la receta.
+export async function vincularIngredientes(conn, id_receta, id_paso, ingredientes) {
+  const ids = [...new Set(ingredientes)];
+  if (ids.length > 0) {
+    const [lineas] = await conn.query(
+      "SELECT id_ingrediente FROM Receta_Ingrediente WHERE id_receta = ? AND id_ingrediente IN (?)",
+      [id_receta, ids]
+    );
+    if (lineas.length !== ids.length) {
+      const enReceta = new Set(lineas.map((l) => l.id_ingrediente));
+      const ajenos = ids.filter((id) => !enReceta.has(id));
+      throw new ErrorHttp(422, "Algún ingrediente del paso no está en la receta", "INGREDIENTE_FUERA_DE_RECETA", [
+        { campo: "body.ingredientes", mensaje: `no están en la receta: ${ajenos.join(", ")}` },
+      ]);
+    }
+  }
+  await conn.query("DELETE FROM Paso_Ingrediente WHERE id_paso = ?", [id_paso]);
+  if (ids.length > 0) {
+    await conn.query("INSERT INTO Paso_Ingrediente (id_paso, id_receta, id_ingrediente) VALUES ?", [
+      ids.map((id) => [id_paso, id_receta, id]),
+    ]);
+  }
+}
+
+// 🍳 Añade a cada paso los ingredientes que usa, con su cantidad en la receta
+export async function agregarIngredientesPasos(pasos) {
+  if (pasos.length === 0) return pasos;
+  const [usados] = await db.query(
+    `SELECT pi.id_paso, ri.id_ingrediente, i.nombre, ri.cantidad, i.unidad_medida
+     FROM Paso_Ingrediente pi
+     JOIN Receta_Ingrediente ri ON pi.id_receta = ri.id_receta AND pi.id_ingrediente = ri.id_ingrediente
+     JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+     WHERE pi.id_paso IN (?)
+     ORDER BY i.nombre`,
+    [pasos.map((p) => p.id_paso)]
+  );
+  for (const paso of pasos) {
+    paso.ingredientes = usados.filter((u) => u.id_paso === paso.id_paso).map(({ id_paso, ...ingrediente }) => ingrediente);
+  }
+  return pasos;
+}
@@ -0,0 +1,168 @@
+import db from "../db.js";
+import { condicionVisible, condicionContenido } from "../middleware/permisos.js";
+
+// ==============================
+// 📅 Plan semanal de comidas
+// ==============================
+// Las semanas van de lunes a domingo y las fechas se manejan como texto AAAA-MM-DD.
+
+const DIAS_SEMANA = 7;
+// Momentos que se rellenan al autocompletar si no se indican
+const MOMENTOS_POR_DEFECTO = 3;
+// Recetas candidatas que se consideran para cada momento
+const CANDIDATOS_POR_MOMENTO = 50;
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+export function sumarDias(fecha, dias) {
+  const dia = new Date(`${fecha}T00:00:00Z`);
+  dia.setUTCDate(dia.getUTCDate() + dias);
+  return dia.toISOString().slice(0, 10);
+}
+
+// Lunes de la semana a la que pertenece la fecha (hoy si no se indica)
+export function inicioSemana(fecha = new Date().toISOString().slice(0, 10)) {
+  const diaSemana = new Date(`${fecha}T00:00:00Z`).getUTCDay();
+  return sumarDias(fecha, -((diaSemana + 6) % 7));
+}
+
+const diasDeLaSemana = (lunes) => Array.from({ length: DIAS_SEMANA }, (_, i) => sumarDias(lunes, i));
+
+// Comidas planificadas entre dos fechas, con las porciones efectivas y el costo escalado a ellas
+async function obtenerComidas(id_usuario, desde, hasta) {
+  const sql = `
+    SELECT p.id_plan_comida, DATE_FORMAT(p.fecha, '%Y-%m-%d') AS fecha, p.id_categoria, c.nombre AS momento,
+      p.id_receta, r.titulo, COALESCE(p.porciones, r.porciones) AS porciones, r.porciones AS porciones_receta,
+      r.tiempo_preparacion, r.costo
+    FROM Plan_Comidas p
+    JOIN Categorias c ON p.id_categoria = c.id_categoria
+    JOIN Recetas r ON p.id_receta = r.id_receta
+    WHERE p.id_usuario = ? AND p.fecha BETWEEN ? AND ?
+    ORDER BY p.fecha, p.id_categoria;
+  `;
+  const [results] = await db.query(sql, [id_usuario, desde, hasta]);
+  return results.map(({ porciones_receta, ...comida }) => ({
+    ...comida,
+    costo: comida.costo === null ? null : redondear((Number(comida.costo) * comida.porciones) / porciones_receta),
+  }));
+}
+
+const totales = (comidas) => ({
+  comidas: comidas.length,
+  tiempo_total: comidas.reduce((total, c) => total + (c.tiempo_preparacion ?? 0), 0),
+  costo_total: redondear(comidas.reduce((total, c) => total + (c.costo ?? 0), 0)),
+});
+
+// 📅 Plan de la semana que empieza en `lunes`, día a día, con los totales de tiempo y costo
+export async function obtenerSemana(id_usuario, lunes) {
+  const domingo = sumarDias(lunes, DIAS_SEMANA - 1);
+  const comidas = await obtenerComidas(id_usuario, lunes, domingo);
+  const dias = diasDeLaSemana(lunes).map((fecha) => {
+    const delDia = comidas.filter((c) => c.fecha === fecha);
+    const { tiempo_total, costo_total } = totales(delDia);
+    return { fecha, comidas: delDia, tiempo_total, costo_total };
+  });
+  return { desde: lunes, hasta: domingo, dias, totales: totales(comidas) };
+}
+
+// ⭐ Categorías preferidas del usuario: las de las recetas que ha planificado o valorado
+// con 4 o más (estas cuentan el doble). Sin historial, las primeras categorías del catálogo.
+export async function categoriasFavoritas(id_usuario, limite = MOMENTOS_POR_DEFECTO) {
+  const sql = `
+    SELECT categoria_id, SUM(peso) AS afinidad
+    FROM (
+      SELECT r.categoria_id, 1 AS peso
+      FROM Plan_Comidas p JOIN Recetas r ON p.id_receta = r.id_receta
+      WHERE p.id_usuario = ?
+      UNION ALL
+      SELECT r.categoria_id, 2 AS peso
+      FROM Valoraciones v JOIN Recetas r ON v.id_receta = r.id_receta
+      WHERE v.id_usuario = ? AND v.puntuacion >= 4
+    ) historial
+    GROUP BY categoria_id
+    ORDER BY afinidad DESC, categoria_id
+    LIMIT ?;
+  `;
+  const [favoritas] = await db.query(sql, [id_usuario, id_usuario, limite]);
+  if (favoritas.length > 0) return favoritas.map((f) => f.categoria_id);
+
+  const [primeras] = await db.query("SELECT id_categoria FROM Categorias ORDER BY id_categoria LIMIT ?", [limite]);
+  return primeras.map((c) => c.id_categoria);
+}
+
+// Recetas de una categoría que el usuario puede cocinar, de la que más le puede gustar a la que menos:
+// primero su propia valoración, después las veces que la ha planificado y la valoración media
+async function candidatos(usuario, id_categoria, tiempo_max) {
+  const visible = condicionVisible(usuario);
+  const contenido = condicionContenido(usuario);
+  const sql = `
+    SELECT r.id_receta, r.titulo, r.tiempo_preparacion
+    FROM Recetas r
+    LEFT JOIN (
+      SELECT id_receta, MAX(puntuacion) AS puntuacion FROM Valoraciones WHERE id_usuario = ? GROUP BY id_receta
+    ) mia ON mia.id_receta = r.id_receta
+    LEFT JOIN (
+      SELECT id_receta, COUNT(*) AS veces FROM Plan_Comidas WHERE id_usuario = ? GROUP BY id_receta
+    ) hist ON hist.id_receta = r.id_receta
+    WHERE r.categoria_id = ? AND ${visible.sql} AND ${contenido.sql}
+      AND (? IS NULL OR r.tiempo_preparacion <= ?)
+    ORDER BY COALESCE(mia.puntuacion, 0) DESC, COALESCE(hist.veces, 0) DESC, COALESCE(r.valoracion_promedio, 0) DESC, r.id_receta
+    LIMIT ?;
+  `;
+  const params = [
+    usuario.id_usuario,
+    usuario.id_usuario,
+    id_categoria,
+    ...visible.params,
+    ...contenido.params,
+    tiempo_max ?? null,
+    tiempo_max ?? null,
+    CANDIDATOS_POR_MOMENTO,
+  ];
+  const [results] = await db.query(sql, params);
+  return results;
+}
+
+// 🪄 Propone una receta para cada momento libre de la semana, sin repetir recetas mientras
+// haya alternativas y respetando el tiempo máximo por receta y por día.
+//   opciones: { momentos, tiempo_max, tiempo_max_dia }
+// Devuelve { sugerencias: [{ fecha, id_categoria, id_receta, titulo, tiempo_preparacion }], sin_sugerencia }
+export async function sugerirComidas(usuario, lunes, { momentos, tiempo_max, tiempo_max_dia } = {}) {
+  const ids = momentos?.length ? momentos : await categoriasFavoritas(usuario.id_usuario);
+  const existentes = await obtenerComidas(usuario.id_usuario, lunes, sumarDias(lunes, DIAS_SEMANA - 1));
+
+  const porMomento = new Map();
+  for (const id_categoria of ids) porMomento.set(id_categoria, await candidatos(usuario, id_categoria, tiempo_max));
+
+  const usadas = new Set(existentes.map((c) => c.id_receta));
+  const sugerencias = [];
+  const sin_sugerencia = [];
+  for (const fecha of diasDeLaSemana(lunes)) {
+    const delDia = existentes.filter((c) => c.fecha === fecha);
+    let tiempoDia = totales(delDia).tiempo_total;
+
+    for (const id_categoria of ids) {
+      if (delDia.some((c) => c.id_categoria === id_categoria)) continue;
+
+      const cabe = (c) => !tiempo_max_dia || tiempoDia + (c.tiempo_preparacion ?? 0) <= tiempo_max_dia;
+      const opciones = porMomento.get(id_categoria);
+      const elegida = opciones.find((c) => !usadas.has(c.id_receta) && cabe(c)) ?? opciones.find(cabe);
+      if (!elegida) {
+        sin_sugerencia.push({ fecha, id_categoria });
+        continue;
+      }
+      usadas.add(elegida.id_receta);
+      tiempoDia += elegida.tiempo_preparacion ?? 0;
+      sugerencias.push({ fecha, id_categoria, ...elegida });
+    }
+  }
+  return { sugerencias, sin_sugerencia };
+}
+
+// 🛒 Recetas de un periodo con la suma de sus porciones, para generar la lista de la compra
+export async function recetasDelPeriodo(id_usuario, desde, hasta) {
+  const comidas = await obtenerComidas(id_usuario, desde, hasta);
+  const porciones = new Map();
+  for (const { id_receta, porciones: p } of comidas) porciones.set(id_receta, (porciones.get(id_receta) ?? 0) + p);
+  return [...porciones].map(([id_receta, total]) => ({ id_receta, porciones: total }));
+}
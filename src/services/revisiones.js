@@ -0,0 +1,241 @@
+import { transaccion } from "../db.js";
+import { recalcularCostos } from "./costos.js";
+import { eliminarImagenes } from "./imagenes.js";
+import { numerarPasos, siguienteNumero } from "./pasos.js";
+
+// ==============================
+// 🕘 Historial de revisiones de las recetas
+// ==============================
+// Cada cambio en una receta, sus ingredientes o sus pasos guarda una revisión numerada
+// (1, 2, 3... dentro de cada receta) con la instantánea completa del contenido tal como queda,
+// el usuario que lo hizo y la fecha. Las diferencias entre dos revisiones se calculan
+// comparando sus instantáneas. Las imágenes no forman parte del historial.
+
+// Campos que se versionan de la receta y de cada paso (de cada paso también los ids de los
+// ingredientes que usa, en `ingredientes`)
+export const CAMPOS_RECETA = [
+  "titulo", "descripcion", "tiempo_preparacion", "porciones", "costo_manual", "es_publica", "es_premium", "categoria_id",
+];
+export const CAMPOS_PASO = ["numero_paso", "descripcion", "duracion_segundos", "temperatura", "unidad_temperatura"];
+
+// 📸 Contenido actual de la receta, con los tipos normalizados para poder compararlo
+export async function instantanea(conn, id_receta) {
+  const [[receta]] = await conn.query(`SELECT ${CAMPOS_RECETA.join(", ")} FROM Recetas WHERE id_receta = ?`, [id_receta]);
+  const [ingredientes] = await conn.query(
+    `SELECT ri.id_ingrediente, i.nombre, ri.cantidad, i.unidad_medida
+     FROM Receta_Ingrediente ri
+     JOIN Ingredientes i ON ri.id_ingrediente = i.id_ingrediente
+     WHERE ri.id_receta = ?
+     ORDER BY ri.id_ingrediente`,
+    [id_receta]
+  );
+  const [pasos] = await conn.query(
+    `SELECT id_paso, ${CAMPOS_PASO.join(", ")} FROM Pasos WHERE id_receta = ? ORDER BY numero_paso, id_paso`,
+    [id_receta]
+  );
+  const [usados] = await conn.query(
+    "SELECT id_paso, id_ingrediente FROM Paso_Ingrediente WHERE id_receta = ? ORDER BY id_ingrediente",
+    [id_receta]
+  );
+  return {
+    receta: {
+      ...receta,
+      costo_manual: receta.costo_manual === null ? null : Number(receta.costo_manual),
+      es_publica: !!receta.es_publica,
+      es_premium: !!receta.es_premium,
+    },
+    ingredientes: ingredientes.map((i) => ({ ...i, cantidad: Number(i.cantidad) })),
+    pasos: pasos.map((p) => ({
+      ...p,
+      ingredientes: usados.filter((u) => u.id_paso === p.id_paso).map((u) => u.id_ingrediente),
+    })),
+  };
+}
+
+// Los ingredientes de los pasos son listas de ids, así que se comparan serializados
+const iguales = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Las revisiones anteriores a los datos del modo cocina no tienen ingredientes ni unidad en los pasos
+const normalizarPasos = (pasos) =>
+  pasos.map((p) => ({ ...p, unidad_temperatura: p.unidad_temperatura ?? "C", ingredientes: p.ingredientes ?? [] }));
+
+// Compara dos listas de elementos identificados por `clave`
+function compararListas(antes, despues, clave, campos, identificar) {
+  const previos = new Map(antes.map((e) => [e[clave], e]));
+  const actuales = new Set(despues.map((e) => e[clave]));
+  const modificados = [];
+  for (const elemento of despues) {
+    const previo = previos.get(elemento[clave]);
+    if (!previo) continue;
+    const cambios = campos
+      .filter((c) => !iguales(previo[c], elemento[c]))
+      .map((c) => ({ campo: c, antes: previo[c] ?? null, despues: elemento[c] ?? null }));
+    if (cambios.length > 0) modificados.push({ ...identificar(elemento), cambios });
+  }
+  return {
+    agregados: despues.filter((e) => !previos.has(e[clave])),
+    eliminados: antes.filter((e) => !actuales.has(e[clave])),
+    modificados,
+  };
+}
+
+// 🔍 Diferencias campo a campo entre dos instantáneas. Los ingredientes se identifican por
+// id_ingrediente y los pasos por id_paso (un paso movido aparece con su numero_paso cambiado).
+export function diferencias(antes, despues) {
+  return {
+    receta: CAMPOS_RECETA.filter((c) => !iguales(antes.receta[c], despues.receta[c])).map((c) => ({
+      campo: c,
+      antes: antes.receta[c] ?? null,
+      despues: despues.receta[c] ?? null,
+    })),
+    ingredientes: compararListas(antes.ingredientes, despues.ingredientes, "id_ingrediente", ["cantidad"], ({ id_ingrediente, nombre }) => ({
+      id_ingrediente,
+      nombre,
+    })),
+    pasos: compararListas(
+      normalizarPasos(antes.pasos),
+      normalizarPasos(despues.pasos),
+      "id_paso",
+      [...CAMPOS_PASO, "ingredientes"],
+      ({ id_paso, numero_paso }) => ({ id_paso, numero_paso })
+    ),
+  };
+}
+
+const sinCambios = ({ receta, ingredientes, pasos }) =>
+  receta.length === 0 && [ingredientes, pasos].every((l) => l.agregados.length + l.eliminados.length + l.modificados.length === 0);
+
+// 📝 Guarda el estado actual de la receta como una nueva revisión y devuelve su número,
+// o null si no cambia nada respecto a la última. Debe llamarse dentro de una transacción.
+export async function registrarRevision(conn, id_receta, id_usuario, resumen) {
+  const contenido = await instantanea(conn, id_receta);
+  const [[ultima]] = await conn.query(
+    "SELECT numero, contenido FROM Revisiones_Receta WHERE id_receta = ? ORDER BY numero DESC LIMIT 1",
+    [id_receta]
+  );
+  if (ultima && sinCambios(diferencias(ultima.contenido, contenido))) return null;
+
+  const numero = ultima ? ultima.numero + 1 : 1;
+  await conn.query(
+    "INSERT INTO Revisiones_Receta (id_receta, numero, id_usuario, resumen, contenido) VALUES (?, ?, ?, ?, ?)",
+    [id_receta, numero, id_usuario, resumen, JSON.stringify(contenido)]
+  );
+  return numero;
+}
+
+// Bloquea la receta (para numerar las revisiones en orden) y, si aún no tiene historial
+// porque es anterior a él, guarda su estado actual como revisión inicial.
+// Se llama dentro de la transacción, antes de cambiar nada.
+export async function prepararHistorial(conn, id_receta) {
+  await conn.query("SELECT id_receta FROM Recetas WHERE id_receta = ? FOR UPDATE", [id_receta]);
+  const [revisiones] = await conn.query("SELECT 1 FROM Revisiones_Receta WHERE id_receta = ? LIMIT 1", [id_receta]);
+  if (revisiones.length === 0) await registrarRevision(conn, id_receta, null, "Estado anterior al historial");
+}
+
+// ✏️ Ejecuta `cambio(conn)` sobre la receta en una transacción y registra la revisión
+// resultante a nombre de id_usuario. Devuelve lo que devuelva el cambio.
+export async function conRevision(id_receta, id_usuario, resumen, cambio) {
+  return transaccion(async (conn) => {
+    await prepararHistorial(conn, id_receta);
+    const resultado = await cambio(conn);
+    await registrarRevision(conn, id_receta, id_usuario, resumen);
+    return resultado;
+  });
+}
+
+// ⏪ Devuelve la receta al contenido de una revisión anterior, registrándolo como una revisión
+// nueva. Los pasos que siguen existiendo conservan su id (y su foto); los que ya no estaban se
+// eliminan y los que se habían borrado se crean de nuevo, y todos se renumeran en el orden de la
+// revisión. Los ingredientes que ya no existen en el catálogo no se pueden restaurar y se
+// devuelven en ingredientes_omitidos (y se quitan de los pasos que los usaban).
+// Devuelve null si la revisión no existe.
+export async function restaurarRevision(id_receta, numero, id_usuario) {
+  let imagenesSobrantes = [];
+  const restaurada = await transaccion(async (conn) => {
+    await prepararHistorial(conn, id_receta);
+    const [[revision]] = await conn.query(
+      "SELECT contenido FROM Revisiones_Receta WHERE id_receta = ? AND numero = ?",
+      [id_receta, numero]
+    );
+    if (!revision) return null;
+    const { receta, ingredientes, pasos } = revision.contenido;
+
+    // Las versiones aumentan como en cualquier otro cambio (ver middleware/concurrencia.js)
+    await conn.query(`UPDATE Recetas SET ${CAMPOS_RECETA.map((c) => `${c} = ?`).join(", ")}, version = version + 1 WHERE id_receta = ?`, [
+      ...CAMPOS_RECETA.map((c) => receta[c] ?? null),
+      id_receta,
+    ]);
+
+    const ids = ingredientes.map((i) => i.id_ingrediente);
+    let disponibles = new Set();
+    if (ids.length > 0) {
+      const [encontrados] = await conn.query("SELECT id_ingrediente FROM Ingredientes WHERE id_ingrediente IN (?)", [ids]);
+      disponibles = new Set(encontrados.map((i) => i.id_ingrediente));
+    }
+    const lineas = ingredientes.filter((i) => disponibles.has(i.id_ingrediente));
+    if (lineas.length === 0) {
+      await conn.query("DELETE FROM Receta_Ingrediente WHERE id_receta = ?", [id_receta]);
+    } else {
+      await conn.query("DELETE FROM Receta_Ingrediente WHERE id_receta = ? AND id_ingrediente NOT IN (?)", [
+        id_receta,
+        lineas.map((i) => i.id_ingrediente),
+      ]);
+      await conn.query(
+        `INSERT INTO Receta_Ingrediente (id_receta, id_ingrediente, cantidad) VALUES ?
+         ON DUPLICATE KEY UPDATE version = version + (cantidad <> VALUES(cantidad)), cantidad = VALUES(cantidad)`,
+        [lineas.map((i) => [id_receta, i.id_ingrediente, i.cantidad])]
+      );
+    }
+    await recalcularCostos(conn, { recetas: [id_receta] });
+
+    const [actuales] = await conn.query("SELECT id_paso, id_imagen FROM Pasos WHERE id_receta = ?", [id_receta]);
+    const restaurados = new Set(pasos.map((p) => p.id_paso));
+    const sobrantes = actuales.filter((p) => !restaurados.has(p.id_paso));
+    if (sobrantes.length > 0) {
+      await conn.query("DELETE FROM Pasos WHERE id_paso IN (?)", [sobrantes.map((p) => p.id_paso)]);
+    }
+    // El número de cada paso lo pone numerarPasos al final; los pasos recreados se añaden
+    // mientras tanto detrás de los demás para no repetir números
+    const contenidoPaso = CAMPOS_PASO.filter((c) => c !== "numero_paso");
+    const existentes = new Set(actuales.map((p) => p.id_paso));
+    const numeroLibre = await siguienteNumero(conn, id_receta);
+    const orden = [];
+    for (const paso of normalizarPasos(pasos)) {
+      const valores = contenidoPaso.map((c) => paso[c] ?? null);
+      let id_paso = paso.id_paso;
+      if (existentes.has(id_paso)) {
+        await conn.query(`UPDATE Pasos SET ${contenidoPaso.map((c) => `${c} = ?`).join(", ")}, version = version + 1 WHERE id_paso = ?`, [
+          ...valores,
+          id_paso,
+        ]);
+      } else {
+        const [result] = await conn.query(`INSERT INTO Pasos (id_receta, numero_paso, ${contenidoPaso.join(", ")}) VALUES (?)`, [
+          [id_receta, numeroLibre + orden.length, ...valores],
+        ]);
+        id_paso = result.insertId;
+      }
+      orden.push(id_paso);
+
+      const usados = paso.ingredientes.filter((id) => disponibles.has(id));
+      await conn.query("DELETE FROM Paso_Ingrediente WHERE id_paso = ?", [id_paso]);
+      if (usados.length > 0) {
+        await conn.query("INSERT INTO Paso_Ingrediente (id_paso, id_receta, id_ingrediente) VALUES ?", [
+          usados.map((id) => [id_paso, id_receta, id]),
+        ]);
+      }
+    }
+    await numerarPasos(conn, id_receta, orden);
+    imagenesSobrantes = sobrantes.map((p) => p.id_imagen);
+
+    const nueva = await registrarRevision(conn, id_receta, id_usuario, `Restaurada la revisión ${numero}`);
+    return {
+      revision: nueva,
+      ingredientes_omitidos: ingredientes
+        .filter((i) => !disponibles.has(i.id_ingrediente))
+        .map(({ id_ingrediente, nombre }) => ({ id_ingrediente, nombre })),
+    };
+  });
+
+  if (restaurada) await eliminarImagenes(imagenesSobrantes);
+  return restaurada;
+}
@@ -0,0 +1,160 @@
+import db, { transaccion } from "../db.js";
+
+// Condición SQL (sobre el alias s) de una suscripción que da acceso premium ahora mismo
+export const CONDICION_ACTIVA = "s.estado = 'activa' AND s.fecha_inicio <= NOW() AND s.fecha_fin > NOW()";
+
+// Usa la conexión recibida (parte de una transacción mayor) o abre una transacción propia
+const enTransaccion = (conn, callback) => (conn ? callback(conn) : transaccion(callback));
+
+// 💳 Pone tipo_usuario en 'premium' o 'publico' según tenga o no una suscripción activa.
+// Sin id_usuario sincroniza a todos los usuarios. Devuelve cuántos cambiaron.
+export async function sincronizarTipoUsuario(conn = db, id_usuario = null) {
+  let sql = `
+    UPDATE Usuarios u
+    SET u.tipo_usuario = IF(
+      EXISTS (SELECT 1 FROM Suscripciones s WHERE s.id_usuario = u.id_usuario AND ${CONDICION_ACTIVA}),
+      'premium', 'publico'
+    )
+  `;
+  const params = [];
+  if (id_usuario !== null) {
+    sql += " WHERE u.id_usuario = ?";
+    params.push(id_usuario);
+  }
+  const [result] = await conn.query(sql, params);
+  return result.changedRows;
+}
+
+// 💳 Crea una suscripción de `meses` meses. Si el usuario ya tiene tiempo pagado,
+// el nuevo periodo empieza cuando termina el último (no se solapan).
+export async function suscribir(id_usuario, meses, monto, conexion = null) {
+  return enTransaccion(conexion, async (conn) => {
+    // Bloqueamos al usuario para que dos altas simultáneas no calculen el mismo inicio
+    await conn.query("SELECT id_usuario FROM Usuarios WHERE id_usuario = ? FOR UPDATE", [id_usuario]);
+    const [[{ ultimo_fin }]] = await conn.query(
+      "SELECT MAX(fecha_fin) AS ultimo_fin FROM Suscripciones WHERE id_usuario = ? AND estado = 'activa' AND fecha_fin > NOW()",
+      [id_usuario]
+    );
+    const inicio = ultimo_fin ?? new Date();
+
+    const sql = `
+      INSERT INTO Suscripciones (id_usuario, fecha_inicio, fecha_fin, monto)
+      VALUES (?, ?, DATE_ADD(?, INTERVAL ? MONTH), ?)
+    `;
+    const [result] = await conn.query(sql, [id_usuario, inicio, inicio, meses, monto]);
+    await sincronizarTipoUsuario(conn, id_usuario);
+
+    const [filas] = await conn.query("SELECT * FROM Suscripciones WHERE id_suscripcion = ?", [result.insertId]);
+    return filas[0];
+  });
+}
+
+// 💳 Extiende una suscripción activa `meses` meses. Los periodos que estaban en cola
+// detrás de ella se desplazan lo mismo para que sigan sin solaparse.
+export async function renovar(suscripcion, meses, conexion = null) {
+  return enTransaccion(conexion, async (conn) => {
+    const { id_suscripcion, id_usuario, fecha_fin } = suscripcion;
+    await conn.query(
+      `UPDATE Suscripciones
+       SET fecha_inicio = DATE_ADD(fecha_inicio, INTERVAL ? MONTH), fecha_fin = DATE_ADD(fecha_fin, INTERVAL ? MONTH)
+       WHERE id_usuario = ? AND estado = 'activa' AND id_suscripcion <> ? AND fecha_inicio >= ?`,
+      [meses, meses, id_usuario, id_suscripcion, fecha_fin]
+    );
+    // Renovar anula una cancelación programada
+    await conn.query(
+      `UPDATE Suscripciones
+       SET fecha_fin = DATE_ADD(fecha_fin, INTERVAL ? MONTH), cancelar_al_final = FALSE, fecha_cancelacion = NULL
+       WHERE id_suscripcion = ?`,
+      [meses, id_suscripcion]
+    );
+    await sincronizarTipoUsuario(conn, id_usuario);
+
+    const [filas] = await conn.query("SELECT * FROM Suscripciones WHERE id_suscripcion = ?", [id_suscripcion]);
+    return filas[0];
+  });
+}
+
+// 💳 Quita `meses` meses a una suscripción activa (un pago reembolsado), al revés que renovar:
+// los periodos en cola detrás de ella se adelantan lo mismo. Si con eso ya no le queda tiempo,
+// se cancela en el acto.
+export async function recortar(suscripcion, meses, conexion = null) {
+  return enTransaccion(conexion, async (conn) => {
+    const { id_suscripcion, id_usuario, fecha_fin } = suscripcion;
+    await conn.query(
+      `UPDATE Suscripciones
+       SET fecha_inicio = DATE_SUB(fecha_inicio, INTERVAL ? MONTH), fecha_fin = DATE_SUB(fecha_fin, INTERVAL ? MONTH)
+       WHERE id_usuario = ? AND estado = 'activa' AND id_suscripcion <> ? AND fecha_inicio >= ?`,
+      [meses, meses, id_usuario, id_suscripcion, fecha_fin]
+    );
+    await conn.query(
+      "UPDATE Suscripciones SET fecha_fin = GREATEST(fecha_inicio, DATE_SUB(fecha_fin, INTERVAL ? MONTH)) WHERE id_suscripcion = ?",
+      [meses, id_suscripcion]
+    );
+    const [[recortada]] = await conn.query(
+      "SELECT *, fecha_fin <= GREATEST(fecha_inicio, NOW()) AS agotada FROM Suscripciones WHERE id_suscripcion = ?",
+      [id_suscripcion]
+    );
+    const { agotada, ...fila } = recortada;
+    if (agotada) return cancelar(fila, true, conn);
+
+    await sincronizarTipoUsuario(conn, id_usuario);
+    return fila;
+  });
+}
+
+// 💳 Cancela una suscripción. Por defecto se mantiene hasta fecha_fin y el barrido la cierra;
+// con `inmediata` termina ahora y el usuario pierde el acceso premium en el acto.
+export async function cancelar(suscripcion, inmediata = false, conexion = null) {
+  return enTransaccion(conexion, async (conn) => {
+    const { id_suscripcion, id_usuario } = suscripcion;
+    if (inmediata) {
+      await conn.query(
+        `UPDATE Suscripciones
+         SET estado = 'cancelada', fecha_fin = LEAST(fecha_fin, NOW()), fecha_cancelacion = NOW()
+         WHERE id_suscripcion = ?`,
+        [id_suscripcion]
+      );
+    } else {
+      await conn.query(
+        "UPDATE Suscripciones SET cancelar_al_final = TRUE, fecha_cancelacion = NOW() WHERE id_suscripcion = ?",
+        [id_suscripcion]
+      );
+    }
+    await sincronizarTipoUsuario(conn, id_usuario);
+
+    const [filas] = await conn.query("SELECT * FROM Suscripciones WHERE id_suscripcion = ?", [id_suscripcion]);
+    return filas[0];
+  });
+}
+
+// 🧹 Cierra las suscripciones vencidas y vuelve a calcular tipo_usuario de todos.
+// También promueve a quienes tenían un periodo en cola que ya empezó.
+export async function expirarVencidas() {
+  return transaccion(async (conn) => {
+    const [result] = await conn.query(
+      `UPDATE Suscripciones
+       SET estado = IF(cancelar_al_final, 'cancelada', 'expirada')
+       WHERE estado = 'activa' AND fecha_fin <= NOW()`
+    );
+    const usuarios_actualizados = await sincronizarTipoUsuario(conn);
+    return { suscripciones_cerradas: result.affectedRows, usuarios_actualizados };
+  });
+}
+
+// 🧹 Ejecuta expirarVencidas cada `minutos` dentro del servidor
+export function iniciarBarridoPeriodico(minutos) {
+  const ejecutar = async () => {
+    try {
+      const resumen = await expirarVencidas();
+      if (resumen.suscripciones_cerradas > 0 || resumen.usuarios_actualizados > 0) {
+        console.log("🧹 Barrido de suscripciones:", resumen);
+      }
+    } catch (err) {
+      console.error("❌ Error en el barrido de suscripciones:", err.message);
+    }
+  };
+  ejecutar();
+  const intervalo = setInterval(ejecutar, minutos * 60 * 1000);
+  intervalo.unref(); // No impide que el proceso termine
+  return intervalo;
+}
@@ -0,0 +1,126 @@
+import { normalizarTexto } from "./busqueda.js";
+
+// ==============================
+// ⚖️ Unidades de medida y conversión entre sistemas
+// ==============================
+// Ingredientes.unidad_medida es texto libre. Las unidades de masa y volumen que se
+// reconocen aquí se pueden convertir entre el sistema métrico y el imperial; el resto
+// ('pieza', 'diente', 'manojo'...) se consideran contables y solo se redondean.
+
+// Factor de cada unidad respecto a la base de su magnitud (gramos o mililitros)
+// y sistema al que pertenece
+const UNIDADES = {
+  g: { magnitud: "masa", factor: 1, sistema: "metrico" },
+  kg: { magnitud: "masa", factor: 1000, sistema: "metrico" },
+  oz: { magnitud: "masa", factor: 28.3495, sistema: "imperial" },
+  lb: { magnitud: "masa", factor: 453.592, sistema: "imperial" },
+  ml: { magnitud: "volumen", factor: 1, sistema: "metrico" },
+  l: { magnitud: "volumen", factor: 1000, sistema: "metrico" },
+  cdta: { magnitud: "volumen", factor: 4.92892, sistema: "imperial" },
+  cda: { magnitud: "volumen", factor: 14.7868, sistema: "imperial" },
+  "fl oz": { magnitud: "volumen", factor: 29.5735, sistema: "imperial" },
+  taza: { magnitud: "volumen", factor: 236.588, sistema: "imperial" },
+};
+
+// Otras formas de escribir las unidades anteriores (ya normalizadas)
+const ALIAS = {
+  gr: "g", gramo: "g", gramos: "g",
+  kilo: "kg", kilos: "kg", kilogramo: "kg", kilogramos: "kg",
+  onza: "oz", onzas: "oz",
+  libra: "lb", libras: "lb",
+  mililitro: "ml", mililitros: "ml",
+  litro: "l", litros: "l",
+  cucharadita: "cdta", cucharaditas: "cdta",
+  cucharada: "cda", cucharadas: "cda",
+  tazas: "taza",
+};
+
+// Unidad a la que se convierte cada magnitud en cada sistema, de mayor a menor:
+// se usa la primera en la que la cantidad llega al mínimo indicado
+const ESCALAS = {
+  metrico: {
+    masa: [{ unidad: "kg", minimo: 1 }, { unidad: "g", minimo: 0 }],
+    volumen: [{ unidad: "l", minimo: 1 }, { unidad: "ml", minimo: 0 }],
+  },
+  imperial: {
+    masa: [{ unidad: "lb", minimo: 1 }, { unidad: "oz", minimo: 0 }],
+    volumen: [
+      { unidad: "taza", minimo: 0.25 },
+      { unidad: "cda", minimo: 1 },
+      { unidad: "cdta", minimo: 0 },
+    ],
+  },
+};
+
+export const SISTEMAS = ["original", ...Object.keys(ESCALAS)];
+
+// Devuelve la clave de la unidad reconocida, o null si es contable o desconocida
+export function identificarUnidad(unidad) {
+  if (!unidad) return null;
+  const clave = normalizarTexto(unidad).trim().replace(/\.$/, "");
+  if (UNIDADES[clave]) return clave;
+  return ALIAS[clave] ?? null;
+}
+
+// Redondeo según la magnitud: las unidades contables van de media en media
+// (sin bajar nunca de media unidad) y las medibles conservan 2 cifras decimales como mucho
+function redondear(cantidad, contable) {
+  if (contable) return Math.max(0.5, Math.round(cantidad * 2) / 2);
+  if (cantidad >= 100) return Math.round(cantidad);
+  if (cantidad >= 10) return Math.round(cantidad * 10) / 10;
+  return Math.round(cantidad * 100) / 100;
+}
+
+// Expresa una cantidad en la unidad base (g o ml) con la unidad más adecuada del sistema
+function expresar(base, magnitud, sistema) {
+  const destino = ESCALAS[sistema][magnitud].find(
+    ({ unidad, minimo }) => base / UNIDADES[unidad].factor >= minimo
+  );
+  return { cantidad: redondear(base / UNIDADES[destino.unidad].factor, false), unidad_medida: destino.unidad };
+}
+
+// 🔁 Escala una cantidad por `factor` y la expresa en el `sistema` pedido
+// ("original" mantiene la unidad del catálogo). Devuelve { cantidad, unidad_medida }.
+export function escalarCantidad(cantidad, unidad, factor, sistema = "original") {
+  const escalada = Number(cantidad) * factor;
+  const clave = identificarUnidad(unidad);
+  if (!clave) return { cantidad: redondear(escalada, true), unidad_medida: unidad };
+  if (sistema === "original") return { cantidad: redondear(escalada, false), unidad_medida: unidad };
+
+  const { magnitud, factor: factorBase } = UNIDADES[clave];
+  return expresar(escalada * factorBase, magnitud, sistema);
+}
+
+// 🔄 Convierte una cantidad de la unidad `de` a la unidad `a`, sin redondear.
+// Devuelve null si no son compatibles (distinta magnitud, o contables distintas).
+export function convertirCantidad(cantidad, de, a) {
+  const origen = identificarUnidad(de);
+  const destino = identificarUnidad(a);
+  if (!origen || !destino) {
+    const igual = !origen && !destino && normalizarTexto(de ?? "").trim() === normalizarTexto(a ?? "").trim();
+    return igual ? Number(cantidad) : null;
+  }
+  if (UNIDADES[origen].magnitud !== UNIDADES[destino].magnitud) return null;
+  return (Number(cantidad) * UNIDADES[origen].factor) / UNIDADES[destino].factor;
+}
+
+// ➕ Suma una lista de { cantidad, unidad_medida } juntando las que son compatibles:
+// misma magnitud (200 g + 1 kg = 1.2 kg) o, si son contables, la misma unidad.
+// Devuelve una entrada por cada grupo compatible, en el sistema de la primera de ellas.
+export function sumarCantidades(cantidades) {
+  const grupos = new Map();
+  for (const { cantidad, unidad_medida } of cantidades) {
+    const clave = identificarUnidad(unidad_medida);
+    const llave = clave ? UNIDADES[clave].magnitud : `contable:${normalizarTexto(unidad_medida ?? "").trim()}`;
+    const valor = clave ? Number(cantidad) * UNIDADES[clave].factor : Number(cantidad);
+    const grupo = grupos.get(llave);
+    if (grupo) grupo.total += valor;
+    else grupos.set(llave, { total: valor, clave, unidad_medida });
+  }
+
+  return [...grupos.values()].map(({ total, clave, unidad_medida }) => {
+    if (!clave) return { cantidad: redondear(total, true), unidad_medida };
+    const { magnitud, sistema } = UNIDADES[clave];
+    return expresar(total, magnitud, sistema);
+  });
+}
@@ -0,0 +1,60 @@
+import db from "../db.js";
+
+// ==============================
+// ⭐ Resumen de las valoraciones de cada receta
+// ==============================
+// Recetas guarda la media, el número de valoraciones y cuántas hay de cada puntuación
+// (valoraciones_1 ... valoraciones_5) para no calcularlos en cada listado. Se recalculan en la
+// misma transacción que cada cambio en Valoraciones; npm run valoraciones:recalcular los rehace todos.
+// Las valoraciones ocultas por moderación no cuentan.
+
+const PUNTUACIONES = [1, 2, 3, 4, 5];
+
+// Columnas del resumen de la receta con alias r, con el histograma como objeto { "1": n, ... "5": n }
+export const COLUMNAS_RESUMEN_VALORACIONES = `
+  r.valoracion_promedio, r.total_valoraciones,
+  JSON_OBJECT(${PUNTUACIONES.map((p) => `'${p}', r.valoraciones_${p}`).join(", ")}) AS histograma_valoraciones
+`;
+
+// Columnas de una valoración con alias v (y u para su autor), con los votos de "útil" que tiene
+export const COLUMNAS_VALORACION = `
+  v.id_valoracion, v.id_receta, v.id_usuario, u.nombre AS nombre_usuario, v.puntuacion, v.comentario,
+  v.fecha_valoracion, v.estado, v.respuesta, v.fecha_respuesta,
+  (SELECT COUNT(*) FROM Votos_Valoracion vv WHERE vv.id_valoracion = v.id_valoracion) AS votos_utiles
+`;
+
+// Motivos por los que se puede denunciar una valoración (Denuncias_Valoracion.motivo)
+export const MOTIVOS_DENUNCIA = ["spam", "ofensivo", "fuera_de_tema", "informacion_falsa", "otro"];
+
+// Condición SQL (sobre el alias v) para listar solo las valoraciones que ve el usuario: las
+// publicadas y las suyas. Los moderadores las ven todas.
+export function condicionValoracionVisible(usuario) {
+  if (!usuario) return { sql: "v.estado = 'publicada'", params: [] };
+  if (usuario.es_moderador) return { sql: "TRUE", params: [] };
+  return { sql: "(v.estado = 'publicada' OR v.id_usuario = ?)", params: [usuario.id_usuario] };
+}
+
+// 🔁 Recalcula el resumen de valoraciones de las recetas indicadas (de todas si no se indican).
+// No cambia la fecha de modificación de la receta: valorarla no es editarla.
+// Acepta una conexión para hacerlo dentro de una transacción. Devuelve cuántas recetas ha actualizado.
+export async function recalcularValoraciones(conn = db, recetas) {
+  if (recetas && recetas.length === 0) return 0;
+  const condicion = recetas ? "AND id_receta IN (?)" : "";
+  const sql = `
+    UPDATE Recetas r
+    LEFT JOIN (
+      SELECT id_receta, AVG(puntuacion) AS promedio, COUNT(*) AS total,
+        ${PUNTUACIONES.map((p) => `SUM(puntuacion = ${p}) AS v${p}`).join(", ")}
+      FROM Valoraciones
+      WHERE estado = 'publicada' ${condicion}
+      GROUP BY id_receta
+    ) val ON val.id_receta = r.id_receta
+    SET r.valoracion_promedio = ROUND(val.promedio, 2),
+      r.total_valoraciones = COALESCE(val.total, 0),
+      ${PUNTUACIONES.map((p) => `r.valoraciones_${p} = COALESCE(val.v${p}, 0)`).join(", ")},
+      r.fecha_modificacion = r.fecha_modificacion
+    ${recetas ? "WHERE r.id_receta IN (?)" : ""};
+  `;
+  const [result] = await conn.query(sql, recetas ? [recetas, recetas] : []);
+  return result.affectedRows;
+}